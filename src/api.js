@@ -0,0 +1,767 @@
+// src/api.js
+// JSON API /api/v1 для интеграции с МИС больницы. Авторизация — API-токен пользователя.
+import express from "express";
+import bcrypt from "bcryptjs";
+
+import {
+  findUserByApiToken,
+  listUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  deleteUserById,
+  setUserActive,
+  unlinkTelegram,
+  listPatientsForUser,
+  countPatientsForUser,
+  getPatientByRowId,
+  createPatientCard,
+  updatePatient,
+  setPatientField,
+  checkStatusTransition,
+  archivePatient,
+  restorePatient,
+  generateNextPatientId,
+  recordPatientChange,
+  markPatientSeen,
+  listPatientChanges,
+  listTreatmentPhases,
+  replaceTreatmentPhases,
+  getPatientTeam,
+  bumpPatientVersion,
+  formatTeamText,
+  savePatientEdit,
+  PATIENT_FIELD_LABELS,
+  PATIENT_STATUSES,
+} from "./db.js";
+import {
+  normalizePhase,
+  validatePhase,
+  summarizePlan,
+  formatPlanText,
+  planSignature,
+} from "./dose.js";
+import { ROLES, can } from "./permissions.js";
+import { normalizeIcdCode, validateCodedFields } from "./icd.js";
+
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+// параметры фильтра GET /patients — каждый ожидается одной строкой
+const LIST_QUERY_PARAMS = ["q", "code", "status", "region", "from", "to", "unread", "sort", "dir", "page", "per_page"];
+const USER_ROLES = Object.keys(ROLES);
+
+/**
+ * Единый формат ошибки: { error: { code, message, details? } }
+ */
+function apiError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ error });
+}
+
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const perPage = Math.min(
+    MAX_PER_PAGE,
+    Math.max(1, parseInt(query.per_page, 10) || DEFAULT_PER_PAGE)
+  );
+  return { page, perPage, offset: (page - 1) * perPage };
+}
+
+function pageMeta(page, perPage, total) {
+  return {
+    page,
+    per_page: perPage,
+    total,
+    pages: Math.max(1, Math.ceil(total / perPage)),
+  };
+}
+
+function publicUser(u) {
+  if (!u) return null;
+  const { password_hash, ...rest } = u;
+  return rest;
+}
+
+function actorName(user) {
+  return user?.full_name || user?.login || "неизвестный пользователь";
+}
+
+// поля фазы в теле запроса: текстовые и числовые
+const PHASE_TEXT_FIELDS = ["name", "target_volume", "technique", "energy"];
+const PHASE_NUMBER_FIELDS = ["total_dose", "dose_per_fraction", "fractions", "alpha_beta"];
+
+/**
+ * Проверка типов фаз: объект, поля — строка, число или null.
+ * Ошибки типа отдаются как 400, а не 422: запрос собран неверно.
+ */
+function phaseTypeErrors(phases) {
+  const errors = [];
+  phases.forEach((p, i) => {
+    if (p === null) return;
+    if (typeof p !== "object" || Array.isArray(p)) {
+      errors.push({ field: `phases[${i}]`, message: "Ожидается объект фазы" });
+      return;
+    }
+    PHASE_TEXT_FIELDS.concat(PHASE_NUMBER_FIELDS).forEach((field) => {
+      const value = p[field];
+      if (value === undefined || value === null) return;
+      if (typeof value !== "string" && typeof value !== "number") {
+        errors.push({ field: `phases[${i}].${field}`, message: "Ожидается строка или число" });
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Проверка полей карты из тела запроса.
+ * Возвращает { data, phases, details, malformed, warnings }: details — ошибки значений (422),
+ * malformed — поля неверного типа (400), warnings — коды, которых нет в справочнике.
+ */
+function validatePatientBody(body, { partial }) {
+  const details = [];
+  const malformed = [];
+  const warnings = [];
+  const data = {};
+
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      data,
+      phases: null,
+      details: [{ field: null, message: "Ожидается JSON-объект" }],
+      malformed,
+      warnings,
+    };
+  }
+
+  Object.keys(PATIENT_FIELD_LABELS).forEach((field) => {
+    // дневник ведётся отдельными записями и через PATCH не перезаписывается
+    if (field === "diary" || !(field in body)) return;
+    const value = body[field];
+    if (value !== null && typeof value !== "string" && typeof value !== "number") {
+      details.push({ field, message: "Ожидается строка" });
+      return;
+    }
+    data[field] = value === null ? null : String(value).trim();
+  });
+
+  if (!partial && !data.full_name) {
+    details.push({ field: "full_name", message: "ФИО пациента обязательно" });
+  }
+  if (partial && "full_name" in data && !data.full_name) {
+    details.push({ field: "full_name", message: "ФИО не может быть пустым" });
+  }
+  if (data.status && !PATIENT_STATUSES.includes(data.status)) {
+    details.push({
+      field: "status",
+      message: "Допустимые значения: " + PATIENT_STATUSES.join(", "),
+    });
+  }
+  if (data.birth_date && !/^\d{4}-\d{2}-\d{2}$/.test(data.birth_date)) {
+    details.push({ field: "birth_date", message: "Формат даты: YYYY-MM-DD" });
+  }
+  details.push(...validateCodedFields(data, { warnings }));
+
+  let phases = null;
+  if ("phases" in body) {
+    if (!Array.isArray(body.phases)) {
+      details.push({ field: "phases", message: "Ожидается массив фаз" });
+    } else {
+      malformed.push(...phaseTypeErrors(body.phases));
+      if (malformed.length) return { data, phases: null, details, malformed, warnings };
+      phases = body.phases
+        .map((p) => {
+          const raw = { ...(p || {}) };
+          PHASE_TEXT_FIELDS.forEach((field) => {
+            if (typeof raw[field] === "number") raw[field] = String(raw[field]);
+          });
+          return normalizePhase(raw);
+        })
+        .filter(Boolean);
+      phases.forEach((p, i) => {
+        const message = validatePhase(p, i);
+        if (message) details.push({ field: `phases[${i}]`, message });
+      });
+    }
+  }
+
+  return { data, phases, details, malformed, warnings };
+}
+
+/**
+ * Предупреждения в ответе — только если они есть: { warnings: [{ field, message }] }
+ */
+function warningsPart(warnings) {
+  return warnings.length ? { warnings } : {};
+}
+
+/**
+ * Версия карты, на которой основан PATCH: поле version в теле или заголовок If-Match.
+ * undefined — клиент версию не передал (такой запрос отклоняется).
+ */
+function expectedVersionFrom(req) {
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    return Number(req.body.version);
+  }
+  const header = req.get("If-Match");
+  if (!header) return undefined;
+  return Number(header.replace(/^W\//, "").replace(/"/g, ""));
+}
+
+/**
+ * Команда новой карты: attending_id и team (id пользователей) из тела запроса.
+ * Без них лечащим врачом становится автор — как при создании в веб-панели.
+ * Возвращает { team: { attendingId, memberIds }, given, details }.
+ */
+function teamFromBody(body, apiUser) {
+  const given = body.attending_id !== undefined || body.team !== undefined;
+  if (!given) return { team: { attendingId: apiUser.id, memberIds: [] }, given, details: [] };
+
+  const active = new Set(listUsers().filter((u) => u.is_active).map((u) => u.id));
+  const details = [];
+  const rawAttending = body.attending_id ?? null;
+  const attendingId = rawAttending === null ? null : Number(rawAttending);
+  if (attendingId !== null && !active.has(attendingId)) {
+    details.push({ field: "attending_id", message: "Нет активного пользователя с таким id" });
+  }
+
+  let memberIds = [];
+  if (body.team !== undefined && !Array.isArray(body.team)) {
+    details.push({ field: "team", message: "Ожидается массив id пользователей" });
+  } else if (body.team) {
+    memberIds = [...new Set(body.team.map(Number))].filter((uid) => uid !== attendingId);
+    memberIds.forEach((uid, i) => {
+      if (!active.has(uid)) {
+        details.push({ field: `team[${i}]`, message: "Нет активного пользователя с таким id" });
+      }
+    });
+  }
+  return { team: { attendingId, memberIds }, given, details };
+}
+
+function patientWithPlan(patient) {
+  const plan = summarizePlan(listTreatmentPhases(patient.id));
+  return {
+    ...patient,
+    plan: {
+      phases: plan.phases,
+      total_dose: plan.total_dose,
+      fractions: plan.fractions,
+      bed: plan.bed,
+      eqd2: plan.eqd2,
+      alpha_beta: plan.alpha_beta,
+    },
+    team: getPatientTeam(patient.id).map((m) => ({
+      user_id: m.user_id,
+      full_name: m.full_name,
+      role: m.role,
+      is_attending: Boolean(m.is_attending),
+    })),
+  };
+}
+
+/**
+ * Роутер /api/v1.
+ * notify(patientRowId, text, { event, excludeUserId }) — уведомление команды пациента
+ * (та же функция, что у веб-панели)
+ */
+export function createApiRouter({ notify } = {}) {
+  const router = express.Router();
+  const notifyPatient = notify || (() => {});
+
+  router.use(express.json({ limit: "1mb" }));
+
+  // авторизация: Authorization: Bearer <token>
+  router.use((req, res, next) => {
+    const header = req.get("authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const user = match ? findUserByApiToken(match[1].trim()) : null;
+
+    if (!user) {
+      return apiError(res, 401, "unauthorized", "Нужен действующий API-токен");
+    }
+    req.apiUser = user;
+    next();
+  });
+
+  function requireApiAdmin(req, res, next) {
+    if (req.apiUser.role !== "admin") {
+      return apiError(res, 403, "forbidden", "Доступ разрешён только администратору");
+    }
+    next();
+  }
+
+  function requireApiPermission(permission) {
+    return (req, res, next) => {
+      if (!can(req.apiUser, permission)) {
+        return apiError(res, 403, "forbidden", "Недостаточно прав для этого действия");
+      }
+      next();
+    };
+  }
+
+  function loadPatient(req, res, next) {
+    const patient = getPatientByRowId(Number(req.params.id));
+    if (!patient) {
+      return apiError(res, 404, "not_found", "Пациент не найден");
+    }
+    req.patient = patient;
+    next();
+  }
+
+  /* ---- текущий пользователь ---- */
+
+  router.get("/me", (req, res) => {
+    res.json({ data: publicUser(req.apiUser) });
+  });
+
+  /* ---- пациенты ---- */
+
+  router.get("/patients", (req, res) => {
+    // ?q=a&q=b Express отдаёт массивом — это ошибка запроса, а не пустой фильтр
+    const repeated = LIST_QUERY_PARAMS.filter(
+      (field) => req.query[field] !== undefined && typeof req.query[field] !== "string"
+    ).map((field) => ({ field, message: "Ожидается одно строковое значение" }));
+    if (repeated.length) {
+      return apiError(res, 400, "bad_request", "Неверные параметры списка", repeated);
+    }
+
+    const { page, perPage, offset } = parsePagination(req.query);
+    const q = (req.query.q || "").trim();
+
+    // границы периода — как в веб-списке: только YYYY-MM-DD
+    const details = ["from", "to"]
+      .filter((field) => req.query[field] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[field]))
+      .map((field) => ({ field, message: "Формат даты: YYYY-MM-DD" }));
+    if (details.length) {
+      return apiError(res, 422, "validation_error", "Ошибка в параметрах списка", details);
+    }
+
+    const filters = {
+      q,
+      qCode: normalizeIcdCode(q),
+      code: normalizeIcdCode(req.query.code) || "",
+      status: PATIENT_STATUSES.includes(req.query.status) ? req.query.status : "",
+      region: (req.query.region || "").trim(),
+      from: req.query.from || null,
+      to: req.query.to || null,
+      unread: req.query.unread === "1" || req.query.unread === "true",
+      sort: req.query.sort || "",
+      dir: req.query.dir === "asc" ? "asc" : "desc",
+    };
+
+    const total = countPatientsForUser(req.apiUser.id, filters);
+    const data = listPatientsForUser(req.apiUser.id, {
+      ...filters,
+      limit: perPage,
+      offset,
+    });
+
+    res.json({ data, meta: pageMeta(page, perPage, total) });
+  });
+
+  router.get("/patients/:id", loadPatient, (req, res) => {
+    res.set("ETag", `"${req.patient.version}"`);
+    res.json({ data: patientWithPlan(req.patient) });
+  });
+
+  router.post("/patients", requireApiPermission("patient.create"), (req, res) => {
+    const { data, phases, details, malformed, warnings } = validatePatientBody(req.body, {
+      partial: false,
+    });
+    if (malformed.length) {
+      return apiError(res, 400, "bad_request", "Неверный тип полей фаз", malformed);
+    }
+    const team = teamFromBody(req.body, req.apiUser);
+    details.push(...team.details);
+    if (details.length) {
+      return apiError(res, 422, "validation_error", "Ошибка в данных карты", details);
+    }
+    if (team.given && !can(req.apiUser, "patient.team")) {
+      return apiError(res, 403, "forbidden", "Недостаточно прав для назначения команды", [
+        { field: "team", message: "Поле недоступно для роли" },
+      ]);
+    }
+    // права на поля — как в PATCH; ФИО задаёт любой, кто вправе создавать карты
+    const forbidden = Object.keys(data)
+      .filter((field) => field !== "full_name")
+      .concat(phases ? ["treatment_plan"] : [])
+      .filter((field) => !can(req.apiUser, `field.${field}`));
+    if (forbidden.length) {
+      return apiError(
+        res,
+        403,
+        "forbidden",
+        "Недостаточно прав для заполнения полей",
+        forbidden.map((field) => ({ field, message: "Поле недоступно для роли" }))
+      );
+    }
+
+    const userId = req.apiUser.id;
+    let rowId;
+    try {
+      rowId = createPatientCard(
+        {
+          ...data,
+          patient_id: generateNextPatientId(),
+          status: data.status || "on_treatment",
+          created_by: userId,
+          updated_by: userId,
+        },
+        { source: "api-create", phases, team: team.team }
+      );
+    } catch (e) {
+      console.error("[API] createPatient error:", e);
+      return apiError(res, 400, "create_failed", "Ошибка создания пациента: " + (e.message || e));
+    }
+
+    const patient = getPatientByRowId(rowId);
+    const initialFields = Object.keys(PATIENT_FIELD_LABELS)
+      .filter((field) => patient[field])
+      .map((field) => ({ field, old_value: null, new_value: patient[field] }));
+    if (phases && phases.length) {
+      initialFields.push({
+        field: "treatment_plan",
+        old_value: null,
+        new_value: formatPlanText(phases),
+      });
+    }
+    const teamText = formatTeamText(getPatientTeam(rowId));
+    if (teamText) {
+      initialFields.push({ field: "care_team", old_value: null, new_value: teamText });
+    }
+
+    const changeId = recordPatientChange(
+      rowId,
+      userId,
+      "api-create",
+      "Создание карты пациента через API",
+      initialFields
+    );
+    markPatientSeen(rowId, userId, changeId);
+
+    notifyPatient(
+      rowId,
+      `🧾 *Создана новая карта ЛТ (API)*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name}\nПользователь: ${actorName(req.apiUser)}`,
+      { event: "create", excludeUserId: userId }
+    );
+
+    res.status(201).json({ data: patientWithPlan(patient), ...warningsPart(warnings) });
+  });
+
+  router.patch("/patients/:id", loadPatient, (req, res) => {
+    if (req.patient.deleted_at) {
+      return apiError(res, 409, "archived", "Карта находится в архиве");
+    }
+
+    const { data, phases, details, malformed, warnings } = validatePatientBody(req.body, {
+      partial: true,
+    });
+    if (malformed.length) {
+      return apiError(res, 400, "bad_request", "Неверный тип полей фаз", malformed);
+    }
+    if (details.length) {
+      return apiError(res, 422, "validation_error", "Ошибка в данных карты", details);
+    }
+
+    const forbidden = Object.keys(data)
+      .concat(phases ? ["treatment_plan"] : [])
+      .filter((field) => !can(req.apiUser, `field.${field}`));
+    if (forbidden.length) {
+      return apiError(
+        res,
+        403,
+        "forbidden",
+        "Недостаточно прав для изменения полей",
+        forbidden.map((field) => ({ field, message: "Поле недоступно для роли" }))
+      );
+    }
+
+    const id = req.patient.id;
+    const userId = req.apiUser.id;
+
+    // карту уже изменили после того, как клиент её прочитал
+    const expectedVersion = expectedVersionFrom(req);
+    if (Number.isNaN(expectedVersion)) {
+      return apiError(res, 422, "validation_error", "Версия карты должна быть числом", [
+        { field: "version", message: "Ожидается число" },
+      ]);
+    }
+    if (expectedVersion === undefined) {
+      return apiError(
+        res,
+        428,
+        "version_required",
+        "Передайте версию карты (поле version или заголовок If-Match), на которой основана правка",
+        [{ field: "version", message: "Обязательное поле" }]
+      );
+    }
+    if (expectedVersion !== req.patient.version) {
+      const planNow = formatPlanText(listTreatmentPhases(id));
+      return apiError(
+        res,
+        409,
+        "version_conflict",
+        `Карта уже изменена (текущая версия ${req.patient.version}), перечитайте её и повторите запрос`,
+        Object.keys(data)
+          .map((field) => ({ field, yours: data[field], theirs: req.patient[field] }))
+          .concat(
+            phases
+              ? [{ field: "treatment_plan", yours: formatPlanText(phases), theirs: planNow }]
+              : []
+          )
+      );
+    }
+
+    // смена статуса — только по допустимым переходам, с причиной где она нужна
+    const statusReason =
+      typeof req.body.status_reason === "string" ? req.body.status_reason.trim() : "";
+    if ("status" in data) {
+      const message = data.status
+        ? checkStatusTransition(req.patient.status, data.status, statusReason)
+        : "Статус курса нельзя очистить";
+      if (message) {
+        return apiError(res, 422, "invalid_status_transition", message, [
+          { field: "status", message },
+        ]);
+      }
+    }
+
+    // null / "" — явная очистка поля, остальное — обычное обновление
+    const cleared = Object.keys(data).filter((f) => !data[f]);
+    const filled = {};
+    Object.keys(data)
+      .filter((f) => data[f])
+      .forEach((f) => {
+        filled[f] = data[f];
+      });
+
+    // поля, очистка полей, план и запись в историю — одной транзакцией, версия +1
+    const changes = savePatientEdit(id, () => {
+      const changes = updatePatient(
+        id,
+        { ...filled, updated_by: userId },
+        { expectedVersion, statusReason, source: "api" }
+      );
+      cleared.forEach((field) => {
+        changes.push(...setPatientField(id, field, null, userId));
+      });
+
+      if (phases) {
+        const planBefore = formatPlanText(listTreatmentPhases(id));
+        const signatureBefore = planSignature(listTreatmentPhases(id));
+        replaceTreatmentPhases(id, phases);
+        const planAfter = formatPlanText(phases);
+        if (planBefore !== planAfter) {
+          changes.push({
+            field: "treatment_plan",
+            old_value: planBefore,
+            new_value: planAfter,
+          });
+        }
+        if (signatureBefore !== planSignature(phases)) bumpPatientVersion(id);
+      }
+
+      if (changes.length) {
+        recordPatientChange(id, userId, "api", "Редактирование через API", changes);
+      }
+      return changes;
+    });
+
+    if (changes.length) {
+      markPatientSeen(id, userId);
+
+      const patient = getPatientByRowId(id);
+      const event = changes.some((c) => c.field === "status") ? "status" : "edit";
+      notifyPatient(
+        id,
+        `♻️ *Обновлена карта ЛТ (API)*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name}\nПользователь: ${actorName(req.apiUser)}`,
+        { event, excludeUserId: userId }
+      );
+    }
+
+    const updated = getPatientByRowId(id);
+    res.set("ETag", `"${updated.version}"`);
+    res.json({ data: patientWithPlan(updated), changes, ...warningsPart(warnings) });
+  });
+
+  // удаление = перенос в архив; причина — reason в теле или в query
+  router.delete("/patients/:id", requireApiPermission("patient.delete"), loadPatient, (req, res) => {
+    if (req.patient.deleted_at) {
+      return apiError(res, 409, "archived", "Карта уже в архиве");
+    }
+
+    const reason =
+      String((req.body && req.body.reason) || req.query.reason || "").trim() ||
+      "Удалено через API";
+
+    archivePatient(req.patient.id, req.apiUser.id, reason);
+    recordPatientChange(
+      req.patient.id,
+      req.apiUser.id,
+      "archive",
+      `Карта перемещена в архив. Причина: ${reason}`
+    );
+
+    notifyPatient(
+      req.patient.id,
+      `🗑 *Удалена карта ЛТ (API)*\nID: *${req.patient.patient_id}*\nПациент: ${req.patient.full_name || ""}\nПричина: ${reason}\nПользователь: ${actorName(req.apiUser)}`,
+      { event: "delete", excludeUserId: req.apiUser.id }
+    );
+
+    res.status(204).end();
+  });
+
+  router.post("/patients/:id/restore", requireApiAdmin, loadPatient, (req, res) => {
+    if (!req.patient.deleted_at) {
+      return apiError(res, 409, "not_archived", "Карта не в архиве");
+    }
+
+    restorePatient(req.patient.id);
+    recordPatientChange(
+      req.patient.id,
+      req.apiUser.id,
+      "restore",
+      "Карта восстановлена из архива"
+    );
+
+    res.json({ data: patientWithPlan(getPatientByRowId(req.patient.id)) });
+  });
+
+  router.get("/patients/:id/changes", loadPatient, (req, res) => {
+    const { page, perPage, offset } = parsePagination(req.query);
+    const all = listPatientChanges(req.patient.id);
+
+    res.json({
+      data: all.slice(offset, offset + perPage),
+      meta: pageMeta(page, perPage, all.length),
+    });
+  });
+
+  router.post("/patients/:id/seen", loadPatient, (req, res) => {
+    markPatientSeen(req.patient.id, req.apiUser.id);
+    res.status(204).end();
+  });
+
+  /* ---- пользователи (только admin) ---- */
+
+  router.get("/users", requireApiAdmin, (req, res) => {
+    const { page, perPage, offset } = parsePagination(req.query);
+    const all = listUsers().map(publicUser);
+
+    res.json({
+      data: all.slice(offset, offset + perPage),
+      meta: pageMeta(page, perPage, all.length),
+    });
+  });
+
+  router.get("/users/:id", requireApiAdmin, (req, res) => {
+    const u = getUserById(Number(req.params.id));
+    if (!u) return apiError(res, 404, "not_found", "Пользователь не найден");
+    res.json({ data: publicUser(u) });
+  });
+
+  router.post("/users", requireApiAdmin, (req, res) => {
+    const body = req.body || {};
+    const details = [];
+
+    if (!body.login || typeof body.login !== "string" || !body.login.trim()) {
+      details.push({ field: "login", message: "Логин обязателен" });
+    }
+    if (!body.password || typeof body.password !== "string" || !body.password.trim()) {
+      details.push({ field: "password", message: "Пароль обязателен" });
+    }
+    if (body.role && !USER_ROLES.includes(body.role)) {
+      details.push({ field: "role", message: "Допустимые роли: " + USER_ROLES.join(", ") });
+    }
+    if (details.length) {
+      return apiError(res, 422, "validation_error", "Ошибка в данных пользователя", details);
+    }
+
+    try {
+      const id = createUser({
+        login: body.login.trim(),
+        passwordHash: bcrypt.hashSync(body.password.trim(), 10),
+        full_name: body.full_name ? String(body.full_name).trim() : null,
+        role: body.role || "doctor",
+      });
+      res.status(201).json({ data: publicUser(getUserById(id)) });
+    } catch (e) {
+      return apiError(res, 409, "conflict", "Ошибка создания пользователя: " + (e.message || e));
+    }
+  });
+
+  router.patch("/users/:id", requireApiAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    if (!getUserById(id)) {
+      return apiError(res, 404, "not_found", "Пользователь не найден");
+    }
+
+    const body = req.body || {};
+    const details = [];
+    if (body.role && !USER_ROLES.includes(body.role)) {
+      details.push({ field: "role", message: "Допустимые роли: " + USER_ROLES.join(", ") });
+    }
+    // Telegram привязывается только кодом через бота; через API его можно лишь отвязать
+    if ("telegram_id" in body && body.telegram_id !== null) {
+      details.push({ field: "telegram_id", message: "Допустимо только null (отвязать Telegram)" });
+    }
+    if ("is_active" in body && typeof body.is_active !== "boolean") {
+      details.push({ field: "is_active", message: "Ожидается true или false" });
+    }
+    if ("is_active" in body && id === req.apiUser.id) {
+      details.push({ field: "is_active", message: "Нельзя отключить самого себя" });
+    }
+    if (details.length) {
+      return apiError(res, 422, "validation_error", "Ошибка в данных пользователя", details);
+    }
+
+    try {
+      if (body.telegram_id === null) unlinkTelegram(id);
+      if ("is_active" in body) setUserActive(id, body.is_active);
+
+      updateUser(id, {
+        login: body.login ? String(body.login).trim() : undefined,
+        full_name: body.full_name ? String(body.full_name).trim() : undefined,
+        role: body.role || undefined,
+        passwordHash:
+          body.password && String(body.password).trim()
+            ? bcrypt.hashSync(String(body.password).trim(), 10)
+            : undefined,
+      });
+      res.json({ data: publicUser(getUserById(id)) });
+    } catch (e) {
+      return apiError(res, 409, "conflict", "Ошибка обновления пользователя: " + (e.message || e));
+    }
+  });
+
+  router.delete("/users/:id", requireApiAdmin, (req, res) => {
+    const id = Number(req.params.id);
+    if (!getUserById(id)) {
+      return apiError(res, 404, "not_found", "Пользователь не найден");
+    }
+    if (id === req.apiUser.id) {
+      return apiError(res, 400, "bad_request", "Нельзя удалить самого себя");
+    }
+
+    deleteUserById(id);
+    res.status(204).end();
+  });
+
+  /* ---- неизвестный маршрут и ошибки ---- */
+
+  router.use((req, res) => {
+    apiError(res, 404, "not_found", "Маршрут API не найден");
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return apiError(res, 400, "invalid_json", "Некорректный JSON в теле запроса");
+    }
+    console.error("[API] Ошибка:", err);
+    apiError(res, 500, "internal_error", "Внутренняя ошибка сервера");
+  });
+
+  return router;
+}
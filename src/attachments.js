@@ -0,0 +1,95 @@
+// src/attachments.js
+// Вложения карты (снимки топометрии, анализы, подписанные согласия): файлы лежат на диске
+// в ATTACHMENTS_DIR (по папке на карту, под случайными именами), описание — в SQLite.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { getDbFile } from "./db.js";
+
+// по умолчанию — папка attachments рядом с файлом базы
+export const ATTACHMENTS_DIR = path.resolve(
+  process.env.ATTACHMENTS_DIR || path.join(path.dirname(getDbFile()), "attachments")
+);
+
+// 20 МБ — и предел скачивания файлов ботом у Telegram
+export const ATTACHMENT_MAX_MB = Number(process.env.ATTACHMENT_MAX_MB) || 20;
+// сколько файлов можно загрузить за раз из веб-панели
+export const ATTACHMENT_MAX_FILES = 5;
+
+export const ATTACHMENT_KINDS = {
+  topometry: "Топометрия (снимки)",
+  imaging: "Исследования (КТ, МРТ, ПЭТ)",
+  lab: "Анализы",
+  consent: "Согласие (подписанное)",
+  photo: "Фото (кожа, слизистые)",
+  other: "Другое",
+};
+
+// допустимые файлы: расширение → MIME (тип берём по расширению, а не со слов клиента)
+const ALLOWED_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".txt": "text/plain",
+  ".dcm": "application/dicom",
+  ".zip": "application/zip",
+};
+
+export const ATTACHMENT_EXTENSIONS = Object.keys(ALLOWED_TYPES);
+
+// открываются прямо в браузере, остальное скачивается
+const INLINE_TYPES = ["image/jpeg", "image/png", "image/webp", "application/pdf"];
+
+export const isInlineAttachment = (a) => INLINE_TYPES.includes(a.mime_type);
+export const isImageAttachment = (a) => a.mime_type.startsWith("image/") && isInlineAttachment(a);
+
+/**
+ * Проверка файла перед сохранением: текст ошибки или null.
+ * size не передан (Telegram указывает его не всегда) — размер неизвестен, не проверяется.
+ */
+export function checkAttachment({ name, size }) {
+  const ext = path.extname(name || "").toLowerCase();
+  if (!ALLOWED_TYPES[ext]) {
+    return `Файл «${name}»: недопустимый тип (можно ${ATTACHMENT_EXTENSIONS.join(", ")})`;
+  }
+  if (size === undefined || size === null) return null;
+  if (size === 0) return `Файл «${name}» пустой`;
+  if (size > ATTACHMENT_MAX_MB * 1024 * 1024) {
+    return `Файл «${name}» больше ${ATTACHMENT_MAX_MB} МБ`;
+  }
+  return null;
+}
+
+/**
+ * Записать файл на диск: { stored_name, mime_type, size } для patient_attachments
+ */
+export function saveAttachmentFile(patientRowId, buffer, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+  const storedName = `${patientRowId}/${crypto.randomBytes(16).toString("hex")}${ext}`;
+  fs.mkdirSync(path.join(ATTACHMENTS_DIR, String(patientRowId)), { recursive: true });
+  fs.writeFileSync(path.join(ATTACHMENTS_DIR, storedName), buffer);
+  return { stored_name: storedName, mime_type: ALLOWED_TYPES[ext], size: buffer.length };
+}
+
+export const attachmentPath = (a) => path.join(ATTACHMENTS_DIR, a.stored_name);
+
+export function removeAttachmentFile(a) {
+  fs.rmSync(attachmentPath(a), { force: true });
+}
+
+/**
+ * 532 → "532 Б", 48213 → "47 КБ", 1572864 → "1,5 МБ"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} КБ`;
+  return `${(Math.round((bytes / 1024 / 1024) * 10) / 10).toString().replace(".", ",")} МБ`;
+}
@@ -2,85 +2,57 @@
 // Работа с SQLite (better-sqlite3) для RadOnco
 import Database from "better-sqlite3";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+
+import { migrate, pendingMigrations } from "./migrations.js";
+import { clinicTimeToUtc, clinicToday, addDays } from "./time.js";
+import { searchVariants } from "./translit.js";
 
 let db;
 
+/**
+ * Путь к файлу базы (DB_FILE из .env)
+ */
+export function getDbFile() {
+  return process.env.DB_FILE || "radonco.db";
+}
+
+/**
+ * Миграции при запуске: применяются автоматически (с резервной копией),
+ * при AUTO_MIGRATE=0 — только проверка, применять через `npm run migrate`
+ */
+function migrateOnStart(dbFile) {
+  if (process.env.AUTO_MIGRATE === "0") {
+    const pending = pendingMigrations(db);
+    if (pending.length) {
+      throw new Error(
+        `База не обновлена: ожидают миграции ${pending.map((m) => m.version).join(", ")}. ` +
+          "Выполните npm run migrate."
+      );
+    }
+    return;
+  }
+
+  const result = migrate(db, {
+    dbFile,
+    log: (msg) => console.log("[db]", msg),
+  });
+  if (result.applied.length) {
+    console.log(`[db] Схема обновлена: версия ${result.from} → ${result.to}`);
+  }
+}
+
 /**
  * Инициализация БД (один экземпляр на всё приложение)
  */
 export function initDb() {
   if (db) return db;
 
-  const dbFile = process.env.DB_FILE || "radonco.db";
+  const dbFile = getDbFile();
   db = new Database(dbFile);
   db.pragma("foreign_keys = ON");
 
-  // === Пользователи (врачи/админы) ===
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS users (
-      id            INTEGER PRIMARY KEY AUTOINCREMENT,
-      login         TEXT NOT NULL UNIQUE,
-      password_hash TEXT NOT NULL,
-      full_name     TEXT,
-      role          TEXT NOT NULL DEFAULT 'doctor', -- doctor | admin
-      telegram_id   TEXT,
-      created_at    TEXT DEFAULT (datetime('now', '+5 hours')),
-      updated_at    TEXT DEFAULT (datetime('now', '+5 hours'))
-    )
-  `).run();
-
-  // === Пациенты ===
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS patients (
-      id                 INTEGER PRIMARY KEY AUTOINCREMENT,
-      patient_id         TEXT NOT NULL UNIQUE,          
-      full_name          TEXT NOT NULL,
-      birth_date         TEXT,
-      region             TEXT,
-      diagnosis          TEXT,
-      topometry          TEXT,
-      method_gray        REAL,                          
-      diary              TEXT,
-      complaints         TEXT,
-      prescriptions      TEXT,
-      discharge_summary  TEXT,
-      complications      TEXT,
-      status             TEXT DEFAULT 'on_treatment',   
-      created_by         INTEGER,
-      updated_by         INTEGER,
-      created_at         TEXT DEFAULT (datetime('now', '+5 hours')),
-      updated_at         TEXT DEFAULT (datetime('now', '+5 hours')),
-      FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE SET NULL,
-      FOREIGN KEY(updated_by) REFERENCES users(id) ON DELETE SET NULL
-    )
-  `).run();
-
-  
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS patient_changes (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      patient_id  INTEGER NOT NULL,     
-      user_id     INTEGER,              
-      source      TEXT,                 
-      description TEXT,
-      changed_at  TEXT DEFAULT (datetime('now', '+5 hours')),
-      FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
-      FOREIGN KEY(user_id)   REFERENCES users(id)    ON DELETE SET NULL
-    )
-  `).run();
-
- 
-  db.prepare(`
-    CREATE TABLE IF NOT EXISTS patient_views (
-      id                  INTEGER PRIMARY KEY AUTOINCREMENT,
-      patient_id          INTEGER NOT NULL,
-      user_id             INTEGER NOT NULL,
-      last_seen_change_id INTEGER DEFAULT 0,
-      UNIQUE(patient_id, user_id),
-      FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
-      FOREIGN KEY(user_id)   REFERENCES users(id)    ON DELETE CASCADE
-    )
-  `).run();
+  migrateOnStart(dbFile);
 
   return db;
 }
@@ -130,7 +102,7 @@ export function ensureAdminUser(login, password) {
       UPDATE users
       SET password_hash = @password_hash,
           role          = 'admin',
-          updated_at    = datetime('now', '+5 hours')
+          updated_at    = datetime('now')
       WHERE id = @id
     `
     ).run({
@@ -144,8 +116,8 @@ export function ensureAdminUser(login, password) {
       INSERT INTO users (login, password_hash, full_name, role,
                          created_at, updated_at)
       VALUES (@login, @password_hash, @full_name, 'admin',
-              datetime('now', '+5 hours'),
-              datetime('now', '+5 hours'))
+              datetime('now'),
+              datetime('now'))
     `
     ).run({
       login: adminLogin,
@@ -176,6 +148,16 @@ export function findUserByTelegramId(telegramId) {
     .get(String(telegramId));
 }
 
+/**
+ * Активный пользователь с привязанным Telegram — только ему доступен бот
+ */
+export function findActiveUserByTelegramId(telegramId) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM users WHERE telegram_id = ? AND is_active = 1")
+    .get(String(telegramId));
+}
+
 export function listUsers() {
   if (!db) initDb();
   return db
@@ -201,7 +183,7 @@ export function createUser({ login, passwordHash, full_name, role, telegram_id }
     INSERT INTO users (login, password_hash, full_name, role, telegram_id,
                        created_at, updated_at)
     VALUES (@login, @password_hash, @full_name, @role, @telegram_id,
-            datetime('now', '+5 hours'), datetime('now', '+5 hours'))
+            datetime('now'), datetime('now'))
   `);
 
   const res = stmt.run({
@@ -240,23 +222,489 @@ export function updateUser(
         full_name     = @full_name,
         role          = @role,
         telegram_id   = @telegram_id,
-        updated_at    = datetime('now', '+5 hours')
+        updated_at    = datetime('now')
     WHERE id = @id
   `);
 
   stmt.run(data);
 }
 
+export function setUserActive(id, active) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE users SET is_active = ?, updated_at = datetime('now') WHERE id = ?"
+  ).run(active ? 1 : 0, id);
+}
+
+export function unlinkTelegram(userId) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE users SET telegram_id = NULL, updated_at = datetime('now') WHERE id = ?"
+  ).run(userId);
+}
+
+/**
+ * Новый код привязки Telegram (прежние коды пользователя сгорают).
+ * Возвращает { code, expires_at }.
+ */
+export function createTelegramLinkCode(userId, ttlMinutes) {
+  if (!db) initDb();
+
+  // без похожих символов (0/O, 1/I), чтобы код было легко перепечатать
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(6);
+  const code = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM telegram_link_codes WHERE user_id = ?").run(userId);
+    db.prepare(
+      `
+      INSERT INTO telegram_link_codes (code, user_id, expires_at, created_at)
+      VALUES (?, ?, datetime('now', ?), datetime('now'))
+    `
+    ).run(code, userId, `+${ttlMinutes} minutes`);
+  })();
+
+  return db
+    .prepare("SELECT code, expires_at FROM telegram_link_codes WHERE code = ?")
+    .get(code);
+}
+
+/**
+ * Привязать Telegram по коду. Код одноразовый; чат отвязывается от прежнего пользователя.
+ * Возвращает пользователя или null, если код неверный / истёк.
+ */
+export function consumeTelegramLinkCode(code, telegramId) {
+  if (!db) initDb();
+
+  const row = db
+    .prepare(
+      `
+      SELECT * FROM telegram_link_codes
+      WHERE code = ? AND expires_at > datetime('now')
+    `
+    )
+    .get(String(code || "").trim().toUpperCase());
+  if (!row) return null;
+
+  db.transaction(() => {
+    db.prepare("DELETE FROM telegram_link_codes WHERE code = ?").run(row.code);
+    db.prepare(
+      "UPDATE users SET telegram_id = NULL WHERE telegram_id = ? AND id <> ?"
+    ).run(String(telegramId), row.user_id);
+    db.prepare(
+      `
+      UPDATE users
+      SET telegram_id = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `
+    ).run(String(telegramId), row.user_id);
+  })();
+
+  return getUserById(row.user_id);
+}
+
 export function deleteUserById(id) {
   if (!db) initDb();
   db.prepare("DELETE FROM users WHERE id = ?").run(id);
 }
 
+/* ==================== ROLE PERMISSIONS ==================== */
+
+export function listRolePermissions() {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT role, permission FROM role_permissions ORDER BY role, permission")
+    .all();
+}
+
+export function getPermissionsForRole(role) {
+  if (!db) initDb();
+  if (!role) return [];
+  return db
+    .prepare("SELECT permission FROM role_permissions WHERE role = ?")
+    .all(role)
+    .map((r) => r.permission);
+}
+
+export function listAppliedPermissionDefaults() {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT permission FROM permission_defaults_applied")
+    .all()
+    .map((r) => r.permission);
+}
+
+/**
+ * Выдать права по умолчанию для ещё не применённых прав.
+ * defaults: { role: [permission, ...] }, permissions — все известные права
+ */
+export function applyPermissionDefaults(defaults, permissions) {
+  if (!db) initDb();
+
+  const grant = db.prepare(
+    "INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)"
+  );
+  const mark = db.prepare(
+    "INSERT OR IGNORE INTO permission_defaults_applied (permission) VALUES (?)"
+  );
+
+  db.transaction(() => {
+    permissions.forEach((perm) => {
+      Object.entries(defaults).forEach(([role, list]) => {
+        if (list.includes(perm)) grant.run(role, perm);
+      });
+      mark.run(perm);
+    });
+  })();
+}
+
+/**
+ * Полная замена прав роли
+ */
+export function setRolePermissions(role, permissions) {
+  if (!db) initDb();
+
+  const del = db.prepare("DELETE FROM role_permissions WHERE role = ?");
+  const ins = db.prepare(
+    "INSERT INTO role_permissions (role, permission) VALUES (?, ?)"
+  );
+
+  db.transaction(() => {
+    del.run(role);
+    (permissions || []).forEach((p) => ins.run(role, p));
+  })();
+}
+
+/* ==================== API TOKENS ==================== */
+
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Выпустить токен. Сам токен возвращается один раз — в базе только хэш.
+ */
+export function createApiToken(userId, name) {
+  if (!db) initDb();
+
+  const token = "ro_" + crypto.randomBytes(24).toString("hex");
+  const res = db
+    .prepare(
+      `
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, created_at)
+      VALUES (@user_id, @name, @token_hash, @token_prefix, datetime('now'))
+    `
+    )
+    .run({
+      user_id: userId,
+      name: name || null,
+      token_hash: hashApiToken(token),
+      token_prefix: token.slice(0, 10),
+    });
+
+  return { id: res.lastInsertRowid, token };
+}
+
+export function listApiTokensForUser(userId) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM api_tokens WHERE user_id = ? ORDER BY id DESC")
+    .all(userId);
+}
+
+export function revokeApiToken(id) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE api_tokens
+    SET revoked_at = datetime('now')
+    WHERE id = ? AND revoked_at IS NULL
+  `
+  ).run(id);
+}
+
+export function getApiTokenById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM api_tokens WHERE id = ?").get(id);
+}
+
+/**
+ * Пользователь по действующему токену (отмечает время использования)
+ */
+export function findUserByApiToken(token) {
+  if (!db) initDb();
+  if (!token) return null;
+
+  const row = db
+    .prepare(
+      `
+      SELECT t.id AS token_id, u.*
+      FROM api_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.revoked_at IS NULL AND u.is_active = 1
+    `
+    )
+    .get(hashApiToken(token));
+
+  if (!row) return null;
+
+  db.prepare(
+    "UPDATE api_tokens SET last_used_at = datetime('now') WHERE id = ?"
+  ).run(row.token_id);
+
+  const { token_id, ...user } = row;
+  return user;
+}
+
 /* ==================== PATIENTS ==================== */
 
-export function listPatientsForUser(userId) {
+export const PATIENT_STATUSES = [
+  "planning",
+  "on_treatment",
+  "interrupted",
+  "finished",
+  "follow_up",
+  "cancelled",
+];
+
+export const PATIENT_STATUS_LABELS = {
+  planning: "Планирование",
+  on_treatment: "На лечении",
+  interrupted: "Перерыв в лечении",
+  finished: "Завершён курс",
+  follow_up: "Наблюдение",
+  cancelled: "Лечение отменено",
+};
+
+/**
+ * Допустимые переходы статуса курса (новая карта может начинаться с любого статуса)
+ */
+export const PATIENT_STATUS_TRANSITIONS = {
+  planning: ["on_treatment", "cancelled"],
+  on_treatment: ["interrupted", "finished", "cancelled"],
+  interrupted: ["on_treatment", "finished", "cancelled"],
+  finished: ["follow_up"],
+  follow_up: [],
+  cancelled: [],
+};
+
+// для этих статусов причина перехода обязательна
+export const STATUSES_REQUIRING_REASON = ["interrupted", "cancelled"];
+
+/**
+ * Куда можно перейти из статуса (у старых карт без статуса — в любой)
+ */
+export function nextPatientStatuses(status) {
+  return PATIENT_STATUS_TRANSITIONS[status] || PATIENT_STATUSES;
+}
+
+/**
+ * Проверка перехода: текст ошибки или null, если переход допустим (или статус не меняется)
+ */
+export function checkStatusTransition(from, to, reason) {
+  if (!to || from === to) return null;
+  if (!PATIENT_STATUSES.includes(to)) return `Неизвестный статус: ${to}`;
+  if (!nextPatientStatuses(from).includes(to)) {
+    const allowed = nextPatientStatuses(from).map((s) => `«${PATIENT_STATUS_LABELS[s]}»`);
+    return (
+      `Нельзя перевести карту из статуса «${PATIENT_STATUS_LABELS[from] || from}» ` +
+      `в «${PATIENT_STATUS_LABELS[to]}»` +
+      (allowed.length ? `; допустимо: ${allowed.join(", ")}` : " — это конечный статус")
+    );
+  }
+  if (STATUSES_REQUIRING_REASON.includes(to) && !String(reason || "").trim()) {
+    return `Укажите причину перехода в статус «${PATIENT_STATUS_LABELS[to]}»`;
+  }
+  return null;
+}
+
+/**
+ * Ошибка «недопустимая смена статуса»: err.code = "INVALID_STATUS_TRANSITION"
+ */
+function statusTransitionError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_STATUS_TRANSITION";
+  return err;
+}
+
+function recordStatusTransition(patientRowId, from, to, { userId, reason, source }) {
+  db.prepare(
+    `
+    INSERT INTO patient_status_history
+      (patient_id, from_status, to_status, changed_at, changed_by, reason, source)
+    VALUES (?, ?, ?, datetime('now'), ?, ?, ?)
+  `
+  ).run(
+    patientRowId,
+    from || null,
+    to,
+    userId ?? null,
+    String(reason || "").trim() || null,
+    source || null
+  );
+}
+
+/**
+ * Редактируемые поля карты и их подписи (для истории, бота, форм)
+ */
+export const PATIENT_FIELD_LABELS = {
+  full_name: "ФИО",
+  birth_date: "Дата рождения",
+  region: "Регион",
+  diagnosis: "Диагноз",
+  diagnosis_code: "Код МКБ-10",
+  morphology_code: "Морфология (МКБ-О)",
+  tnm_t: "TNM: T",
+  tnm_n: "TNM: N",
+  tnm_m: "TNM: M",
+  stage: "Стадия",
+  topometry: "Топометрия",
+  method_gray: "Примечание к методике",
+  diary: "Дневник курса ЛТ",
+  complaints: "Жалобы",
+  prescriptions: "Назначения",
+  discharge_summary: "Выписка",
+  complications: "Осложнения",
+  status: "Статус",
+};
+
+// кодированный диагноз и стадия (поля карты, которые можно очистить через updatePatient)
+export const CODED_FIELDS = [
+  "diagnosis_code",
+  "morphology_code",
+  "tnm_t",
+  "tnm_n",
+  "tnm_m",
+  "stage",
+];
+
+function toHistoryValue(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return String(value);
+}
+
+/**
+ * Сравнение карты до/после — список изменённых полей
+ * [{ field, old_value, new_value }]
+ */
+function diffPatientFields(before, after) {
+  const changes = [];
+  Object.keys(PATIENT_FIELD_LABELS).forEach((field) => {
+    if (!(field in after)) return;
+    const oldValue = toHistoryValue(before[field]);
+    const newValue = toHistoryValue(after[field]);
+    if (oldValue !== newValue) {
+      changes.push({ field, old_value: oldValue, new_value: newValue });
+    }
+  });
+  return changes;
+}
+
+// колонки, по которым можно сортировать список (ключ из URL → SQL)
+const PATIENT_SORT_COLUMNS = {
+  patient_id: "CAST(p.patient_id AS INTEGER)",
+  full_name: "p.full_name COLLATE NOCASE",
+  birth_date: "p.birth_date",
+  region: "p.region COLLATE NOCASE",
+  diagnosis: "p.diagnosis COLLATE NOCASE",
+  diagnosis_code: "p.diagnosis_code",
+  status: "p.status",
+  created_at: "p.created_at",
+  updated_at: "p.updated_at",
+};
+
+/**
+ * Строка поиска → запрос FTS5: каждое слово ищется по префиксу, все слова обязательны.
+ * translit — слово ищется и в транслитерации ("ivanov" OR "иванов")
+ */
+function toFtsQuery(q, { translit = false } = {}) {
+  return String(q || "")
+    .split(/\s+/)
+    .map((t) => t.replace(/"/g, "").trim())
+    .filter(Boolean)
+    .map((t) => {
+      if (!translit) return `"${t}"*`;
+      const variants = searchVariants(t).map((v) => `"${v}"*`);
+      return variants.length > 1 ? `(${variants.join(" OR ")})` : variants[0];
+    })
+    .join(" AND ");
+}
+
+/**
+ * Общие условия WHERE для списка пациентов и подсчёта.
+ * filters: { q, qCode, translit, code, status, region, from, to, unread, mine }
+ * qCode — строка поиска похожа на код МКБ-10: ищем и по тексту, и по коду диагноза
+ */
+function buildPatientFilter(userId, filters = {}) {
+  // карты из архива в списке не показываем
+  const where = ["p.deleted_at IS NULL"];
+  const params = { userId };
+
+  const fts = toFtsQuery(filters.q, { translit: filters.translit });
+  if (fts) {
+    const byText = "p.id IN (SELECT rowid FROM patients_fts WHERE patients_fts MATCH @fts)";
+    if (filters.qCode) {
+      where.push(`(${byText} OR p.diagnosis_code LIKE @qCode || '%')`);
+      params.qCode = filters.qCode;
+    } else {
+      where.push(byText);
+    }
+    params.fts = fts;
+  }
+  // код МКБ-10 или его начало: C50 — все подрубрики C50.x
+  if (filters.code) {
+    where.push("p.diagnosis_code LIKE @code || '%'");
+    params.code = filters.code;
+  }
+  if (filters.status) {
+    where.push("p.status = @status");
+    params.status = filters.status;
+  }
+  if (filters.region) {
+    where.push("p.region = @region");
+    params.region = filters.region;
+  }
+  // границы дат — сутки по часам клиники, created_at хранится в UTC
+  if (filters.from) {
+    where.push("p.created_at >= @from");
+    params.from = clinicTimeToUtc(filters.from);
+  }
+  if (filters.to) {
+    where.push("p.created_at < @to");
+    params.to = clinicTimeToUtc(addDays(filters.to, 1));
+  }
+  if (filters.mine) {
+    where.push(`EXISTS (
+      SELECT 1 FROM patient_team pt
+      WHERE pt.patient_id = p.id AND pt.user_id = @userId
+    )`);
+  }
+  if (filters.unread) {
+    where.push(`EXISTS (
+      SELECT 1 FROM patient_changes pcu
+      WHERE pcu.patient_id = p.id
+        AND pcu.id > COALESCE(pv.last_seen_change_id, 0)
+    )`);
+  }
+
+  return {
+    where: where.length ? "WHERE " + where.join(" AND ") : "",
+    params,
+  };
+}
+
+/**
+ * Список пациентов с отметкой непрочитанных изменений для пользователя.
+ * filters: { q, qCode, translit, code, status, region, from, to, unread, mine, sort, dir, limit, offset }
+ */
+export function listPatientsForUser(userId, filters = {}) {
   if (!db) initDb();
 
+  const { where, params } = buildPatientFilter(userId, filters);
+  const sortColumn = PATIENT_SORT_COLUMNS[filters.sort] || "p.created_at";
+  const sortDir = filters.dir === "asc" ? "ASC" : "DESC";
+
   const stmt = db.prepare(`
     SELECT
       p.id,
@@ -265,9 +713,21 @@ export function listPatientsForUser(userId) {
       p.birth_date,
       p.region,
       p.diagnosis,
+      p.diagnosis_code,
+      p.stage,
       p.status,
+      p.method_gray,
       p.created_at,
       p.updated_at,
+      (SELECT SUM(tp.total_dose) FROM treatment_phases tp
+        WHERE tp.patient_id = p.id) AS plan_total_dose,
+      (SELECT SUM(tp.fractions) FROM treatment_phases tp
+        WHERE tp.patient_id = p.id) AS plan_fractions,
+      (SELECT GROUP_CONCAT(DISTINCT tp.technique) FROM treatment_phases tp
+        WHERE tp.patient_id = p.id) AS plan_techniques,
+      (SELECT COALESCE(u.full_name, u.login)
+         FROM patient_team pt JOIN users u ON u.id = pt.user_id
+        WHERE pt.patient_id = p.id AND pt.is_attending = 1) AS attending_name,
       MAX(pc.id) AS last_change_id,
       MAX(pc.changed_at) AS last_change_at,
       COALESCE(pv.last_seen_change_id, 0) AS last_seen_change_id,
@@ -281,11 +741,56 @@ export function listPatientsForUser(userId) {
       ON pc.patient_id = p.id
     LEFT JOIN patient_views pv
       ON pv.patient_id = p.id AND pv.user_id = @userId
+    ${where}
     GROUP BY p.id
-    ORDER BY p.created_at DESC, p.id DESC
+    ORDER BY ${sortColumn} ${sortDir}, p.id ${sortDir}
+    LIMIT @limit OFFSET @offset
   `);
 
-  return stmt.all({ userId });
+  return stmt.all({
+    ...params,
+    limit: filters.limit || -1,
+    offset: filters.offset || 0,
+  });
+}
+
+/**
+ * Количество пациентов под те же фильтры (для пагинации)
+ */
+export function countPatientsForUser(userId, filters = {}) {
+  if (!db) initDb();
+
+  const { where, params } = buildPatientFilter(userId, filters);
+  const row = db
+    .prepare(
+      `
+      SELECT COUNT(*) AS cnt
+      FROM patients p
+      LEFT JOIN patient_views pv
+        ON pv.patient_id = p.id AND pv.user_id = @userId
+      ${where}
+    `
+    )
+    .get(params);
+
+  return row ? row.cnt : 0;
+}
+
+/**
+ * Регионы, встречающиеся в картах (для фильтра)
+ */
+export function listPatientRegions() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT DISTINCT region FROM patients
+      WHERE region IS NOT NULL AND TRIM(region) <> '' AND deleted_at IS NULL
+      ORDER BY region COLLATE NOCASE
+    `
+    )
+    .all()
+    .map((r) => r.region);
 }
 
 export function getPatientByRowId(id) {
@@ -295,14 +800,17 @@ export function getPatientByRowId(id) {
     .get(id);
 }
 
+/**
+ * Карта по ID, который вводит врач (для бота). Карты из архива не находятся.
+ */
 export function getPatientByPatientId(patientId) {
   if (!db) initDb();
   return db
-    .prepare("SELECT * FROM patients WHERE patient_id = ?")
+    .prepare("SELECT * FROM patients WHERE patient_id = ? AND deleted_at IS NULL")
     .get(String(patientId));
 }
 
-export function createPatient(data) {
+export function createPatient(data, { source } = {}) {
   if (!db) initDb();
 
   const stmt = db.prepare(`
@@ -312,6 +820,12 @@ export function createPatient(data) {
       birth_date,
       region,
       diagnosis,
+      diagnosis_code,
+      morphology_code,
+      tnm_t,
+      tnm_n,
+      tnm_m,
+      stage,
       topometry,
       method_gray,
       diary,
@@ -330,6 +844,12 @@ export function createPatient(data) {
       @birth_date,
       @region,
       @diagnosis,
+      @diagnosis_code,
+      @morphology_code,
+      @tnm_t,
+      @tnm_n,
+      @tnm_m,
+      @stage,
       @topometry,
       @method_gray,
       @diary,
@@ -340,8 +860,8 @@ export function createPatient(data) {
       @status,
       @created_by,
       @updated_by,
-      datetime('now', '+5 hours'),
-      datetime('now', '+5 hours')
+      datetime('now'),
+      datetime('now')
     )
   `);
 
@@ -351,6 +871,12 @@ export function createPatient(data) {
     birth_date: data.birth_date || null,
     region: data.region || null,
     diagnosis: data.diagnosis || null,
+    diagnosis_code: data.diagnosis_code || null,
+    morphology_code: data.morphology_code || null,
+    tnm_t: data.tnm_t || null,
+    tnm_n: data.tnm_n || null,
+    tnm_m: data.tnm_m || null,
+    stage: data.stage || null,
     topometry: data.topometry || null,
     method_gray: data.method_gray ?? null,
     diary: data.diary || null,
@@ -363,14 +889,58 @@ export function createPatient(data) {
     updated_by: data.updated_by || null,
   });
 
+  recordStatusTransition(res.lastInsertRowid, null, data.status || "on_treatment", {
+    userId: data.created_by,
+    source,
+  });
   return res.lastInsertRowid;
 }
 
-export function updatePatient(id, data) {
+/**
+ * Новая карта вместе с планом облучения и командой — в одной транзакции:
+ * если не удался любой шаг, карта не создаётся. Возвращает id строки.
+ */
+export function createPatientCard(data, { source, phases, team }) {
+  if (!db) initDb();
+
+  return db.transaction(() => {
+    const rowId = createPatient(data, { source });
+    if (phases) replaceTreatmentPhases(rowId, phases);
+    setPatientTeam(rowId, team.attendingId, team.memberIds);
+    return rowId;
+  })();
+}
+
+/**
+ * Ошибка «карта уже изменена»: правка основана на устаревшей версии.
+ * err.current — актуальная карта.
+ */
+function versionConflict(current) {
+  const err = new Error("Карта пациента уже изменена другим пользователем");
+  err.code = "VERSION_CONFLICT";
+  err.current = current;
+  return err;
+}
+
+function checkVersion(current, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null) return;
+  if (current.version !== Number(expectedVersion)) throw versionConflict(current);
+}
+
+/**
+ * Обновление карты. expectedVersion — версия, на которой основана правка:
+ * если карту успели изменить, бросается ошибка с code = "VERSION_CONFLICT".
+ * Смена статуса проверяется по PATIENT_STATUS_TRANSITIONS (иначе ошибка с
+ * code = "INVALID_STATUS_TRANSITION") и пишется в журнал с причиной statusReason и источником source.
+ */
+export function updatePatient(id, data, { expectedVersion, statusReason, source } = {}) {
   if (!db) initDb();
 
   const current = getPatientByRowId(id);
   if (!current) throw new Error("Пациент не найден");
+  checkVersion(current, expectedVersion);
+  const statusError = checkStatusTransition(current.status, data.status, statusReason);
+  if (statusError) throw statusTransitionError(statusError);
 
   const merged = {
     id,
@@ -379,6 +949,10 @@ export function updatePatient(id, data) {
     region: data.region ?? current.region,
     diagnosis: data.diagnosis ?? current.diagnosis,
     topometry: data.topometry ?? current.topometry,
+    // коды и стадию можно и очистить: null — стереть, undefined — не менять
+    ...Object.fromEntries(
+      CODED_FIELDS.map((f) => [f, data[f] !== undefined ? data[f] || null : current[f]])
+    ),
     method_gray:
       data.method_gray !== undefined ? data.method_gray : current.method_gray,
     diary: data.diary ?? current.diary,
@@ -397,6 +971,12 @@ export function updatePatient(id, data) {
         birth_date        = @birth_date,
         region            = @region,
         diagnosis         = @diagnosis,
+        diagnosis_code    = @diagnosis_code,
+        morphology_code   = @morphology_code,
+        tnm_t             = @tnm_t,
+        tnm_n             = @tnm_n,
+        tnm_m             = @tnm_m,
+        stage             = @stage,
         topometry         = @topometry,
         method_gray       = @method_gray,
         diary             = @diary,
@@ -406,18 +986,113 @@ export function updatePatient(id, data) {
         complications     = @complications,
         status            = @status,
         updated_by        = @updated_by,
-        updated_at        = datetime('now', '+5 hours')
+        updated_at        = datetime('now'),
+        version           = version + @bump
     WHERE id = @id
   `);
 
-  stmt.run(merged);
+  const changes = diffPatientFields(current, merged);
+  db.transaction(() => {
+    stmt.run({ ...merged, bump: changes.length ? 1 : 0 });
+    if (merged.status !== current.status) {
+      recordStatusTransition(id, current.status, merged.status, {
+        userId: merged.updated_by,
+        reason: statusReason,
+        source,
+      });
+    }
+  })();
+
+  return changes;
+}
+
+/**
+ * Поднять версию карты без изменения полей (например, после замены плана облучения)
+ */
+export function bumpPatientVersion(id) {
+  if (!db) initDb();
+  db.prepare("UPDATE patients SET version = version + 1 WHERE id = ?").run(id);
+}
+
+/**
+ * Одна правка карты из нескольких шагов (поля, очистка полей, план, команда, запись
+ * в историю) — в одной транзакции: при ошибке не применяется ничего. Сколько бы шагов
+ * ни поднимали версию, после правки она больше исходной ровно на 1.
+ * apply(before) получает карту до правки; возвращается его результат.
+ */
+export function savePatientEdit(id, apply) {
+  if (!db) initDb();
+
+  return db.transaction(() => {
+    const before = getPatientByRowId(id);
+    if (!before) throw new Error("Пациент не найден");
+    const result = apply(before);
+    if (getPatientByRowId(id).version !== before.version) {
+      db.prepare("UPDATE patients SET version = ? WHERE id = ?").run(before.version + 1, id);
+    }
+    return result;
+  })();
+}
+
+/**
+ * Установить одно поле карты как есть (в т.ч. пустое значение) — для отката из истории.
+ * Статус проверяется и журналируется, как в updatePatient. Возвращает список изменений.
+ */
+export function setPatientField(
+  id,
+  field,
+  value,
+  updatedBy,
+  { expectedVersion, statusReason, source } = {}
+) {
+  if (!db) initDb();
+  if (!PATIENT_FIELD_LABELS[field]) throw new Error("Неизвестное поле: " + field);
+
+  const current = getPatientByRowId(id);
+  if (!current) throw new Error("Пациент не найден");
+  checkVersion(current, expectedVersion);
+  if (field === "status") {
+    if (!value) throw statusTransitionError("Статус карты не может быть пустым");
+    const statusError = checkStatusTransition(current.status, value, statusReason);
+    if (statusError) throw statusTransitionError(statusError);
+  }
+
+  const changes = diffPatientFields(current, { [field]: value ?? null });
+
+  db.prepare(
+    `
+    UPDATE patients
+    SET ${field}   = @value,
+        updated_by = @updated_by,
+        updated_at = datetime('now'),
+        version    = version + @bump
+    WHERE id = @id
+  `
+  ).run({
+    id,
+    value: value ?? null,
+    updated_by: updatedBy ?? current.updated_by,
+    bump: changes.length ? 1 : 0,
+  });
+  if (field === "status" && value !== current.status) {
+    recordStatusTransition(id, current.status, value, {
+      userId: updatedBy,
+      reason: statusReason,
+      source,
+    });
+  }
+
+  return changes;
 }
 
 /**
  * Обновление отдельных полей по patient_id (для бота)
  * patch: объект с полями diary / complaints / prescriptions / discharge_summary / complications / method_gray / status / updated_by
+ * (диагноз, коды и стадия в боте не правятся — сохраняются как есть)
+ * options (expectedVersion, statusReason, source) — как в updatePatient.
+ * Возвращает { id, changes } или null, если пациента нет.
  */
-export function updatePatientFieldsByPatientId(patientId, patch) {
+export function updatePatientFieldsByPatientId(patientId, patch, options = {}) {
   if (!db) initDb();
 
   const patient = getPatientByPatientId(patientId);
@@ -429,6 +1104,7 @@ export function updatePatientFieldsByPatientId(patientId, patch) {
     birth_date: patient.birth_date,
     region: patient.region,
     diagnosis: patient.diagnosis,
+    ...Object.fromEntries(CODED_FIELDS.map((f) => [f, patient[f]])),
     topometry: patient.topometry,
     method_gray:
       patch.method_gray !== undefined
@@ -444,42 +1120,1524 @@ export function updatePatientFieldsByPatientId(patientId, patch) {
     updated_by: patch.updated_by ?? patient.updated_by,
   };
 
-  updatePatient(patient.id, data);
-  return patient.id;
+  const changes = updatePatient(patient.id, data, options);
+  return { id: patient.id, changes };
 }
 
-export function deletePatientByRowId(id) {
+/**
+ * Удаление карты: перенос в архив с причиной (история и связи сохраняются)
+ */
+export function archivePatient(id, userId, reason) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE patients
+    SET deleted_at     = datetime('now'),
+        deleted_by     = ?,
+        deleted_reason = ?,
+        version        = version + 1
+    WHERE id = ? AND deleted_at IS NULL
+  `
+  ).run(userId ?? null, reason, id);
+}
+
+export function restorePatient(id) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE patients
+    SET deleted_at = NULL, deleted_by = NULL, deleted_reason = NULL, version = version + 1
+    WHERE id = ?
+  `
+  ).run(id);
+}
+
+/**
+ * Карты в архиве (новые сверху). purgeable — срок хранения retentionDays истёк.
+ */
+export function listArchivedPatients(retentionDays) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        p.id, p.patient_id, p.full_name, p.diagnosis,
+        p.deleted_at, p.deleted_reason,
+        u.full_name AS deleted_by_name,
+        u.login     AS deleted_by_login,
+        p.deleted_at <= datetime('now', @retention) AS purgeable
+      FROM patients p
+      LEFT JOIN users u ON u.id = p.deleted_by
+      WHERE p.deleted_at IS NOT NULL
+      ORDER BY p.deleted_at DESC
+    `
+    )
+    .all({ retention: `-${retentionDays} days` });
+}
+
+/**
+ * Окончательное удаление карты из архива — только после срока хранения.
+ * Возвращает true, если карта удалена.
+ */
+export function purgeArchivedPatient(id, retentionDays) {
+  if (!db) initDb();
+  const res = db
+    .prepare(
+      `
+      DELETE FROM patients
+      WHERE id = ? AND deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+    `
+    )
+    .run(id, `-${retentionDays} days`);
+  return res.changes > 0;
+}
+
+/**
+ * ID, ФИО и дата рождения всех карт (включая архив) — для поиска дублей при импорте
+ */
+export function listPatientIdentities() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      "SELECT id, patient_id, full_name, birth_date, deleted_at FROM patients"
+    )
+    .all();
+}
+
+/**
+ * Импорт карт одной транзакцией: либо загружаются все, либо ни одной.
+ * Карты без patient_id получают следующий свободный ID; создание попадает в историю
+ * с источником "import". Возвращает [{ id, patient_id }].
+ */
+export function importPatients(rows, userId, description) {
+  if (!db) initDb();
+
+  // сначала карты со своими ID, чтобы сгенерированный ID не занял ID из файла
+  const ordered = [
+    ...rows.filter((r) => r.patient_id),
+    ...rows.filter((r) => !r.patient_id),
+  ];
+
+  const tx = db.transaction(() =>
+    ordered.map((row) => {
+      const data = {
+        ...row,
+        patient_id: row.patient_id || generateNextPatientId(),
+        created_by: userId,
+        updated_by: userId,
+      };
+      const id = createPatient(data, { source: "import" });
+
+      const fields = Object.keys(PATIENT_FIELD_LABELS)
+        .filter((field) => data[field])
+        .map((field) => ({ field, old_value: null, new_value: data[field] }));
+      const changeId = recordPatientChange(id, userId, "import", description, fields);
+      markPatientSeen(id, userId, changeId);
+
+      return { id, patient_id: data.patient_id };
+    })
+  );
+
+  return tx();
+}
+
+/* ==================== STATUS HISTORY ==================== */
+
+/**
+ * Журнал смены статуса карты (по времени)
+ */
+export function listStatusHistory(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT h.*, u.full_name AS user_name, u.login AS user_login
+      FROM patient_status_history h
+      LEFT JOIN users u ON u.id = h.changed_by
+      WHERE h.patient_id = ?
+      ORDER BY h.changed_at, h.id
+    `
+    )
+    .all(patientRowId);
+}
+
+/* ==================== CARE TEAM ==================== */
+
+/**
+ * Команда пациента: лечащий врач первым
+ */
+export function getPatientTeam(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        pt.user_id,
+        pt.is_attending,
+        u.login,
+        u.full_name,
+        u.role,
+        u.telegram_id
+      FROM patient_team pt
+      JOIN users u ON u.id = pt.user_id
+      WHERE pt.patient_id = ?
+      ORDER BY pt.is_attending DESC, u.full_name COLLATE NOCASE
+    `
+    )
+    .all(patientRowId);
+}
+
+/**
+ * Полная замена команды пациента
+ */
+export function setPatientTeam(patientRowId, attendingId, memberIds = []) {
+  if (!db) initDb();
+
+  const del = db.prepare("DELETE FROM patient_team WHERE patient_id = ?");
+  const ins = db.prepare(`
+    INSERT OR REPLACE INTO patient_team (patient_id, user_id, is_attending, added_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `);
+
+  db.transaction(() => {
+    del.run(patientRowId);
+    memberIds
+      .filter((uid) => uid && uid !== attendingId)
+      .forEach((uid) => ins.run(patientRowId, uid, 0));
+    if (attendingId) ins.run(patientRowId, attendingId, 1);
+  })();
+}
+
+/**
+ * Команда одной строкой — для истории изменений
+ */
+export function formatTeamText(team) {
+  const name = (m) => m.full_name || m.login;
+  const attending = team.find((m) => m.is_attending);
+  const others = team.filter((m) => !m.is_attending).map(name);
+
+  const lines = [];
+  if (attending) lines.push(`Лечащий врач: ${name(attending)}`);
+  if (others.length) lines.push(`Команда: ${others.join(", ")}`);
+  return lines.join("\n");
+}
+
+export function isSubscribed(patientRowId, userId) {
+  if (!db) initDb();
+  return Boolean(
+    db
+      .prepare(
+        "SELECT 1 FROM patient_subscriptions WHERE patient_id = ? AND user_id = ?"
+      )
+      .get(patientRowId, userId)
+  );
+}
+
+export function setSubscription(patientRowId, userId, subscribed) {
+  if (!db) initDb();
+  if (subscribed) {
+    db.prepare(
+      `
+      INSERT OR IGNORE INTO patient_subscriptions (patient_id, user_id, created_at)
+      VALUES (?, ?, datetime('now'))
+    `
+    ).run(patientRowId, userId);
+  } else {
+    db.prepare(
+      "DELETE FROM patient_subscriptions WHERE patient_id = ? AND user_id = ?"
+    ).run(patientRowId, userId);
+  }
+}
+
+/**
+ * Кому слать уведомления по карте: команда + подписчики с привязанным Telegram
+ */
+export function listNotificationRecipients(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT DISTINCT u.*
+      FROM users u
+      WHERE u.telegram_id IS NOT NULL AND TRIM(u.telegram_id) <> ''
+        AND u.is_active = 1
+        AND (
+          u.id IN (SELECT user_id FROM patient_team WHERE patient_id = @pid)
+          OR u.id IN (SELECT user_id FROM patient_subscriptions WHERE patient_id = @pid)
+        )
+    `
+    )
+    .all({ pid: patientRowId });
+}
+
+/* ==================== NOTIFICATION SETTINGS ==================== */
+
+/**
+ * Настройки уведомлений пользователя + режимы по событиям ({ event: mode })
+ */
+export function getNotificationSettings(userId) {
+  if (!db) initDb();
+
+  const row =
+    db
+      .prepare("SELECT * FROM notification_settings WHERE user_id = ?")
+      .get(userId) || {
+      user_id: userId,
+      quiet_from: null,
+      quiet_to: null,
+      digest_time: "08:00",
+      last_digest_on: null,
+    };
+
+  const prefs = {};
+  db.prepare("SELECT event, mode FROM notification_prefs WHERE user_id = ?")
+    .all(userId)
+    .forEach((r) => {
+      prefs[r.event] = r.mode;
+    });
+
+  return { ...row, prefs };
+}
+
+/**
+ * Сохранить настройки: { quiet_from, quiet_to, digest_time, prefs: { event: mode } }
+ */
+export function saveNotificationSettings(userId, settings) {
+  if (!db) initDb();
+
+  const upsert = db.prepare(`
+    INSERT INTO notification_settings (user_id, quiet_from, quiet_to, digest_time)
+    VALUES (@user_id, @quiet_from, @quiet_to, @digest_time)
+    ON CONFLICT(user_id) DO UPDATE SET
+      quiet_from  = excluded.quiet_from,
+      quiet_to    = excluded.quiet_to,
+      digest_time = excluded.digest_time
+  `);
+  const setPref = db.prepare(`
+    INSERT INTO notification_prefs (user_id, event, mode) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, event) DO UPDATE SET mode = excluded.mode
+  `);
+
+  db.transaction(() => {
+    upsert.run({
+      user_id: userId,
+      quiet_from: settings.quiet_from || null,
+      quiet_to: settings.quiet_to || null,
+      digest_time: settings.digest_time || "08:00",
+    });
+    Object.entries(settings.prefs || {}).forEach(([event, mode]) => {
+      setPref.run(userId, event, mode);
+    });
+  })();
+}
+
+export function markDigestSent(userId, date) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    INSERT INTO notification_settings (user_id, last_digest_on) VALUES (?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET last_digest_on = excluded.last_digest_on
+  `
+  ).run(userId, date);
+}
+
+/**
+ * Пользователи с привязанным Telegram (кандидаты на дайджест)
+ */
+export function listTelegramUsers() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      "SELECT * FROM users WHERE telegram_id IS NOT NULL AND TRIM(telegram_id) <> '' AND is_active = 1"
+    )
+    .all();
+}
+
+export function enqueueNotification({ user_id, kind, event, text, deliver_after }) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    INSERT INTO notification_queue (user_id, kind, event, text, deliver_after, created_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+  `
+  ).run(user_id, kind, event || null, text, deliver_after || null);
+}
+
+/**
+ * Отложенные (тихие часы) сообщения, время которых пришло
+ */
+export function listDueNotifications() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT q.*, u.telegram_id
+      FROM notification_queue q
+      JOIN users u ON u.id = q.user_id
+      WHERE q.kind = 'held'
+        AND q.deliver_after <= datetime('now')
+      ORDER BY q.id
+    `
+    )
+    .all();
+}
+
+export function listDigestQueue(userId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      "SELECT * FROM notification_queue WHERE user_id = ? AND kind = 'digest' ORDER BY id"
+    )
+    .all(userId);
+}
+
+export function deleteNotifications(ids) {
+  if (!db) initDb();
+  const del = db.prepare("DELETE FROM notification_queue WHERE id = ?");
+  db.transaction(() => ids.forEach((id) => del.run(id)))();
+}
+
+/**
+ * Непросмотренные пользователем изменения по картам его команды и подпискам
+ * (чужие изменения после last_seen_change_id из patient_views)
+ */
+export function listUnseenChangesForUser(userId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        pc.id,
+        pc.source,
+        pc.description,
+        pc.changed_at,
+        p.id         AS patient_row_id,
+        p.patient_id,
+        p.full_name,
+        EXISTS (
+          SELECT 1 FROM patient_change_fields f
+          WHERE f.change_id = pc.id AND f.field = 'status'
+        ) AS has_status
+      FROM patient_changes pc
+      JOIN patients p ON p.id = pc.patient_id
+      LEFT JOIN patient_views pv
+        ON pv.patient_id = p.id AND pv.user_id = @userId
+      WHERE pc.id > COALESCE(pv.last_seen_change_id, 0)
+        AND p.deleted_at IS NULL
+        AND (pc.user_id IS NULL OR pc.user_id <> @userId)
+        AND (
+          p.id IN (SELECT patient_id FROM patient_team WHERE user_id = @userId)
+          OR p.id IN (SELECT patient_id FROM patient_subscriptions WHERE user_id = @userId)
+        )
+      ORDER BY p.id, pc.id
+    `
+    )
+    .all({ userId });
+}
+
+/* ==================== BOT SESSIONS ==================== */
+
+// последняя открытая в чате карта — тоже строка bot_sessions (kind = 'opened_card'),
+// но не диалог: в очередь, предупреждения и /cancel не попадает
+const OPENED_CARD_KIND = "opened_card";
+
+export function createBotSession({ chat_id, kind, patient_id, field, label }) {
+  if (!db) initDb();
+  const res = db
+    .prepare(
+      `
+      INSERT INTO bot_sessions (chat_id, kind, patient_id, field, label, state, created_at)
+      VALUES (?, ?, ?, ?, ?, 'queued', datetime('now'))
+    `
+    )
+    .run(String(chat_id), kind, String(patient_id), field || null, label || null);
+  return res.lastInsertRowid;
+}
+
+/**
+ * Диалоги чата по порядку: первый — текущий, остальные в очереди
+ */
+export function listBotSessions(chatId) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM bot_sessions WHERE chat_id = ? AND kind <> ? ORDER BY id")
+    .all(String(chatId), OPENED_CARD_KIND);
+}
+
+export function getBotSessionById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM bot_sessions WHERE id = ?").get(id);
+}
+
+/**
+ * Обновить состояние диалога и продлить его срок (ttlMinutes с текущего момента)
+ */
+export function updateBotSession(id, { state, pending_text }, ttlMinutes) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE bot_sessions
+    SET state        = @state,
+        pending_text = @pending_text,
+        expires_at   = datetime('now', @ttl),
+        warned_at    = NULL
+    WHERE id = @id
+  `
+  ).run({
+    id,
+    state,
+    pending_text: pending_text ?? null,
+    ttl: `+${ttlMinutes} minutes`,
+  });
+}
+
+/**
+ * Запомнить версию карты и значение поля, от которых врач начал правку
+ */
+export function setBotSessionBase(id, baseVersion, baseValue) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE bot_sessions SET base_version = ?, base_value = ? WHERE id = ?"
+  ).run(baseVersion ?? null, baseValue ?? null, id);
+}
+
+export function deleteBotSession(id) {
+  if (!db) initDb();
+  db.prepare("DELETE FROM bot_sessions WHERE id = ?").run(id);
+}
+
+export function deleteBotSessionsForChat(chatId) {
+  if (!db) initDb();
+  return db
+    .prepare("DELETE FROM bot_sessions WHERE chat_id = ? AND kind <> ?")
+    .run(String(chatId), OPENED_CARD_KIND).changes;
+}
+
+/**
+ * Активные диалоги, которые истекут в ближайшие warnMinutes и ещё не предупреждены
+ */
+export function listBotSessionsToWarn(warnMinutes) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT * FROM bot_sessions
+      WHERE state <> 'queued' AND kind <> ? AND warned_at IS NULL
+        AND expires_at <= datetime('now', ?)
+        AND expires_at > datetime('now')
+    `
+    )
+    .all(OPENED_CARD_KIND, `+${warnMinutes} minutes`);
+}
+
+export function markBotSessionWarned(id) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE bot_sessions SET warned_at = datetime('now') WHERE id = ?"
+  ).run(id);
+}
+
+export function listExpiredBotSessions() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT * FROM bot_sessions
+      WHERE state <> 'queued' AND kind <> ? AND expires_at <= datetime('now')
+      ORDER BY id
+    `
+    )
+    .all(OPENED_CARD_KIND);
+}
+
+/**
+ * Запомнить открытую в чате карту на ttlMinutes (заодно убираются истёкшие записи)
+ */
+export function setBotOpenedCard(chatId, patientId, ttlMinutes) {
+  if (!db) initDb();
+  db.transaction(() => {
+    db.prepare(
+      `DELETE FROM bot_sessions
+       WHERE kind = ? AND (chat_id = ? OR expires_at <= datetime('now'))`
+    ).run(OPENED_CARD_KIND, String(chatId));
+    db.prepare(
+      `
+      INSERT INTO bot_sessions (chat_id, kind, patient_id, state, expires_at, created_at)
+      VALUES (?, ?, ?, 'opened', datetime('now', ?), datetime('now'))
+    `
+    ).run(String(chatId), OPENED_CARD_KIND, String(patientId), `+${ttlMinutes} minutes`);
+  })();
+}
+
+/**
+ * ID пациента (patients.patient_id) последней открытой в чате карты или null, если срок вышел
+ */
+export function getBotOpenedCard(chatId) {
+  if (!db) initDb();
+  const row = db
+    .prepare(
+      `SELECT patient_id FROM bot_sessions
+       WHERE chat_id = ? AND kind = ? AND expires_at > datetime('now')`
+    )
+    .get(String(chatId), OPENED_CARD_KIND);
+  return row ? row.patient_id : null;
+}
+
+/* ==================== TREATMENT PLAN ==================== */
+
+/**
+ * Фазы плана облучения пациента (в порядке ввода)
+ */
+export function listTreatmentPhases(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      "SELECT * FROM treatment_phases WHERE patient_id = ? ORDER BY position ASC, id ASC"
+    )
+    .all(patientRowId);
+}
+
+/**
+ * Полная замена плана облучения (форма присылает все фазы разом).
+ * phases — уже нормализованные объекты (см. normalizePhase в dose.js)
+ */
+export function replaceTreatmentPhases(patientRowId, phases) {
+  if (!db) initDb();
+
+  const del = db.prepare("DELETE FROM treatment_phases WHERE patient_id = ?");
+  const ins = db.prepare(`
+    INSERT INTO treatment_phases (
+      patient_id, position, name, target_volume, total_dose,
+      dose_per_fraction, fractions, technique, energy, alpha_beta, created_at
+    ) VALUES (
+      @patient_id, @position, @name, @target_volume, @total_dose,
+      @dose_per_fraction, @fractions, @technique, @energy, @alpha_beta,
+      datetime('now')
+    )
+  `);
+
+  const tx = db.transaction((list) => {
+    del.run(patientRowId);
+    list.forEach((p, i) => {
+      ins.run({
+        patient_id: patientRowId,
+        position: i,
+        name: p.name || null,
+        target_volume: p.target_volume || null,
+        total_dose: p.total_dose ?? null,
+        dose_per_fraction: p.dose_per_fraction ?? null,
+        fractions: p.fractions ?? null,
+        technique: p.technique || null,
+        energy: p.energy || null,
+        alpha_beta: p.alpha_beta ?? null,
+      });
+    });
+  });
+
+  tx(phases || []);
+}
+
+/* ==================== DIARY ==================== */
+
+/**
+ * Записи дневника пациента (старые сверху).
+ * limit — вернуть только последние N записей.
+ */
+export function listDiaryEntries(patientRowId, limit = null) {
+  if (!db) initDb();
+
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        de.*,
+        u.full_name AS author_name,
+        u.login     AS author_login
+      FROM diary_entries de
+      LEFT JOIN users u ON u.id = de.author_id
+      WHERE de.patient_id = @patient_id
+      ORDER BY de.id DESC
+      LIMIT @limit
+    `
+    )
+    .all({ patient_id: patientRowId, limit: limit || -1 });
+
+  return rows.reverse().map((r) => ({
+    ...r,
+    author_name: r.author_name || r.author_login || null,
+  }));
+}
+
+export function countDiaryEntries(patientRowId) {
+  if (!db) initDb();
+  const row = db
+    .prepare("SELECT COUNT(*) AS cnt FROM diary_entries WHERE patient_id = ?")
+    .get(patientRowId);
+  return row ? row.cnt : 0;
+}
+
+/**
+ * Добавить запись в дневник. Возвращает id записи.
+ */
+export function addDiaryEntry({ patient_id, author_id, source, text }) {
+  if (!db) initDb();
+
+  const res = db
+    .prepare(
+      `
+      INSERT INTO diary_entries (patient_id, author_id, source, text, created_at)
+      VALUES (@patient_id, @author_id, @source, @text, datetime('now'))
+    `
+    )
+    .run({
+      patient_id,
+      author_id: author_id || null,
+      source: source || null,
+      text,
+    });
+
+  return res.lastInsertRowid;
+}
+
+/* ==================== FRACTIONS ==================== */
+
+/**
+ * Журнал фракций пациента (старые сверху)
+ */
+export function listFractionDeliveries(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        fd.*,
+        u.full_name AS recorded_by_name,
+        u.login     AS recorded_by_login
+      FROM fraction_deliveries fd
+      LEFT JOIN users u ON u.id = fd.recorded_by
+      WHERE fd.patient_id = ?
+      ORDER BY fd.delivered_on ASC, fd.id ASC
+    `
+    )
+    .all(patientRowId);
+}
+
+/**
+ * Номер следующей проводимой фракции
+ */
+export function getNextFractionNumber(patientRowId) {
+  if (!db) initDb();
+  const row = db
+    .prepare(
+      `
+      SELECT MAX(fraction_number) AS max_num
+      FROM fraction_deliveries
+      WHERE patient_id = ? AND status = 'delivered'
+    `
+    )
+    .get(patientRowId);
+  return (row && row.max_num ? Number(row.max_num) : 0) + 1;
+}
+
+/**
+ * Добавить запись о фракции (проведена / пропущена).
+ * Если дата не передана — берётся сегодняшняя.
+ */
+export function addFractionDelivery(data) {
+  if (!db) initDb();
+
+  const stmt = db.prepare(`
+    INSERT INTO fraction_deliveries (
+      patient_id, delivered_on, fraction_number, dose, machine,
+      status, missed_reason, source, recorded_by, created_at
+    ) VALUES (
+      @patient_id,
+      COALESCE(@delivered_on, @today),
+      @fraction_number, @dose, @machine,
+      @status, @missed_reason, @source, @recorded_by,
+      datetime('now')
+    )
+  `);
+
+  const res = stmt.run({
+    patient_id: data.patient_id,
+    delivered_on: data.delivered_on || null,
+    today: clinicToday(),
+    fraction_number: data.fraction_number ?? null,
+    dose: data.dose ?? null,
+    machine: data.machine || null,
+    status: data.status === "missed" ? "missed" : "delivered",
+    missed_reason: data.missed_reason || null,
+    source: data.source || null,
+    recorded_by: data.recorded_by || null,
+  });
+
+  return res.lastInsertRowid;
+}
+
+export function getFractionDeliveryById(id) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM fraction_deliveries WHERE id = ?")
+    .get(id);
+}
+
+export function deleteFractionDelivery(id) {
+  if (!db) initDb();
+  db.prepare("DELETE FROM fraction_deliveries WHERE id = ?").run(id);
+}
+
+/* ==================== SCHEDULE ==================== */
+
+export function listMachines({ activeOnly = false } = {}) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `SELECT * FROM machines ${activeOnly ? "WHERE is_active = 1" : ""} ORDER BY name COLLATE NOCASE`
+    )
+    .all();
+}
+
+export function getMachineById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM machines WHERE id = ?").get(id);
+}
+
+export function createMachine({ name, description, day_start, day_end, slot_minutes }) {
+  if (!db) initDb();
+  const res = db
+    .prepare(
+      `
+      INSERT INTO machines (name, description, day_start, day_end, slot_minutes)
+      VALUES (@name, @description, @day_start, @day_end, @slot_minutes)
+    `
+    )
+    .run({ name, description: description || null, day_start, day_end, slot_minutes });
+  return res.lastInsertRowid;
+}
+
+export function updateMachine(id, { name, description, day_start, day_end, slot_minutes, is_active }) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE machines
+    SET name = @name, description = @description, day_start = @day_start,
+        day_end = @day_end, slot_minutes = @slot_minutes, is_active = @is_active
+    WHERE id = @id
+  `
+  ).run({
+    id,
+    name,
+    description: description || null,
+    day_start,
+    day_end,
+    slot_minutes,
+    is_active: is_active ? 1 : 0,
+  });
+}
+
+/**
+ * Праздничные (нерабочие) дни; fromDate — начиная с даты
+ */
+export function listHolidays(fromDate = null) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM holidays WHERE @from IS NULL OR date >= @from ORDER BY date")
+    .all({ from: fromDate });
+}
+
+export function addHoliday(date, title) {
+  if (!db) initDb();
+  db.prepare("INSERT OR REPLACE INTO holidays (date, title) VALUES (?, ?)").run(
+    date,
+    title || null
+  );
+}
+
+export function deleteHoliday(date) {
+  if (!db) initDb();
+  db.prepare("DELETE FROM holidays WHERE date = ?").run(date);
+}
+
+// номер сеанса в серии (без отменённых и пропущенных) — для «фр. 3/25»
+const APPOINTMENT_SELECT = `
+  SELECT a.*,
+    p.patient_id AS patient_code,
+    p.full_name  AS patient_name,
+    m.name       AS machine_name,
+    s.fractions  AS series_fractions,
+    CASE WHEN a.status IN ('scheduled', 'done') THEN (
+      SELECT COUNT(*) FROM treatment_appointments a2
+      WHERE a2.series_id = a.series_id AND a2.status IN ('scheduled', 'done')
+        AND (a2.date < a.date OR (a2.date = a.date AND a2.id <= a.id))
+    ) END AS series_number
+  FROM treatment_appointments a
+  JOIN patients p ON p.id = a.patient_id
+  JOIN machines m ON m.id = a.machine_id
+  JOIN treatment_series s ON s.id = a.series_id
+`;
+
+/**
+ * Занятое время (запланированные и проведённые сеансы) за период — для проверки пересечений.
+ * Сеансы карт из архива время не занимают.
+ */
+export function listBusyAppointments(fromDate, toDate) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT a.id, a.series_id, a.patient_id, a.machine_id, a.date, a.start_time, a.duration_min
+      FROM treatment_appointments a
+      JOIN patients p ON p.id = a.patient_id
+      WHERE a.status IN ('scheduled', 'done') AND a.date >= ? AND a.date <= ?
+        AND p.deleted_at IS NULL
+    `
+    )
+    .all(fromDate, toDate);
+}
+
+/**
+ * Сеансы аппарата за период (для календаря); карты из архива не показываем
+ */
+export function listMachineAppointments(machineId, fromDate, toDate) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      ${APPOINTMENT_SELECT}
+      WHERE a.machine_id = ? AND a.date >= ? AND a.date <= ?
+        AND a.status <> 'cancelled' AND p.deleted_at IS NULL
+      ORDER BY a.date, a.start_time
+    `
+    )
+    .all(machineId, fromDate, toDate);
+}
+
+/**
+ * Сеансы за день по пациентам, в команде которых пользователь (для /today в боте)
+ */
+export function listUserAppointmentsOnDate(userId, date) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      ${APPOINTMENT_SELECT}
+      WHERE a.date = @date AND a.status <> 'cancelled' AND p.deleted_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM patient_team pt
+          WHERE pt.patient_id = a.patient_id AND pt.user_id = @userId
+        )
+      ORDER BY m.name COLLATE NOCASE, a.start_time
+    `
+    )
+    .all({ userId, date });
+}
+
+export function listPatientAppointments(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      ${APPOINTMENT_SELECT}
+      WHERE a.patient_id = ? AND a.status <> 'cancelled'
+      ORDER BY a.date, a.start_time
+    `
+    )
+    .all(patientRowId);
+}
+
+/**
+ * Серии пациента с числом проведённых / запланированных сеансов
+ */
+export function listPatientSeries(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT s.*, m.name AS machine_name,
+        (SELECT COUNT(*) FROM treatment_appointments a
+          WHERE a.series_id = s.id AND a.status = 'done') AS done_count,
+        (SELECT COUNT(*) FROM treatment_appointments a
+          WHERE a.series_id = s.id AND a.status = 'scheduled') AS scheduled_count,
+        (SELECT COUNT(*) FROM treatment_appointments a
+          WHERE a.series_id = s.id AND a.status = 'missed') AS missed_count,
+        (SELECT MAX(a.date) FROM treatment_appointments a
+          WHERE a.series_id = s.id AND a.status IN ('scheduled', 'done')) AS end_date
+      FROM treatment_series s
+      JOIN machines m ON m.id = s.machine_id
+      WHERE s.patient_id = ?
+      ORDER BY s.start_date DESC, s.id DESC
+    `
+    )
+    .all(patientRowId);
+}
+
+export function getSeriesById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM treatment_series WHERE id = ?").get(id);
+}
+
+/**
+ * Новая серия вместе с сеансами (одной транзакцией).
+ * appointments: [{ date, start_time }]. Возвращает id серии.
+ */
+export function createSeries(series, appointments) {
+  if (!db) initDb();
+  const tx = db.transaction(() => {
+    const res = db
+      .prepare(
+        `
+        INSERT INTO treatment_series (
+          patient_id, machine_id, start_date, start_time, duration_min,
+          fractions, weekdays, created_by
+        ) VALUES (
+          @patient_id, @machine_id, @start_date, @start_time, @duration_min,
+          @fractions, @weekdays, @created_by
+        )
+      `
+      )
+      .run(series);
+    addAppointments(
+      appointments.map((a) => ({
+        ...a,
+        series_id: res.lastInsertRowid,
+        patient_id: series.patient_id,
+        machine_id: series.machine_id,
+        duration_min: series.duration_min,
+      }))
+    );
+    return res.lastInsertRowid;
+  });
+  return tx();
+}
+
+/**
+ * appointments: [{ series_id, patient_id, machine_id, date, start_time, duration_min, note? }]
+ */
+export function addAppointments(appointments) {
+  if (!db) initDb();
+  const insert = db.prepare(
+    `
+    INSERT INTO treatment_appointments (
+      series_id, patient_id, machine_id, date, start_time, duration_min, note
+    ) VALUES (
+      @series_id, @patient_id, @machine_id, @date, @start_time, @duration_min, @note
+    )
+  `
+  );
+  appointments.forEach((a) => insert.run({ note: null, ...a }));
+}
+
+export function setAppointmentStatus(id, status, note = null) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE treatment_appointments SET status = ?, note = COALESCE(?, note) WHERE id = ?"
+  ).run(status, note, id);
+}
+
+export function listSeriesAppointments(seriesId) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT * FROM treatment_appointments WHERE series_id = ? ORDER BY date, start_time")
+    .all(seriesId);
+}
+
+/**
+ * Отмена серии: оставшиеся сеансы снимаются с расписания
+ */
+export function cancelSeries(id) {
+  if (!db) initDb();
+  const tx = db.transaction(() => {
+    db.prepare("UPDATE treatment_series SET status = 'cancelled' WHERE id = ?").run(id);
+    db.prepare(
+      "UPDATE treatment_appointments SET status = 'cancelled' WHERE series_id = ? AND status = 'scheduled'"
+    ).run(id);
+  });
+  tx();
+}
+
+/**
+ * Запланированные сеансы до даты включительно с отметками журнала фракций за тот же день:
+ * delivered — фракция проведена, missed_reason — отмечен пропуск
+ */
+export function listDueAppointments(date) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT a.*,
+        EXISTS (
+          SELECT 1 FROM fraction_deliveries fd
+          WHERE fd.patient_id = a.patient_id AND fd.delivered_on = a.date
+            AND fd.status = 'delivered'
+        ) AS delivered,
+        (SELECT fd.missed_reason FROM fraction_deliveries fd
+          WHERE fd.patient_id = a.patient_id AND fd.delivered_on = a.date
+            AND fd.status = 'missed'
+          ORDER BY fd.id DESC LIMIT 1) AS missed_reason,
+        EXISTS (
+          SELECT 1 FROM fraction_deliveries fd
+          WHERE fd.patient_id = a.patient_id AND fd.delivered_on = a.date
+            AND fd.status = 'missed'
+        ) AS missed
+      FROM treatment_appointments a
+      JOIN treatment_series s ON s.id = a.series_id
+      WHERE a.status = 'scheduled' AND a.date <= ? AND s.status = 'active'
+      ORDER BY a.date, a.start_time
+    `
+    )
+    .all(date);
+}
+
+/* ==================== FOLLOW-UP ==================== */
+
+const FOLLOW_UP_SELECT = `
+  SELECT v.*,
+    p.patient_id AS patient_code,
+    p.full_name  AS patient_name,
+    p.status     AS patient_status,
+    r.full_name  AS recorded_by_name,
+    r.login      AS recorded_by_login,
+    (SELECT COALESCE(u.full_name, u.login) FROM patient_team pt
+      JOIN users u ON u.id = pt.user_id
+      WHERE pt.patient_id = v.patient_id AND pt.is_attending = 1) AS attending_name
+  FROM follow_up_visits v
+  JOIN patients p ON p.id = v.patient_id
+  LEFT JOIN users r ON r.id = v.recorded_by
+`;
+
+export function listPatientFollowUps(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(`${FOLLOW_UP_SELECT} WHERE v.patient_id = ? ORDER BY v.due_date, v.id`)
+    .all(patientRowId);
+}
+
+export function getFollowUpById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM follow_up_visits WHERE id = ?").get(id);
+}
+
+/**
+ * План наблюдения: visits — [{ due_date, months_after }] (одной транзакцией)
+ */
+export function createFollowUps(patientRowId, visits, createdBy) {
+  if (!db) initDb();
+  const insert = db.prepare(
+    `
+    INSERT INTO follow_up_visits (patient_id, due_date, months_after, created_by, created_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+  `
+  );
+  db.transaction(() => {
+    visits.forEach((v) => insert.run(patientRowId, v.due_date, v.months_after ?? null, createdBy));
+  })();
+}
+
+/**
+ * Итог визита: status (done | missed), дата, исход, ответ, поздняя токсичность
+ */
+export function recordFollowUp(id, data) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE follow_up_visits
+    SET status = @status, visit_date = @visit_date, outcome = @outcome, response = @response,
+        late_toxicity = @late_toxicity, late_toxicity_grade = @late_toxicity_grade,
+        notes = @notes, recorded_by = @recorded_by, recorded_at = datetime('now')
+    WHERE id = @id
+  `
+  ).run({
+    id,
+    status: data.status,
+    visit_date: data.visit_date || null,
+    outcome: data.outcome || null,
+    response: data.response || null,
+    late_toxicity: data.late_toxicity || null,
+    late_toxicity_grade: data.late_toxicity_grade ?? null,
+    notes: data.notes || null,
+    recorded_by: data.recorded_by,
+  });
+}
+
+/**
+ * Перенос срока визита: напоминания по нему отправятся заново
+ */
+export function setFollowUpDueDate(id, dueDate) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE follow_up_visits
+    SET due_date = ?, status = 'planned', reminded_at = NULL, overdue_notified_at = NULL
+    WHERE id = ?
+  `
+  ).run(dueDate, id);
+}
+
+export function cancelFollowUp(id) {
+  if (!db) initDb();
+  db.prepare("UPDATE follow_up_visits SET status = 'cancelled' WHERE id = ?").run(id);
+}
+
+/**
+ * Визиты для списка в веб-панели (карты из архива не показываем).
+ * status — planned | missed | done; from / to — границы срока; userId — только свои пациенты.
+ */
+export function listFollowUps({ status = "planned", from = null, to = null, userId = null } = {}) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      ${FOLLOW_UP_SELECT}
+      WHERE v.status = @status AND p.deleted_at IS NULL
+        AND (@from IS NULL OR v.due_date >= @from)
+        AND (@to IS NULL OR v.due_date <= @to)
+        AND (@userId IS NULL OR EXISTS (
+          SELECT 1 FROM patient_team pt WHERE pt.patient_id = v.patient_id AND pt.user_id = @userId
+        ))
+      ORDER BY v.due_date, p.full_name COLLATE NOCASE
+    `
+    )
+    .all({ status, from, to, userId });
+}
+
+// лечащий врач с привязанным Telegram — получатель напоминаний
+const FOLLOW_UP_ATTENDING_JOIN = `
+  JOIN patients p ON p.id = v.patient_id
+  JOIN patient_team pt ON pt.patient_id = v.patient_id AND pt.is_attending = 1
+  JOIN users u ON u.id = pt.user_id
+  WHERE v.status = 'planned' AND p.deleted_at IS NULL
+    AND u.is_active = 1 AND u.telegram_id IS NOT NULL AND TRIM(u.telegram_id) <> ''
+`;
+
+/**
+ * Визиты, о которых пора напомнить (срок с today по until) и просроченные без уведомления.
+ * Поле kind: "reminder" | "overdue"; u_* — лечащий врач.
+ */
+export function listFollowUpsToNotify(today, until) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT v.*, p.patient_id AS patient_code, p.full_name AS patient_name,
+        CASE WHEN v.due_date < @today THEN 'overdue' ELSE 'reminder' END AS kind,
+        u.id AS u_id, u.telegram_id AS u_telegram_id
+      FROM follow_up_visits v
+      ${FOLLOW_UP_ATTENDING_JOIN}
+        AND (
+          (v.due_date >= @today AND v.due_date <= @until AND v.reminded_at IS NULL)
+          OR (v.due_date < @today AND v.overdue_notified_at IS NULL)
+        )
+      ORDER BY v.due_date
+    `
+    )
+    .all({ today, until });
+}
+
+export function markFollowUpNotified(id, kind) {
+  if (!db) initDb();
+  const column = kind === "overdue" ? "overdue_notified_at" : "reminded_at";
+  db.prepare(`UPDATE follow_up_visits SET ${column} = datetime('now') WHERE id = ?`).run(id);
+}
+
+/* ==================== TOXICITY (CTCAE) ==================== */
+
+const TOXICITY_SELECT = `
+  SELECT t.*,
+    c.full_name AS created_by_name,
+    c.login     AS created_by_login
+  FROM toxicity_events t
+  LEFT JOIN users c ON c.id = t.created_by
+`;
+
+/**
+ * Токсичность пациента: сначала неразрешившиеся, затем по дате начала (новые выше)
+ */
+export function listPatientToxicity(patientRowId) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `${TOXICITY_SELECT} WHERE t.patient_id = ?
+       ORDER BY t.resolved_on IS NOT NULL, t.onset_date DESC, t.id DESC`
+    )
+    .all(patientRowId);
+}
+
+export function getToxicityById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM toxicity_events WHERE id = ?").get(id);
+}
+
+/**
+ * Новая запись: data — { term_code, term_title, grade, onset_date, phase, attribution,
+ * resolved_on, notes, source, created_by }. Возвращает id.
+ */
+export function addToxicityEvent(patientRowId, data) {
+  if (!db) initDb();
+  const res = db
+    .prepare(
+      `
+      INSERT INTO toxicity_events
+        (patient_id, term_code, term_title, grade, onset_date, phase, attribution,
+         resolved_on, notes, source, created_by, created_at)
+      VALUES
+        (@patient_id, @term_code, @term_title, @grade, @onset_date, @phase, @attribution,
+         @resolved_on, @notes, @source, @created_by, datetime('now'))
+    `
+    )
+    .run({
+      patient_id: patientRowId,
+      term_code: data.term_code,
+      term_title: data.term_title,
+      grade: data.grade,
+      onset_date: data.onset_date,
+      phase: data.phase || "acute",
+      attribution: data.attribution || null,
+      resolved_on: data.resolved_on || null,
+      notes: data.notes || null,
+      source: data.source || null,
+      created_by: data.created_by ?? null,
+    });
+  return res.lastInsertRowid;
+}
+
+export function updateToxicityEvent(id, data) {
+  if (!db) initDb();
+  db.prepare(
+    `
+    UPDATE toxicity_events
+    SET term_code = @term_code, term_title = @term_title, grade = @grade,
+        onset_date = @onset_date, phase = @phase, attribution = @attribution,
+        resolved_on = @resolved_on, notes = @notes,
+        updated_by = @updated_by, updated_at = datetime('now')
+    WHERE id = @id
+  `
+  ).run({
+    id,
+    term_code: data.term_code,
+    term_title: data.term_title,
+    grade: data.grade,
+    onset_date: data.onset_date,
+    phase: data.phase,
+    attribution: data.attribution || null,
+    resolved_on: data.resolved_on || null,
+    notes: data.notes || null,
+    updated_by: data.updated_by ?? null,
+  });
+}
+
+export function deleteToxicityEvent(id) {
+  if (!db) initDb();
+  db.prepare("DELETE FROM toxicity_events WHERE id = ?").run(id);
+}
+
+/**
+ * Записи токсичности по картам вне архива — для статистики
+ */
+export function listToxicityForStats() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT t.patient_id, t.term_code, t.term_title, t.grade, t.phase, t.onset_date
+      FROM toxicity_events t
+      JOIN patients p ON p.id = t.patient_id
+      WHERE p.deleted_at IS NULL
+    `
+    )
+    .all();
+}
+
+/* ==================== ATTACHMENTS ==================== */
+
+/**
+ * Вложения карты (новые выше) с именем загрузившего.
+ * archived: true — только удалённые в архив (с именем удалившего).
+ */
+export function listPatientAttachments(patientRowId, { archived = false } = {}) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT a.*, u.full_name AS uploaded_by_name, u.login AS uploaded_by_login,
+             d.full_name AS deleted_by_name, d.login AS deleted_by_login
+      FROM patient_attachments a
+      LEFT JOIN users u ON u.id = a.uploaded_by
+      LEFT JOIN users d ON d.id = a.deleted_by
+      WHERE a.patient_id = ? AND a.deleted_at IS ${archived ? "NOT NULL" : "NULL"}
+      ORDER BY a.uploaded_at DESC, a.id DESC
+    `
+    )
+    .all(patientRowId);
+}
+
+export function getAttachmentById(id) {
+  if (!db) initDb();
+  return db.prepare("SELECT * FROM patient_attachments WHERE id = ?").get(id);
+}
+
+/**
+ * data — { patient_id, kind, description, original_name, stored_name, mime_type, size,
+ * source, uploaded_by }. Возвращает id.
+ */
+export function addAttachment(data) {
+  if (!db) initDb();
+  const res = db
+    .prepare(
+      `
+      INSERT INTO patient_attachments
+        (patient_id, kind, description, original_name, stored_name, mime_type, size,
+         source, uploaded_by, uploaded_at)
+      VALUES
+        (@patient_id, @kind, @description, @original_name, @stored_name, @mime_type, @size,
+         @source, @uploaded_by, datetime('now'))
+    `
+    )
+    .run({
+      patient_id: data.patient_id,
+      kind: data.kind || "other",
+      description: data.description || null,
+      original_name: data.original_name,
+      stored_name: data.stored_name,
+      mime_type: data.mime_type,
+      size: data.size,
+      source: data.source || null,
+      uploaded_by: data.uploaded_by ?? null,
+    });
+  return res.lastInsertRowid;
+}
+
+export function setAttachmentKind(id, kind) {
+  if (!db) initDb();
+  db.prepare("UPDATE patient_attachments SET kind = ? WHERE id = ?").run(kind, id);
+}
+
+/**
+ * Удалить вложение в архив: из карты пропадает, файл остаётся на диске
+ */
+export function archiveAttachment(id, userId) {
+  if (!db) initDb();
+  db.prepare(
+    "UPDATE patient_attachments SET deleted_at = datetime('now'), deleted_by = ? WHERE id = ?"
+  ).run(userId ?? null, id);
+}
+
+export function restoreAttachment(id) {
   if (!db) initDb();
-  db.prepare("DELETE FROM patients WHERE id = ?").run(id);
+  db.prepare(
+    "UPDATE patient_attachments SET deleted_at = NULL, deleted_by = NULL WHERE id = ?"
+  ).run(id);
 }
 
 /* ==================== CHANGES & VIEWS ==================== */
 
 /**
  * Записать изменение пациента.
+ * fieldChanges — [{ field, old_value, new_value }] (результат updatePatient)
  * Возвращает id записи в patient_changes.
  */
 export function recordPatientChange(
   patientRowId,
   userId,
   source,
-  description
+  description,
+  fieldChanges = []
 ) {
   if (!db) initDb();
 
   const stmt = db.prepare(`
     INSERT INTO patient_changes (patient_id, user_id, source, description, changed_at)
-    VALUES (@patient_id, @user_id, @source, @description, datetime('now', '+5 hours'))
+    VALUES (@patient_id, @user_id, @source, @description, datetime('now'))
+  `);
+  const fieldStmt = db.prepare(`
+    INSERT INTO patient_change_fields (change_id, field, old_value, new_value)
+    VALUES (@change_id, @field, @old_value, @new_value)
   `);
 
-  const res = stmt.run({
-    patient_id: patientRowId,
-    user_id: userId || null,
-    source: source || null,
-    description: description || null,
+  const tx = db.transaction(() => {
+    const res = stmt.run({
+      patient_id: patientRowId,
+      user_id: userId || null,
+      source: source || null,
+      description: description || null,
+    });
+
+    (fieldChanges || []).forEach((c) => {
+      fieldStmt.run({
+        change_id: res.lastInsertRowid,
+        field: c.field,
+        old_value: toHistoryValue(c.old_value),
+        new_value: toHistoryValue(c.new_value),
+      });
+    });
+
+    return res.lastInsertRowid;
   });
 
-  return res.lastInsertRowid;
+  return tx();
+}
+
+/**
+ * История изменений карты (новые сверху) вместе с изменёнными полями
+ */
+export function listPatientChanges(patientRowId) {
+  if (!db) initDb();
+
+  const changes = db
+    .prepare(
+      `
+      SELECT
+        pc.*,
+        u.full_name AS user_name,
+        u.login     AS user_login
+      FROM patient_changes pc
+      LEFT JOIN users u ON u.id = pc.user_id
+      WHERE pc.patient_id = ?
+      ORDER BY pc.id DESC
+    `
+    )
+    .all(patientRowId);
+
+  const fields = db
+    .prepare(
+      `
+      SELECT pcf.*
+      FROM patient_change_fields pcf
+      JOIN patient_changes pc ON pc.id = pcf.change_id
+      WHERE pc.patient_id = ?
+      ORDER BY pcf.id ASC
+    `
+    )
+    .all(patientRowId);
+
+  const byChange = new Map();
+  fields.forEach((f) => {
+    if (!byChange.has(f.change_id)) byChange.set(f.change_id, []);
+    byChange.get(f.change_id).push(f);
+  });
+
+  return changes.map((c) => ({
+    ...c,
+    user_name: c.user_name || c.user_login || null,
+    fields: byChange.get(c.id) || [],
+  }));
+}
+
+/**
+ * Одна запись об изменённом поле (+ patient_id карты)
+ */
+export function getPatientChangeField(id) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT pcf.*, pc.patient_id
+      FROM patient_change_fields pcf
+      JOIN patient_changes pc ON pc.id = pcf.change_id
+      WHERE pcf.id = ?
+    `
+    )
+    .get(id);
 }
 
 /**
@@ -543,13 +2701,179 @@ export function getLastChangeInfo(patientRowId) {
 
   if (!row) return null;
 
+  const fields = db
+    .prepare("SELECT field FROM patient_change_fields WHERE change_id = ?")
+    .all(row.id)
+    .map((f) => PATIENT_FIELD_LABELS[f.field] || f.field);
+
   return {
     id: row.id,
     changed_at: row.changed_at,
     source: row.source,
     user_name: row.user_name || row.user_login || null,
+    field: fields.join(", ") || null,
   };
 }
 
+/* ==================== ICD DICTIONARY ==================== */
+
+/**
+ * Заменить справочник системы (icd10 | icdo_morphology) целиком.
+ * entries: [{ code, title, search }]
+ */
+export function replaceIcdCodes(system, entries) {
+  if (!db) initDb();
+  const insert = db.prepare(
+    "INSERT INTO icd_codes (system, code, title, search) VALUES (@system, @code, @title, @search)"
+  );
+  const tx = db.transaction(() => {
+    db.prepare("DELETE FROM icd_codes WHERE system = ?").run(system);
+    entries.forEach((e) => insert.run({ system, ...e }));
+  });
+  tx();
+}
+
+/**
+ * Поиск по справочнику: все слова должны встречаться в коде или названии
+ * (words — уже в нижнем регистре). Сначала коды, начинающиеся с codePrefix.
+ */
+export function searchIcdCodes(system, words, { codePrefix = "", limit = 20 } = {}) {
+  if (!db) initDb();
+  const params = { system, codePrefix, limit };
+  const where = ["system = @system"];
+  words.forEach((w, i) => {
+    where.push(`search LIKE @w${i}`);
+    params[`w${i}`] = `%${w}%`;
+  });
+  return db
+    .prepare(
+      `
+      SELECT code, title FROM icd_codes
+      WHERE ${where.join(" AND ")}
+      ORDER BY (@codePrefix <> '' AND code LIKE @codePrefix || '%') DESC, code
+      LIMIT @limit
+    `
+    )
+    .all(params);
+}
+
+export function getIcdCode(system, code) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT code, title FROM icd_codes WHERE system = ? AND code = ?")
+    .get(system, code);
+}
+
+export function listIcdCodes(system) {
+  if (!db) initDb();
+  return db
+    .prepare("SELECT code, title FROM icd_codes WHERE system = ? ORDER BY code")
+    .all(system);
+}
+
+/**
+ * Диагнозы без кода МКБ-10 (текст → сколько карт), карты из архива не считаем
+ */
+export function listUncodedDiagnoses() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT TRIM(diagnosis) AS diagnosis, COUNT(*) AS cnt
+      FROM patients
+      WHERE deleted_at IS NULL AND diagnosis_code IS NULL
+        AND diagnosis IS NOT NULL AND TRIM(diagnosis) <> ''
+      GROUP BY TRIM(diagnosis)
+      ORDER BY cnt DESC, diagnosis COLLATE NOCASE
+    `
+    )
+    .all();
+}
+
+/**
+ * Карты без кода с данным текстом диагноза (для массового кодирования)
+ */
+export function listUncodedPatientsByDiagnosis(diagnosis) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT * FROM patients
+      WHERE deleted_at IS NULL AND diagnosis_code IS NULL AND TRIM(diagnosis) = ?
+    `
+    )
+    .all(String(diagnosis).trim());
+}
+
+/* ==================== STATS ==================== */
+
+/**
+ * Карты (без архива) с плановой и подведённой дозой — для статистики отделения
+ */
+export function listPatientsForStats() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        p.id,
+        p.region,
+        p.diagnosis,
+        p.diagnosis_code,
+        p.stage,
+        p.status,
+        p.complications,
+        p.created_at,
+        (SELECT SUM(tp.total_dose) FROM treatment_phases tp
+          WHERE tp.patient_id = p.id) AS plan_total_dose,
+        (SELECT SUM(fd.dose) FROM fraction_deliveries fd
+          WHERE fd.patient_id = p.id AND fd.status = 'delivered') AS delivered_dose
+      FROM patients p
+      WHERE p.deleted_at IS NULL
+    `
+    )
+    .all();
+}
+
+/**
+ * Все смены статуса карт по времени (из истории изменений)
+ */
+export function listStatusChanges() {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT pc.patient_id, pc.changed_at, f.old_value, f.new_value
+      FROM patient_change_fields f
+      JOIN patient_changes pc ON pc.id = f.change_id
+      WHERE f.field = 'status'
+      ORDER BY pc.changed_at ASC, pc.id ASC
+    `
+    )
+    .all();
+}
+
+/**
+ * Число изменений по пользователю и источнику за период [fromUtc, toUtc)
+ */
+export function countChangesByUserAndSource(fromUtc, toUtc) {
+  if (!db) initDb();
+  return db
+    .prepare(
+      `
+      SELECT
+        pc.user_id,
+        COALESCE(u.full_name, u.login) AS user_name,
+        pc.source,
+        COUNT(*) AS cnt
+      FROM patient_changes pc
+      LEFT JOIN users u ON u.id = pc.user_id
+      WHERE pc.changed_at >= ? AND pc.changed_at < ?
+      GROUP BY pc.user_id, pc.source
+    `
+    )
+    .all(fromUtc, toUtc);
+}
+
 // экспортируем db для отладки/логов, если где-то используется
 export { db };
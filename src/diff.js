@@ -0,0 +1,84 @@
+// src/diff.js
+// Пословный diff двух текстов для страницы истории изменений
+
+const MAX_TOKENS = 1500;
+
+function tokenize(text) {
+  // слова вместе с пробелами/переносами, чтобы склейка давала исходный текст
+  return (text || "").match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * diffWords("a b c", "a x c") →
+ * [{ type: "same", text: "a " }, { type: "del", text: "b" }, { type: "add", text: "x" }, ...]
+ */
+export function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // слишком длинные тексты — показываем как полную замену
+  if (a.length > MAX_TOKENS || b.length > MAX_TOKENS) {
+    const parts = [];
+    if (oldText) parts.push({ type: "del", text: oldText });
+    if (newText) parts.push({ type: "add", text: newText });
+    return parts;
+  }
+
+  // LCS по токенам
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Uint16Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("del", a[i++]);
+    } else {
+      push("add", b[j++]);
+    }
+  }
+  while (i < a.length) push("del", a[i++]);
+  while (j < b.length) push("add", b[j++]);
+
+  return parts;
+}
+
+function normalizeValue(value) {
+  return String(value ?? "").replace(/\r\n/g, "\n").trim();
+}
+
+/**
+ * Трёхстороннее слияние одного значения при одновременной правке:
+ * base — значение, от которого начата правка, mine — своё, theirs — уже сохранённое другим.
+ * Возвращает { value, conflict }: конфликт, только если обе стороны изменили значение по-разному.
+ */
+export function mergeValue(base, mine, theirs) {
+  const b = normalizeValue(base);
+  const m = normalizeValue(mine);
+  const t = normalizeValue(theirs);
+
+  if (m === t) return { value: mine, conflict: false };
+  if (m === b) return { value: theirs, conflict: false };
+  if (t === b) return { value: mine, conflict: false };
+  return { value: mine, conflict: true };
+}
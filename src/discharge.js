@@ -0,0 +1,94 @@
+// src/discharge.js
+// Выписка для печати: HTML-документ из шаблона EJS (по умолчанию views/discharge.ejs,
+// свой — через DISCHARGE_TEMPLATE). PDF получается печатью из браузера,
+// внешние сервисы не нужны. Тот же документ бот отправляет файлом.
+import path from "path";
+import { fileURLToPath } from "url";
+import ejs from "ejs";
+
+import {
+  PATIENT_STATUS_LABELS,
+  getPatientTeam,
+  getUserById,
+  listTreatmentPhases,
+  listFractionDeliveries,
+  listPatientToxicity,
+} from "./db.js";
+import { summarizePlan, calcProgress, formatPhaseShort } from "./dose.js";
+import { formatDateTime, clinicToday } from "./time.js";
+import { getIcdTitle, formatTnm } from "./icd.js";
+import { worstToxicityByTerm, describeToxicity } from "./toxicity.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_TEMPLATE = path.join(__dirname, "views", "discharge.ejs");
+
+export const DISCHARGE_TEMPLATE = process.env.DISCHARGE_TEMPLATE
+  ? path.resolve(process.env.DISCHARGE_TEMPLATE)
+  : DEFAULT_TEMPLATE;
+
+/**
+ * Шапка документа — реквизиты клиники из .env
+ */
+export function clinicInfo() {
+  return {
+    name: process.env.CLINIC_NAME || "Отделение радиационной онкологии",
+    department: process.env.CLINIC_DEPARTMENT || "",
+    address: process.env.CLINIC_ADDRESS || "",
+    phone: process.env.CLINIC_PHONE || "",
+  };
+}
+
+/**
+ * Данные для шаблона выписки.
+ * Врач — лечащий из команды пациента, иначе тот, кто формирует выписку.
+ */
+export function buildDischargeData(patient, requestedBy = null) {
+  const phases = listTreatmentPhases(patient.id);
+  const plan = summarizePlan(phases);
+  const fractions = listFractionDeliveries(patient.id);
+  const delivered = fractions.filter((f) => f.status === "delivered");
+
+  const attending = getPatientTeam(patient.id).find((m) => m.is_attending);
+  const doctor =
+    attending || (requestedBy ? getUserById(requestedBy.id) || requestedBy : null);
+
+  return {
+    clinic: clinicInfo(),
+    patient,
+    statusLabel: PATIENT_STATUS_LABELS[patient.status] || patient.status || "",
+    diagnosisTitle: getIcdTitle(patient.diagnosis_code),
+    morphologyTitle: getIcdTitle(patient.morphology_code, "icdo_morphology"),
+    tnm: formatTnm(patient),
+    plan,
+    phases: plan.phases.map((p, i) => ({
+      ...p,
+      title: p.name || p.target_volume || `Фаза ${i + 1}`,
+      short: formatPhaseShort(p),
+    })),
+    progress: calcProgress(plan, fractions),
+    course: {
+      start: delivered.length ? delivered[0].delivered_on : null,
+      end: delivered.length ? delivered[delivered.length - 1].delivered_on : null,
+    },
+    // осложнения по CTCAE: термин и худшая степень; поле «Осложнения» — дополнение текстом
+    toxicity: worstToxicityByTerm(listPatientToxicity(patient.id)).map((t) => ({
+      ...t,
+      text: describeToxicity(t),
+    })),
+    doctor: doctor ? doctor.full_name || doctor.login : "",
+    issuedOn: clinicToday(),
+    formatDateTime,
+  };
+}
+
+/**
+ * HTML выписки (Promise<string>)
+ */
+export function renderDischarge(data) {
+  return ejs.renderFile(DISCHARGE_TEMPLATE, data);
+}
+
+export function dischargeFilename(patient) {
+  return `vypiska-${patient.patient_id}.html`;
+}
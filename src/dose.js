@@ -0,0 +1,237 @@
+// src/dose.js
+// Расчёты по плану облучения: фазы/бусты, BED и EQD2 (линейно-квадратичная модель)
+
+export const TECHNIQUES = ["3D-CRT", "IMRT", "VMAT", "SBRT"];
+
+/**
+ * α/β по умолчанию (Гр). Берётся из env ALPHA_BETA, иначе 10 (опухоль / ранние реакции).
+ */
+export function defaultAlphaBeta() {
+  const v = Number(process.env.ALPHA_BETA);
+  return Number.isFinite(v) && v > 0 ? v : 10;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(String(value).replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  const k = 10 ** digits;
+  return Math.round(value * k) / k;
+}
+
+/**
+ * BED = D · (1 + d / (α/β))
+ */
+export function calcBed(totalDose, dosePerFraction, alphaBeta) {
+  if (!totalDose || !dosePerFraction || !alphaBeta) return null;
+  return totalDose * (1 + dosePerFraction / alphaBeta);
+}
+
+/**
+ * EQD2 = BED / (1 + 2 / (α/β))
+ */
+export function calcEqd2(totalDose, dosePerFraction, alphaBeta) {
+  const bed = calcBed(totalDose, dosePerFraction, alphaBeta);
+  if (bed === null) return null;
+  return bed / (1 + 2 / alphaBeta);
+}
+
+/**
+ * Приведение одной фазы к нормальному виду.
+ * Если заданы две величины из трёх (СОД, РОД, число фракций) — третья досчитывается.
+ * Возвращает null для полностью пустой строки.
+ */
+export function normalizePhase(raw) {
+  const phase = {
+    name: (raw.name || "").trim() || null,
+    target_volume: (raw.target_volume || "").trim() || null,
+    total_dose: toNumber(raw.total_dose),
+    dose_per_fraction: toNumber(raw.dose_per_fraction),
+    fractions: toNumber(raw.fractions),
+    technique: (raw.technique || "").trim() || null,
+    energy: (raw.energy || "").trim() || null,
+    alpha_beta: toNumber(raw.alpha_beta),
+  };
+
+  const isEmpty =
+    !phase.name &&
+    !phase.target_volume &&
+    phase.total_dose === null &&
+    phase.dose_per_fraction === null &&
+    phase.fractions === null &&
+    !phase.energy;
+  if (isEmpty) return null;
+
+  if (phase.fractions !== null) phase.fractions = Math.round(phase.fractions);
+
+  if (phase.total_dose === null && phase.dose_per_fraction && phase.fractions) {
+    phase.total_dose = round(phase.dose_per_fraction * phase.fractions);
+  }
+  if (phase.dose_per_fraction === null && phase.total_dose && phase.fractions) {
+    phase.dose_per_fraction = round(phase.total_dose / phase.fractions);
+  }
+  if (phase.fractions === null && phase.total_dose && phase.dose_per_fraction) {
+    phase.fractions = Math.round(phase.total_dose / phase.dose_per_fraction);
+  }
+
+  return phase;
+}
+
+/**
+ * Проверка фазы. Возвращает текст ошибки или null.
+ */
+export function validatePhase(phase, index) {
+  const label = phase.name || `Фаза ${index + 1}`;
+
+  for (const key of ["total_dose", "dose_per_fraction", "fractions", "alpha_beta"]) {
+    if (phase[key] !== null && phase[key] <= 0) {
+      return `${label}: значения доз и число фракций должны быть положительными`;
+    }
+  }
+  if (phase.technique && !TECHNIQUES.includes(phase.technique)) {
+    return `${label}: неизвестная методика "${phase.technique}"`;
+  }
+  if (
+    phase.total_dose &&
+    phase.dose_per_fraction &&
+    phase.fractions &&
+    Math.abs(phase.dose_per_fraction * phase.fractions - phase.total_dose) > 0.05
+  ) {
+    return `${label}: СОД не равна РОД × число фракций`;
+  }
+  return null;
+}
+
+/**
+ * Сводка по плану: суммарная доза, фракции, BED и EQD2.
+ * α/β берётся из фазы, иначе — значение по умолчанию.
+ */
+export function summarizePlan(phases, alphaBeta = defaultAlphaBeta()) {
+  const summary = {
+    total_dose: 0,
+    fractions: 0,
+    bed: 0,
+    eqd2: 0,
+    techniques: [],
+    alpha_beta: alphaBeta,
+    phases: [],
+  };
+
+  (phases || []).forEach((p) => {
+    const ab = p.alpha_beta || alphaBeta;
+    const bed = calcBed(p.total_dose, p.dose_per_fraction, ab);
+    const eqd2 = calcEqd2(p.total_dose, p.dose_per_fraction, ab);
+
+    summary.total_dose += p.total_dose || 0;
+    summary.fractions += p.fractions || 0;
+    summary.bed += bed || 0;
+    summary.eqd2 += eqd2 || 0;
+    if (p.technique && !summary.techniques.includes(p.technique)) {
+      summary.techniques.push(p.technique);
+    }
+
+    summary.phases.push({
+      ...p,
+      alpha_beta: ab,
+      bed: bed === null ? null : round(bed, 1),
+      eqd2: eqd2 === null ? null : round(eqd2, 1),
+    });
+  });
+
+  summary.total_dose = round(summary.total_dose);
+  summary.bed = round(summary.bed, 1);
+  summary.eqd2 = round(summary.eqd2, 1);
+
+  return summary;
+}
+
+/**
+ * Короткая строка для списка/бота: «IMRT 50 Гр / 25 фр»
+ */
+export function formatPhaseShort(p) {
+  const parts = [];
+  if (p.technique) parts.push(p.technique);
+  if (p.total_dose) parts.push(`${p.total_dose} Гр`);
+  if (p.fractions) parts.push(`/ ${p.fractions} фр`);
+  if (p.dose_per_fraction) parts.push(`(${p.dose_per_fraction} Гр/фр)`);
+  return parts.join(" ");
+}
+
+/**
+ * План облучения одной строкой на фазу — для истории изменений
+ */
+export function formatPlanText(phases) {
+  return (phases || [])
+    .map((p, i) => `${p.name || p.target_volume || `Фаза ${i + 1}`}: ${formatPhaseShort(p)}`)
+    .join("\n");
+}
+
+/**
+ * Полный «отпечаток» плана (все поля фаз) — чтобы понять, менялся ли план
+ * с момента открытия формы
+ */
+export function planSignature(phases) {
+  return JSON.stringify((phases || []).map(normalizePhase).filter(Boolean));
+}
+
+export function formatPlanShort(totalDose, fractions, techniques) {
+  if (!totalDose) return "";
+  let text = `${round(totalDose)} Гр`;
+  if (fractions) text += ` / ${fractions} фр`;
+  if (techniques) text += ` · ${techniques}`;
+  return text;
+}
+
+/**
+ * Плановая РОД для фракции с номером n (фазы идут подряд)
+ */
+export function plannedDoseForFraction(phases, n) {
+  let passed = 0;
+  for (const p of phases || []) {
+    if (!p.fractions) continue;
+    passed += p.fractions;
+    if (n <= passed) return p.dose_per_fraction || null;
+  }
+  return null;
+}
+
+/**
+ * Прогресс курса: подведено / запланировано (Гр и фракции), пропуски.
+ * plan — результат summarizePlan, deliveries — записи fraction_deliveries.
+ */
+export function calcProgress(plan, deliveries) {
+  const delivered = (deliveries || []).filter((d) => d.status === "delivered");
+  const missed = (deliveries || []).filter((d) => d.status === "missed");
+
+  const deliveredDose = round(
+    delivered.reduce((sum, d) => sum + (d.dose || 0), 0)
+  );
+  const missedDays = new Set(missed.map((d) => d.delivered_on)).size;
+
+  const percent = plan.total_dose
+    ? Math.min(100, Math.round((deliveredDose / plan.total_dose) * 100))
+    : plan.fractions
+    ? Math.min(100, Math.round((delivered.length / plan.fractions) * 100))
+    : 0;
+
+  return {
+    planned_dose: plan.total_dose,
+    planned_fractions: plan.fractions,
+    delivered_dose: deliveredDose,
+    delivered_fractions: delivered.length,
+    missed_fractions: missed.length,
+    interruption_days: missedDays,
+    percent,
+  };
+}
+
+/**
+ * Текстовый прогресс-бар для бота: ▓▓▓▓░░░░░░ 40%
+ */
+export function formatProgressBar(percent, width = 10) {
+  const filled = Math.round((percent / 100) * width);
+  return "▓".repeat(filled) + "░".repeat(width - filled) + ` ${percent}%`;
+}
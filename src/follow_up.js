@@ -0,0 +1,166 @@
+// src/follow_up.js
+// Наблюдение после курса: план контрольных визитов (через 1, 3, 6, 12 мес. после
+// окончания курса — интервалы настраиваются), итоги визитов и напоминания
+// лечащему врачу в боте перед визитом и при просрочке. Сроки — по календарю клиники.
+import { listFollowUpsToNotify, markFollowUpNotified } from "./db.js";
+import { deliverNotification } from "./notifications.js";
+import { clinicToday, addDays, addMonths } from "./time.js";
+
+export const FOLLOW_UP_OUTCOMES = {
+  ned: "Без признаков болезни",
+  disease: "С опухолью (под контролем)",
+  progression: "Рецидив / прогрессирование",
+  died: "Умер",
+  lost: "Выбыл из-под наблюдения",
+};
+
+// оценка ответа (RECIST)
+export const FOLLOW_UP_RESPONSES = {
+  CR: "Полный ответ (CR)",
+  PR: "Частичный ответ (PR)",
+  SD: "Стабилизация (SD)",
+  PD: "Прогрессирование (PD)",
+  NE: "Не оценивался",
+};
+
+export const FOLLOW_UP_STATUS_LABELS = {
+  planned: "Запланирован",
+  done: "Состоялся",
+  missed: "Не явился",
+  cancelled: "Отменён",
+};
+
+// поздняя лучевая токсичность: степень 0–5 (RTOG/EORTC)
+export const LATE_TOXICITY_MAX_GRADE = 5;
+
+const MAX_FOLLOW_UP_MONTHS = 120;
+
+/**
+ * "1, 3,6 12" → [1, 3, 6, 12] (по возрастанию, без повторов); [] — нет ни одного интервала
+ */
+export function parseMonths(value) {
+  const months = String(value || "")
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter((m) => Number.isInteger(m) && m >= 1 && m <= MAX_FOLLOW_UP_MONTHS);
+  return [...new Set(months)].sort((a, b) => a - b);
+}
+
+// интервалы по умолчанию (мес. после курса)
+export const FOLLOW_UP_MONTHS = parseMonths(process.env.FOLLOW_UP_MONTHS).length
+  ? parseMonths(process.env.FOLLOW_UP_MONTHS)
+  : [1, 3, 6, 12];
+
+// за сколько дней до визита напомнить лечащему врачу
+export const FOLLOW_UP_REMIND_DAYS = Number(process.env.FOLLOW_UP_REMIND_DAYS) || 3;
+
+/**
+ * Дата окончания курса — последняя проведённая фракция (null, если фракций нет)
+ */
+export function courseEndDate(fractions) {
+  const delivered = fractions.filter((f) => f.status === "delivered").map((f) => f.delivered_on);
+  return delivered.length ? delivered.sort().pop() : null;
+}
+
+/**
+ * Визиты плана: [{ due_date, months_after }]
+ */
+export function planFollowUpVisits(baseDate, months) {
+  return months.map((m) => ({ due_date: addMonths(baseDate, m), months_after: m }));
+}
+
+export const isOverdue = (visit, today = clinicToday()) =>
+  visit.status === "planned" && visit.due_date < today;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+
+/**
+ * Проверка формы плана: { data: { baseDate, months }, error }
+ */
+export function parsePlanForm(body) {
+  const data = { baseDate: body.base_date, months: parseMonths(body.months) };
+  let error = null;
+  if (!isDate(data.baseDate)) error = "Укажите дату окончания курса";
+  else if (!data.months.length) {
+    error = `Укажите интервалы визитов в месяцах (от 1 до ${MAX_FOLLOW_UP_MONTHS}), например 1, 3, 6, 12`;
+  }
+  return { data, error };
+}
+
+/**
+ * Проверка итога визита. status: done — визит состоялся (нужны дата и исход),
+ * missed — пациент не явился. Возвращает { data, error }.
+ */
+export function parseResultForm(body) {
+  const status = body.status === "missed" ? "missed" : "done";
+  const grade = String(body.late_toxicity_grade ?? "").trim();
+  const data = {
+    status,
+    visit_date: status === "done" ? body.visit_date : null,
+    outcome: status === "done" ? body.outcome || null : null,
+    response: status === "done" ? body.response || null : null,
+    late_toxicity: status === "done" ? (body.late_toxicity || "").trim() : "",
+    late_toxicity_grade: status === "done" && grade !== "" ? Number(grade) : null,
+    notes: (body.notes || "").trim(),
+  };
+
+  let error = null;
+  if (status === "done") {
+    if (!isDate(data.visit_date)) error = "Укажите дату визита";
+    else if (data.visit_date > clinicToday()) error = "Дата визита ещё не наступила";
+    else if (!FOLLOW_UP_OUTCOMES[data.outcome]) error = "Укажите исход";
+    else if (data.response && !FOLLOW_UP_RESPONSES[data.response]) error = "Неизвестная оценка ответа";
+    else if (
+      data.late_toxicity_grade !== null &&
+      !(
+        Number.isInteger(data.late_toxicity_grade) &&
+        data.late_toxicity_grade >= 0 &&
+        data.late_toxicity_grade <= LATE_TOXICITY_MAX_GRADE
+      )
+    ) {
+      error = `Степень поздней токсичности — от 0 до ${LATE_TOXICITY_MAX_GRADE}`;
+    }
+  }
+  return { data, error };
+}
+
+/**
+ * Итог визита одной строкой (для истории карты)
+ */
+export function describeFollowUpResult(visit, data) {
+  const title = `Контрольный визит (срок ${visit.due_date})`;
+  if (data.status === "missed") return `${title}: пациент не явился`;
+  const parts = [`${title} ${data.visit_date}: ${FOLLOW_UP_OUTCOMES[data.outcome]}`];
+  if (data.response) parts.push(`ответ — ${data.response}`);
+  if (data.late_toxicity_grade !== null) {
+    parts.push(`поздняя токсичность ${data.late_toxicity_grade} ст.`);
+  }
+  return parts.join(", ");
+}
+
+function notificationText(v, today) {
+  const patient = `ID: *${v.patient_code}*\nПациент: ${v.patient_name || ""}`;
+  const term = v.months_after ? ` (${v.months_after} мес. после курса)` : "";
+  if (v.kind === "overdue") {
+    return `⚠️ *Просрочен контрольный визит*\n${patient}\nСрок был ${v.due_date}${term}`;
+  }
+  const days = Math.round((Date.parse(v.due_date) - Date.parse(today)) / 86400000);
+  const when = days === 0 ? "сегодня" : days === 1 ? "завтра" : `через ${days} дн.`;
+  return `🗓 *Контрольный визит ${when}*\n${patient}\nСрок: ${v.due_date}${term}`;
+}
+
+/**
+ * Периодическая задача: напоминания лечащему врачу за FOLLOW_UP_REMIND_DAYS дней
+ * до визита и одно сообщение о просрочке (доставка — по его настройкам уведомлений)
+ */
+export function runFollowUpTick(send, today = clinicToday()) {
+  listFollowUpsToNotify(today, addDays(today, FOLLOW_UP_REMIND_DAYS)).forEach((v) => {
+    deliverNotification(
+      { id: v.u_id, telegram_id: v.u_telegram_id },
+      "follow_up",
+      notificationText(v, today),
+      send
+    );
+    markFollowUpNotified(v.id, v.kind);
+  });
+}
@@ -0,0 +1,246 @@
+// src/icd.js
+// Кодированный диагноз: справочник МКБ-10 и морфологии МКБ-О (локальный файл
+// src/data/icd.json, свой — через ICD_DICTIONARY), загружается в SQLite при запуске.
+// Здесь же нормализация и проверка кодов и стадии TNM.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import {
+  replaceIcdCodes,
+  searchIcdCodes,
+  getIcdCode,
+  listIcdCodes,
+} from "./db.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ICD_DICTIONARY = process.env.ICD_DICTIONARY
+  ? path.resolve(process.env.ICD_DICTIONARY)
+  : path.join(__dirname, "data", "icd.json");
+
+export const ICD_SYSTEMS = {
+  icd10: "МКБ-10",
+  icdo_morphology: "МКБ-О (морфология)",
+};
+
+// в каком справочнике проверяется кодированное поле карты
+const CODE_FIELD_SYSTEMS = {
+  diagnosis_code: "icd10",
+  morphology_code: "icdo_morphology",
+};
+
+// допустимые категории TNM (8-е издание) и стадии
+const TNM_PATTERNS = {
+  tnm_t: /^T(X|0|is|[1-4][a-d]?\d?)$/i,
+  tnm_n: /^N(X|[0-3][a-c]?)$/i,
+  tnm_m: /^M(X|0|1[a-d]?)$/i,
+};
+const STAGE_PATTERN = /^(0|I{1,3}|IV)([A-C][1-3]?)?$/i;
+
+const normalizeSearch = (value) =>
+  String(value || "").toLowerCase().replace(/ё/g, "е").trim();
+
+/**
+ * Загрузить справочник из файла в БД (при каждом запуске — файл мог обновиться)
+ */
+export function syncIcdDictionary() {
+  const data = JSON.parse(fs.readFileSync(ICD_DICTIONARY, "utf8"));
+  Object.keys(ICD_SYSTEMS).forEach((system) => {
+    const entries = (data[system] || []).map(([code, title]) => ({
+      code,
+      title,
+      search: normalizeSearch(`${code} ${code.replace(/[./]/g, "")} ${title}`),
+    }));
+    replaceIcdCodes(system, entries);
+  });
+}
+
+/**
+ * "с50,4", "C504", "c50.4" → "C50.4"; null — не похоже на код МКБ-10.
+ * Кириллические С/Д/Е вместо латинских — частая опечатка.
+ */
+export function normalizeIcdCode(value) {
+  const s = String(value || "")
+    .trim()
+    .toUpperCase()
+    .replace("С", "C")
+    .replace("Д", "D")
+    .replace("Е", "E");
+  const m = /^([A-Z]\d{2})(?:[.,]?(\d))?$/.exec(s);
+  if (!m) return null;
+  return m[2] ? `${m[1]}.${m[2]}` : m[1];
+}
+
+/**
+ * "8140/3", "81403", "M-8140/3" → "8140/3"; null — не похоже на код морфологии
+ */
+export function normalizeMorphologyCode(value) {
+  const m = /^(?:M-?)?(\d{4})\/?(\d)$/i.exec(String(value || "").trim());
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+/**
+ * Поиск для автодополнения: [{ code, title }]
+ */
+export function searchIcd(q, system = "icd10", limit = 20) {
+  const words = normalizeSearch(q).split(/\s+/).filter(Boolean);
+  if (!words.length || !ICD_SYSTEMS[system]) return [];
+  const codePrefix =
+    system === "icd10"
+      ? normalizeIcdCode(words[0]) || ""
+      : (/^\d{1,4}/.exec(words[0]) || [""])[0];
+  // код ищем и в написании с кириллицей / без точки
+  if (codePrefix) words[0] = codePrefix.toLowerCase();
+  return searchIcdCodes(system, words, { codePrefix, limit });
+}
+
+/**
+ * Название рубрики. Подрубрики нет в справочнике — название трёхзначной рубрики
+ * (C44.3 → C44); кода нет совсем — пустая строка.
+ */
+export function getIcdTitle(code, system = "icd10") {
+  if (!code) return "";
+  const row =
+    getIcdCode(system, code) ||
+    (system === "icd10" && code.includes(".") ? getIcdCode(system, code.slice(0, 3)) : null);
+  return row ? row.title : "";
+}
+
+/**
+ * Подпись к коду в карте: название рубрики и пометка, если кода нет в справочнике
+ */
+export function icdCodeLabel(code, system = "icd10") {
+  if (!code || getIcdCode(system, code)) return getIcdTitle(code, system);
+  const title = getIcdTitle(code, system);
+  return (title ? `${title} · ` : "") + "⚠ кода нет в справочнике, проверьте написание";
+}
+
+/**
+ * Проверка и нормализация кодов и стадии в данных карты (data меняется на месте).
+ * Поля, которых нет в data, не трогаются; пустые значения — null.
+ * Код правильного вида, которого нет в справочнике (справочник неполный), принимается:
+ * предупреждение { field, message } добавляется в warnings, если он передан.
+ * Возвращает ошибки [{ field, message }].
+ */
+export function validateCodedFields(data, { warnings } = {}) {
+  const details = [];
+
+  Object.entries(CODE_FIELD_SYSTEMS).forEach(([field, system]) => {
+    if (!(field in data)) return;
+    if (!data[field]) {
+      data[field] = null;
+      return;
+    }
+    const code =
+      system === "icd10" ? normalizeIcdCode(data[field]) : normalizeMorphologyCode(data[field]);
+    if (!code) {
+      details.push({
+        field,
+        message: `«${data[field]}» — не код ${ICD_SYSTEMS[system]} (пример: ${
+          system === "icd10" ? "C50.4" : "8140/3"
+        })`,
+      });
+      return;
+    }
+    if (warnings && !getIcdCode(system, code)) {
+      warnings.push({
+        field,
+        message: `Кода «${code}» нет в справочнике ${ICD_SYSTEMS[system]} — проверьте написание`,
+      });
+    }
+    data[field] = code;
+  });
+
+  Object.entries(TNM_PATTERNS).forEach(([field, pattern]) => {
+    if (!(field in data)) return;
+    let value = String(data[field] || "").trim().replace(/\s+/g, "");
+    if (!value) {
+      data[field] = null;
+      return;
+    }
+    const prefix = field.slice(-1).toUpperCase();
+    if (value[0].toUpperCase() !== prefix) value = prefix + value;
+    if (!pattern.test(value)) {
+      details.push({ field, message: `Недопустимое значение ${prefix}: «${data[field]}»` });
+      return;
+    }
+    // Tis пишется строчными, остальное — как в классификации (T1a, N2b, M1c)
+    data[field] = prefix + value.slice(1).toLowerCase().replace(/^x$/, "X");
+  });
+
+  if ("stage" in data) {
+    const value = String(data.stage || "").trim().replace(/\s+/g, "");
+    if (!value) {
+      data.stage = null;
+    } else if (!STAGE_PATTERN.test(value)) {
+      details.push({
+        field: "stage",
+        message: `Недопустимая стадия: «${data.stage}» (0, I–IV, например IIB)`,
+      });
+    } else {
+      data.stage = value.toUpperCase();
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Стадия одной строкой: "T2N1M0, стадия IIB" (пустая строка, если не указана)
+ */
+export function formatTnm(p) {
+  const tnm = [p.tnm_t, p.tnm_n, p.tnm_m].filter(Boolean).join("");
+  const parts = [];
+  if (tnm) parts.push(tnm);
+  if (p.stage) parts.push(`стадия ${p.stage}`);
+  return parts.join(", ");
+}
+
+const STOP_WORDS = new Set([
+  "злокачественное",
+  "новообразование",
+  "других",
+  "неуточненных",
+  "части",
+  "локализации",
+  "рака",
+]);
+
+// основа слова для грубого сравнения текста диагноза с названиями рубрик
+const stems = (text) =>
+  normalizeSearch(text)
+    .split(/[^a-zа-я0-9]+/)
+    .filter((w) => w.length >= 4 && !STOP_WORDS.has(w))
+    .map((w) => w.slice(0, 5));
+
+/**
+ * Предложить код для текста диагноза: код из самого текста (если есть в справочнике),
+ * иначе рубрика с наибольшим совпадением слов. null — подходящей нет.
+ * icd10 — список listIcdCodes("icd10"), чтобы не читать справочник на каждый текст.
+ */
+export function suggestIcdCode(text, icd10 = listIcdCodes("icd10")) {
+  const byCode = new Map(icd10.map((c) => [c.code, c]));
+
+  const m = /(^|[^A-Za-zА-Яа-я])([CDСДЕE]\s?\d{2}(?:[.,]\d)?)(?!\d)/i.exec(text || "");
+  if (m) {
+    const code = normalizeIcdCode(m[2].replace(/\s/g, ""));
+    if (code && byCode.has(code)) return byCode.get(code);
+    if (code && byCode.has(code.slice(0, 3))) return byCode.get(code.slice(0, 3));
+  }
+
+  const words = new Set(stems(text));
+  if (!words.size) return null;
+  let best = null;
+  let bestScore = 0;
+  icd10
+    .filter((c) => c.code.length === 3)
+    .forEach((c) => {
+      const score = stems(c.title).filter((w) => words.has(w)).length;
+      if (score > bestScore) {
+        best = c;
+        bestScore = score;
+      }
+    });
+  return best;
+}
@@ -6,54 +6,320 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { Telegraf, Markup } from "telegraf";
 import bcrypt from "bcryptjs";
+import multer from "multer";
 
 import {
   initDb,
   ensureAdminUser,
   findUserByLogin,
   findUserByTelegramId,
+  findActiveUserByTelegramId,
   listUsers,
   getUserById,
   createUser,
   updateUser,
   deleteUserById,
   listPatientsForUser,
+  countPatientsForUser,
+  listPatientRegions,
   getPatientByRowId,
   getPatientByPatientId,
-  createPatient,
+  createPatientCard,
   updatePatient,
   updatePatientFieldsByPatientId,
-  deletePatientByRowId,
+  archivePatient,
+  restorePatient,
+  listArchivedPatients,
+  purgeArchivedPatient,
+  importPatients,
   recordPatientChange,
   markPatientSeen,
   getLastChangeInfo,
   generateNextPatientId, 
+  listTreatmentPhases,
+  replaceTreatmentPhases,
+  listFractionDeliveries,
+  getNextFractionNumber,
+  addFractionDelivery,
+  getFractionDeliveryById,
+  deleteFractionDelivery,
+  PATIENT_FIELD_LABELS,
+  setPatientField,
+  listPatientChanges,
+  getPatientChangeField,
+  PATIENT_STATUSES,
+  PATIENT_STATUS_LABELS,
+  STATUSES_REQUIRING_REASON,
+  nextPatientStatuses,
+  checkStatusTransition,
+  listStatusHistory,
+  listDiaryEntries,
+  countDiaryEntries,
+  addDiaryEntry,
+  createApiToken,
+  listApiTokensForUser,
+  getApiTokenById,
+  revokeApiToken,
+  setRolePermissions,
+  getPatientTeam,
+  setPatientTeam,
+  formatTeamText,
+  isSubscribed,
+  setSubscription,
+  listNotificationRecipients,
+  getNotificationSettings,
+  saveNotificationSettings,
+  setUserActive,
+  unlinkTelegram,
+  createTelegramLinkCode,
+  consumeTelegramLinkCode,
+  createBotSession,
+  listBotSessions,
+  getBotSessionById,
+  updateBotSession,
+  deleteBotSession,
+  deleteBotSessionsForChat,
+  listBotSessionsToWarn,
+  markBotSessionWarned,
+  listExpiredBotSessions,
+  setBotOpenedCard,
+  getBotOpenedCard,
+  setBotSessionBase,
+  bumpPatientVersion,
+  savePatientEdit,
+  CODED_FIELDS,
+  listIcdCodes,
+  listUncodedDiagnoses,
+  listUncodedPatientsByDiagnosis,
+  listMachines,
+  getMachineById,
+  createMachine,
+  updateMachine,
+  listHolidays,
+  addHoliday,
+  deleteHoliday,
+  listPatientSeries,
+  listPatientAppointments,
+  listUserAppointmentsOnDate,
+  listBusyAppointments,
+  getSeriesById,
+  createSeries,
+  cancelSeries,
+  listPatientFollowUps,
+  getFollowUpById,
+  createFollowUps,
+  recordFollowUp,
+  setFollowUpDueDate,
+  cancelFollowUp,
+  listFollowUps,
+  listPatientToxicity,
+  getToxicityById,
+  addToxicityEvent,
+  updateToxicityEvent,
+  deleteToxicityEvent,
+  listPatientAttachments,
+  getAttachmentById,
+  addAttachment,
+  setAttachmentKind,
+  archiveAttachment,
+  restoreAttachment,
 } from "./db.js";
-
-const editSessions = new Map();
+import {
+  TECHNIQUES,
+  normalizePhase,
+  validatePhase,
+  summarizePlan,
+  formatPhaseShort,
+  formatPlanShort,
+  plannedDoseForFraction,
+  calcProgress,
+  formatProgressBar,
+  formatPlanText,
+  planSignature,
+} from "./dose.js";
+import { diffWords, mergeValue } from "./diff.js";
+import { createApiRouter } from "./api.js";
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_MODES,
+  URGENT_EVENTS,
+  normalizeTime,
+  deliverNotification,
+  sendDigest,
+  runNotificationTick,
+} from "./notifications.js";
+import {
+  ROLES,
+  PERMISSIONS,
+  ensureDefaultRolePermissions,
+  can,
+  permissionsFor,
+  canEditAnyField,
+  filterEditableFields,
+  roleMatrix,
+} from "./permissions.js";
+import { formatDateTime, clinicToday, addDays } from "./time.js";
+import { buildDischargeData, renderDischarge, dischargeFilename } from "./discharge.js";
+import { SPREADSHEET_FORMATS, readSpreadsheet, toCsv, toXlsx } from "./spreadsheet.js";
+import { STATS_GROUPS, SOURCE_LABELS, parseStatsQuery, buildStats } from "./stats.js";
+import {
+  ICD_SYSTEMS,
+  syncIcdDictionary,
+  normalizeIcdCode,
+  searchIcd,
+  getIcdTitle,
+  icdCodeLabel,
+  validateCodedFields,
+  formatTnm,
+  suggestIcdCode,
+} from "./icd.js";
+import {
+  WEEKDAYS,
+  DEFAULT_WEEKDAYS,
+  CALENDAR_VIEWS,
+  APPOINTMENT_STATUS_LABELS,
+  parseSeriesForm,
+  planSeries,
+  interruptSeries,
+  syncSchedule,
+  reopenAppointments,
+  buildCalendar,
+  addHolidayAndReschedule,
+} from "./schedule.js";
+import {
+  FOLLOW_UP_OUTCOMES,
+  FOLLOW_UP_RESPONSES,
+  FOLLOW_UP_STATUS_LABELS,
+  LATE_TOXICITY_MAX_GRADE,
+  FOLLOW_UP_MONTHS,
+  courseEndDate,
+  planFollowUpVisits,
+  isOverdue,
+  parsePlanForm,
+  parseResultForm,
+  describeFollowUpResult,
+  runFollowUpTick,
+} from "./follow_up.js";
+import {
+  CTCAE_VERSION,
+  CTCAE_CATEGORIES,
+  CTCAE_TERMS,
+  ctcaeTerm,
+  TOXICITY_PHASES,
+  TOXICITY_ATTRIBUTIONS,
+  SEVERE_TOXICITY_GRADE,
+  isSevereToxicity,
+  courseStartDate,
+  parseToxicityForm,
+  describeToxicity,
+  toxicityAlertText,
+  worstToxicityByTerm,
+} from "./toxicity.js";
+import {
+  ATTACHMENT_KINDS,
+  ATTACHMENT_MAX_MB,
+  ATTACHMENT_MAX_FILES,
+  ATTACHMENT_EXTENSIONS,
+  isInlineAttachment,
+  isImageAttachment,
+  checkAttachment,
+  saveAttachmentFile,
+  attachmentPath,
+  removeAttachmentFile,
+  formatFileSize,
+} from "./attachments.js";
+import {
+  IMPORT_FIELDS,
+  IMPORT_MAX_ROWS,
+  guessMapping,
+  validateMapping,
+  buildImportPreview,
+} from "./patient_import.js";
+
+
+const PATIENTS_PER_PAGE = 25;
+
+// сколько последних записей дневника показывать в карточке бота
+const BOT_DIARY_PREVIEW = 3;
+// сколько последних вложений предлагать в боте
+const BOT_ATTACHMENTS_SHOWN = 10;
+// карт на странице результатов поиска и в одном ответе на inline-запрос
+const BOT_FIND_PAGE_SIZE = 8;
+const BOT_INLINE_PAGE_SIZE = 20;
+// как часто проверять отложенные уведомления, дайджесты и сроки диалогов бота
+const NOTIFICATION_TICK_MS = 60 * 1000;
+// диалог бота (редактирование, дневник) закрывается без ответа через N минут
+const BOT_SESSION_TTL_MIN = Number(process.env.BOT_SESSION_TTL_MIN) || 15;
+// за сколько минут до закрытия предупредить
+const BOT_SESSION_WARN_MIN = Math.min(2, BOT_SESSION_TTL_MIN / 2);
+// удалённая карта хранится в архиве не меньше N дней, потом админ может удалить её навсегда
+const ARCHIVE_RETENTION_DAYS = Number(process.env.ARCHIVE_RETENTION_DAYS) || 30;
+// предельный размер файла для импорта карт
+const IMPORT_MAX_FILE_MB = 10;
+// сколько строк показывать в предпросмотре импорта
+const IMPORT_PREVIEW_ROWS = 500;
+// сколько разных текстов диагноза показывать на странице сверки с МКБ-10
+const DIAGNOSIS_REVIEW_LIMIT = 200;
+// сколько ближайших сеансов показывать в карте пациента
+const SCHEDULE_UPCOMING_SHOWN = 10;
+// сколько конфликтов расписания перечислять в ответе
+const SCHEDULE_CONFLICTS_SHOWN = 10;
+// на сколько дней вперёд по умолчанию показывать контрольные визиты
+const FOLLOW_UP_LIST_DAYS = 30;
+
+// подписи для «служебных» полей истории (не колонки patients)
+const HISTORY_EXTRA_LABELS = {
+  treatment_plan: "План облучения",
+  diary_entry: "Запись в дневнике",
+  care_team: "Команда",
+};
 
 
 initDb();
 ensureAdminUser();
+ensureDefaultRolePermissions();
+syncIcdDictionary();
 
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 let bot = null;
 
-const ALLOWED_IDS = (process.env.ALLOWED_TELEGRAM_IDS || "")
-  .split(",")
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-  function notifyAll(text) {
-  if (!bot || !ALLOWED_IDS.length) return;
-  ALLOWED_IDS.forEach((id) => {
-    bot.telegram
-      .sendMessage(id, text, { parse_mode: "Markdown" })
-      .catch((err) =>
-        console.error("[Bot] Ошибка отправки уведомления", id, err.message)
-      );
-  });
+// доступ к боту теперь определяется привязкой Telegram к активному пользователю
+if (process.env.ALLOWED_TELEGRAM_IDS) {
+  console.warn(
+    "[Bot] ALLOWED_TELEGRAM_IDS больше не используется: привяжите Telegram через веб-панель (/settings/notifications)"
+  );
+}
+
+// сколько живёт код привязки Telegram
+const TELEGRAM_LINK_CODE_TTL_MIN = 10;
+
+function sendTelegram(telegramId, text) {
+  if (!bot) return;
+  bot.telegram
+    .sendMessage(telegramId, text, { parse_mode: "Markdown" })
+    .catch((err) =>
+      console.error("[Bot] Ошибка отправки уведомления", telegramId, err.message)
+    );
+}
+
+/**
+ * Уведомление по карте: команде пациента и подписчикам с привязанным Telegram.
+ * event — тип события (см. NOTIFICATION_EVENTS), доставка по настройкам получателя.
+ * Автора изменения (excludeUserId) не уведомляем.
+ */
+function notifyPatient(patientRowId, text, { event = "edit", excludeUserId } = {}) {
+  if (!bot) return;
+  listNotificationRecipients(patientRowId)
+    .filter((u) => u.id !== excludeUserId)
+    .forEach((u) => deliverNotification(u, event, text, sendTelegram));
+}
+
+/**
+ * Правка карты со сменой статуса — отдельный тип события
+ */
+function eventForEdit(changes) {
+  return changes.some((c) => c.field === "status") ? "status" : "edit";
 }
 
 
@@ -65,11 +331,16 @@ const __dirname = path.dirname(__filename);
 
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
+// время в БД — UTC, в шаблонах показываем по часам клиники
+app.locals.formatDateTime = formatDateTime;
 
 app.use(express.static(path.join(__dirname, "public")));
 
 app.use(express.urlencoded({ extended: true }));
 
+// JSON API для внешних систем (авторизация по API-токену, без сессии)
+app.use("/api/v1", createApiRouter({ notify: notifyPatient }));
+
 app.use(
   session({
     secret: process.env.SESSION_SECRET || "radonco-secret",
@@ -78,6 +349,14 @@ app.use(
   })
 );
 
+// отключённый администратором пользователь теряет и уже открытую сессию
+app.use((req, res, next) => {
+  if (!req.session.user) return next();
+  const current = getUserById(req.session.user.id);
+  if (current && current.is_active) return next();
+  req.session.destroy(() => res.redirect("/login"));
+});
+
 
 function requireAuth(req, res, next) {
   if (!req.session.user) {
@@ -96,6 +375,339 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Доступ по праву роли (см. permissions.js)
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.session.user) {
+      return res.redirect("/login");
+    }
+    if (!can(req.session.user, permission)) {
+      return res.status(403).send("Недостаточно прав для этого действия.");
+    }
+    next();
+  };
+}
+
+/**
+ * Фазы плана облучения из формы: phases[0][total_dose]=... и т.д.
+ * Возвращает { phases, error }
+ */
+function parsePhasesFromBody(body) {
+  const raw = body.phases ? Object.values(body.phases) : [];
+  const phases = raw.map(normalizePhase).filter(Boolean);
+
+  for (let i = 0; i < phases.length; i++) {
+    const error = validatePhase(phases[i], i);
+    if (error) return { phases, error };
+  }
+  return { phases, error: null };
+}
+
+/**
+ * Фильтры списка пациентов из query string (?q=&code=&status=&region=&from=&to=&unread=1&sort=&dir=&page=)
+ * Строка поиска вида "C50" ищется и в тексте, и по коду диагноза.
+ */
+function parsePatientListQuery(query) {
+  const dateOrNull = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v || "") ? v : null);
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const q = (query.q || "").trim();
+
+  return {
+    q,
+    qCode: normalizeIcdCode(q),
+    code: normalizeIcdCode(query.code) || "",
+    status: PATIENT_STATUSES.includes(query.status) ? query.status : "",
+    region: (query.region || "").trim(),
+    from: dateOrNull(query.from),
+    to: dateOrNull(query.to),
+    unread: query.unread === "1",
+    mine: query.mine === "1",
+    sort: (query.sort || "").trim(),
+    dir: query.dir === "asc" ? "asc" : "desc",
+    page,
+  };
+}
+
+/**
+ * URL списка пациентов с текущими фильтрами (+ переопределения)
+ */
+function patientsListUrl(filters, overrides = {}) {
+  const merged = { ...filters, ...overrides };
+  const params = new URLSearchParams();
+
+  ["q", "code", "status", "region", "from", "to", "sort"].forEach((key) => {
+    if (merged[key]) params.set(key, merged[key]);
+  });
+  if (merged.sort && merged.dir) params.set("dir", merged.dir);
+  if (merged.unread) params.set("unread", "1");
+  if (merged.mine) params.set("mine", "1");
+  if (merged.page && merged.page > 1) params.set("page", String(merged.page));
+
+  const qs = params.toString();
+  return "/patients" + (qs ? "?" + qs : "");
+}
+
+// поля карты в форме редактирования (план и команда обрабатываются отдельно)
+const EDIT_FORM_FIELDS = [
+  "full_name",
+  "birth_date",
+  "region",
+  "diagnosis",
+  "diagnosis_code",
+  "morphology_code",
+  "tnm_t",
+  "tnm_n",
+  "tnm_m",
+  "stage",
+  "topometry",
+  "method_gray",
+  "complaints",
+  "prescriptions",
+  "discharge_summary",
+  "complications",
+  "status",
+];
+
+/**
+ * Названия кодов карты для подписей в форме
+ */
+function codeTitlesFor(patient) {
+  return {
+    diagnosis_code: icdCodeLabel(patient.diagnosis_code),
+    morphology_code: icdCodeLabel(patient.morphology_code, "icdo_morphology"),
+  };
+}
+
+/**
+ * Код диагноза, морфология и стадия из формы (проверяются validateCodedFields)
+ */
+function codedFieldsFromBody(body) {
+  return Object.fromEntries(
+    CODED_FIELDS.map((field) => [field, (body[field] || "").trim() || null])
+  );
+}
+
+/**
+ * Лечащий врач и участники команды из формы (team_attending, team_members[]).
+ * Назначить можно только активного пользователя — как в API; keepIds — те, кто уже
+ * в команде карты (отключённого сотрудника правка карты из команды не убирает).
+ * Возвращает { attendingId, memberIds, error }.
+ */
+function parseTeamFromBody(body, { keepIds = [] } = {}) {
+  const allowed = new Set(
+    listUsers().filter((u) => u.is_active).map((u) => u.id).concat(keepIds)
+  );
+  let error = null;
+  const toId = (v) => {
+    if (v === undefined || v === null || v === "") return null;
+    const n = Number(v);
+    if (allowed.has(n)) return n;
+    error = "Нет активного пользователя с таким id: " + v;
+    return null;
+  };
+
+  const attendingId = toId(body.team_attending);
+  const memberIds = [...new Set([].concat(body.team_members || []).map(toId))]
+    .filter((uid) => uid && uid !== attendingId);
+
+  return { attendingId, memberIds, error };
+}
+
+/**
+ * Команда карты в виде { attendingId, memberIds } — как её возвращает parseTeamFromBody
+ */
+function teamFromRows(rows) {
+  return {
+    attendingId: (rows.find((m) => m.is_attending) || {}).user_id || null,
+    memberIds: rows.filter((m) => !m.is_attending).map((m) => m.user_id),
+  };
+}
+
+/**
+ * «Отпечаток» команды для слияния одновременных правок: "лечащий|участники"
+ */
+function teamSignature({ attendingId, memberIds }) {
+  return `${attendingId || ""}|${[...memberIds].sort((a, b) => a - b).join(",")}`;
+}
+
+/**
+ * Команда одной строкой (как в истории) — по id или по отпечатку из формы
+ */
+function teamText(team) {
+  if (typeof team === "string") {
+    const [attending = "", members = ""] = team.split("|");
+    team = {
+      attendingId: Number(attending) || null,
+      memberIds: members.split(",").filter(Boolean).map(Number),
+    };
+  }
+  const users = new Map(listUsers().map((u) => [u.id, u]));
+  const rows = [
+    ...(users.has(team.attendingId) ? [{ ...users.get(team.attendingId), is_attending: 1 }] : []),
+    ...team.memberIds
+      .filter((uid) => users.has(uid))
+      .map((uid) => ({ ...users.get(uid), is_attending: 0 })),
+  ];
+  return formatTeamText(rows);
+}
+
+/**
+ * План из отпечатка planSignature — текстом, для экрана конфликта
+ */
+function planTextFromSignature(signature) {
+  try {
+    return formatPlanText(JSON.parse(signature || "[]"));
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Команда и подписка текущего пользователя — для карты пациента
+ */
+function loadTeamData(patientRowId, userId) {
+  const team = getPatientTeam(patientRowId);
+  return {
+    team,
+    staff: listUsers(),
+    subscribed: isSubscribed(patientRowId, userId),
+    inTeam: team.some((m) => m.user_id === userId),
+  };
+}
+
+/**
+ * План, журнал фракций и прогресс курса — для карты пациента
+ */
+function loadTreatmentData(patientRowId) {
+  const phases = listTreatmentPhases(patientRowId);
+  const plan = summarizePlan(phases);
+  const fractions = listFractionDeliveries(patientRowId);
+  const nextFraction = getNextFractionNumber(patientRowId);
+
+  return {
+    plan,
+    fractions,
+    progress: calcProgress(plan, fractions),
+    nextFraction,
+    nextFractionDose: plannedDoseForFraction(phases, nextFraction),
+  };
+}
+
+/**
+ * Расписание облучения для карты: серии, ближайшие сеансы, аппараты и значения формы
+ */
+function loadScheduleData(patientRowId, plan, fractions) {
+  const today = clinicToday();
+  const appointments = listPatientAppointments(patientRowId);
+  const delivered = fractions.filter((f) => f.status === "delivered").length;
+  const machines = listMachines({ activeOnly: true });
+
+  return {
+    scheduleSeries: listPatientSeries(patientRowId),
+    upcomingAppointments: appointments
+      .filter((a) => a.status === "scheduled" && a.date >= today)
+      .slice(0, SCHEDULE_UPCOMING_SHOWN),
+    todayAppointment: appointments.find((a) => a.date === today && a.status !== "missed") || null,
+    machines,
+    weekdays: WEEKDAYS,
+    scheduleDefaults: {
+      start_date: addDays(today, 1),
+      start_time: "09:00",
+      duration_min: machines.length ? machines[0].slot_minutes : 15,
+      fractions: Math.max(1, (plan.fractions || 0) - delivered),
+      weekdays: DEFAULT_WEEKDAYS,
+    },
+    appointmentStatusLabels: APPOINTMENT_STATUS_LABELS,
+  };
+}
+
+/**
+ * Журнал статусов для карты: переходы, даты начала и окончания лечения, допустимые переходы
+ */
+function loadStatusData(patient) {
+  const statusHistory = listStatusHistory(patient.id);
+  const first = (status) => statusHistory.find((h) => h.to_status === status);
+  const last = (status) => [...statusHistory].reverse().find((h) => h.to_status === status);
+  return {
+    statusHistory,
+    milestones: {
+      started: first("on_treatment")?.changed_at || null,
+      finished: last("finished")?.changed_at || null,
+    },
+    nextStatuses: nextPatientStatuses(patient.status),
+    statusLabels: PATIENT_STATUS_LABELS,
+    statusReasonRequired: STATUSES_REQUIRING_REASON,
+    sourceLabels: SOURCE_LABELS,
+  };
+}
+
+/**
+ * Наблюдение после курса для карты: визиты и значения формы плана
+ */
+function loadFollowUpData(patientRowId, fractions) {
+  const today = clinicToday();
+  return {
+    followUps: listPatientFollowUps(patientRowId).map((v) => ({
+      ...v,
+      overdue: isOverdue(v, today),
+    })),
+    followUpDefaults: {
+      base_date: courseEndDate(fractions) || today,
+      months: FOLLOW_UP_MONTHS.join(", "),
+    },
+    followUpOutcomes: FOLLOW_UP_OUTCOMES,
+    followUpResponses: FOLLOW_UP_RESPONSES,
+    followUpStatusLabels: FOLLOW_UP_STATUS_LABELS,
+    lateToxicityMaxGrade: LATE_TOXICITY_MAX_GRADE,
+    today,
+  };
+}
+
+/**
+ * Токсичность по CTCAE для карты: записи, справочник и значения формы
+ */
+function loadToxicityData(patientRowId, fractions) {
+  return {
+    toxicity: listPatientToxicity(patientRowId),
+    ctcaeVersion: CTCAE_VERSION,
+    ctcaeCategories: CTCAE_CATEGORIES,
+    ctcaeTerms: CTCAE_TERMS,
+    toxicityPhases: TOXICITY_PHASES,
+    toxicityAttributions: TOXICITY_ATTRIBUTIONS,
+    severeToxicityGrade: SEVERE_TOXICITY_GRADE,
+    courseStart: courseStartDate(fractions),
+  };
+}
+
+/**
+ * Срочное уведомление команде о токсичности 3–5 ст. (при записи или повышении степени)
+ */
+function alertSevereToxicity(patient, event, user, previousGrade = 0) {
+  if (!isSevereToxicity(event.grade) || event.grade <= previousGrade) return;
+  notifyPatient(patient.id, toxicityAlertText(patient, event, user.full_name || user.login), {
+    event: "toxicity",
+    excludeUserId: user.id,
+  });
+}
+
+/**
+ * Вложения карты и ограничения для формы загрузки
+ */
+function loadAttachmentData(patientRowId) {
+  return {
+    attachments: listPatientAttachments(patientRowId),
+    archivedAttachments: listPatientAttachments(patientRowId, { archived: true }),
+    attachmentKinds: ATTACHMENT_KINDS,
+    attachmentMaxMb: ATTACHMENT_MAX_MB,
+    attachmentMaxFiles: ATTACHMENT_MAX_FILES,
+    attachmentExtensions: ATTACHMENT_EXTENSIONS,
+    isImageAttachment,
+    formatFileSize,
+  };
+}
+
 /* ---- маршруты ---- */
 
 // редирект на логин/пациентов
@@ -131,6 +743,12 @@ app.post("/login", (req, res) => {
     });
   }
 
+  if (!user.is_active) {
+    return res.status(403).render("login", {
+      error: "Пользователь отключён. Обратитесь к администратору.",
+    });
+  }
+
   req.session.user = {
     id: user.id,
     login: user.login,
@@ -156,6 +774,7 @@ app.get("/admin/users", requireAdmin, (req, res) => {
   res.render("admin_users", {
     user: req.session.user,
     users,
+    roles: ROLES,
   });
 });
 
@@ -165,17 +784,23 @@ app.get("/admin/users/new", requireAdmin, (req, res) => {
     user: req.session.user,
     mode: "create",
     u: {},
+    roles: ROLES,
     error: null,
+    apiTokens: [],
+    newApiToken: null,
   });
 });
 
 // создание пользователя
 app.post("/admin/users/new", requireAdmin, (req, res) => {
-  const { login, full_name, role, telegram_id, password } = req.body;
+  const { login, full_name, role, password } = req.body;
 
   if (!login || !password) {
     return res.status(400).send("Логин и пароль обязательны");
   }
+  if (role && !ROLES[role]) {
+    return res.status(400).send("Неизвестная роль");
+  }
 
   const trimmedLogin = login.trim();
   const trimmedPassword = password.trim();
@@ -188,7 +813,6 @@ app.post("/admin/users/new", requireAdmin, (req, res) => {
       passwordHash,
       full_name: full_name ? full_name.trim() : null,
       role: role || "doctor",
-      telegram_id: telegram_id ? String(telegram_id).trim() : null,
     });
 
     res.redirect("/admin/users");
@@ -208,18 +832,29 @@ app.get("/admin/users/:id/edit", requireAdmin, (req, res) => {
     return res.status(404).send("Пользователь не найден");
   }
 
+  // только что выпущенный токен показываем один раз
+  const newApiToken = req.session.newApiToken || null;
+  delete req.session.newApiToken;
+
   res.render("admin_user_form", {
     user: req.session.user,
     mode: "edit",
     u,
+    roles: ROLES,
     error: null,
+    apiTokens: listApiTokensForUser(id),
+    newApiToken,
   });
 });
 
 // редактирование существующего пользователя (админ)
 app.post("/admin/users/:id/edit", requireAdmin, (req, res) => {
   const id = Number(req.params.id);
-  const { login, full_name, role, telegram_id, password } = req.body;
+  const { login, full_name, role, password } = req.body;
+
+  if (role && !ROLES[role]) {
+    return res.status(400).send("Неизвестная роль");
+  }
 
   let passwordHash;
   if (password && password.trim()) {
@@ -232,7 +867,6 @@ app.post("/admin/users/:id/edit", requireAdmin, (req, res) => {
       login: login ? login.trim() : undefined,
       full_name: full_name ? full_name.trim() : undefined,
       role: role || undefined,
-      telegram_id: telegram_id ? String(telegram_id).trim() : undefined,
       passwordHash,
     });
 
@@ -245,6 +879,84 @@ app.post("/admin/users/:id/edit", requireAdmin, (req, res) => {
   }
 });
 
+// выпуск API-токена для пользователя
+app.post("/admin/users/:id/tokens", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!getUserById(id)) {
+    return res.status(404).send("Пользователь не найден");
+  }
+
+  const name = (req.body.name || "").trim() || null;
+  const { token } = createApiToken(id, name);
+  req.session.newApiToken = token;
+
+  res.redirect(`/admin/users/${id}/edit#api-tokens`);
+});
+
+// отзыв API-токена
+app.post("/admin/users/:id/tokens/:tokenId/revoke", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const token = getApiTokenById(Number(req.params.tokenId));
+  if (!token || token.user_id !== id) {
+    return res.status(404).send("Токен не найден");
+  }
+
+  revokeApiToken(token.id);
+  res.redirect(`/admin/users/${id}/edit#api-tokens`);
+});
+
+// настройка прав ролей
+app.get("/admin/roles", requireAdmin, (req, res) => {
+  res.render("admin_roles", {
+    user: req.session.user,
+    roles: ROLES,
+    permissions: PERMISSIONS,
+    matrix: roleMatrix(),
+  });
+});
+
+app.post("/admin/roles", requireAdmin, (req, res) => {
+  // чекбоксы приходят как perm[role][]=permission
+  const submitted = req.body.perm || {};
+
+  Object.keys(ROLES)
+    .filter((role) => role !== "admin")
+    .forEach((role) => {
+      const list = [].concat(submitted[role] || []);
+      setRolePermissions(
+        role,
+        list.filter((p) => PERMISSIONS[p])
+      );
+    });
+
+  res.redirect("/admin/roles");
+});
+
+// отвязать Telegram пользователя
+app.post("/admin/users/:id/telegram/unlink", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!getUserById(id)) {
+    return res.status(404).send("Пользователь не найден");
+  }
+
+  unlinkTelegram(id);
+  res.redirect("/admin/users");
+});
+
+// отключить / включить пользователя (веб-панель, бот и API)
+app.post("/admin/users/:id/active", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  if (!getUserById(id)) {
+    return res.status(404).send("Пользователь не найден");
+  }
+  if (req.session.user.id === id) {
+    return res.status(400).send("Нельзя отключить самого себя.");
+  }
+
+  setUserActive(id, req.body.active === "1");
+  res.redirect("/admin/users");
+});
+
 // удаление пользователя
 app.post("/admin/users/:id/delete", requireAdmin, (req, res) => {
   const id = Number(req.params.id);
@@ -261,60 +973,258 @@ app.post("/admin/users/:id/delete", requireAdmin, (req, res) => {
   res.redirect("/admin/users");
 });
 
+/* ---- Настройки уведомлений ---- */
+
+app.get("/settings/notifications", requireAuth, (req, res) => {
+  // код привязки показываем один раз
+  const linkCode = req.session.telegramLinkCode || null;
+  delete req.session.telegramLinkCode;
+
+  res.render("notification_settings", {
+    user: req.session.user,
+    account: getUserById(req.session.user.id),
+    settings: getNotificationSettings(req.session.user.id),
+    events: NOTIFICATION_EVENTS,
+    modes: NOTIFICATION_MODES,
+    urgentEvents: URGENT_EVENTS,
+    saved: req.query.saved === "1",
+    linkCode,
+    botUsername: bot?.botInfo?.username || null,
+  });
+});
+
+// код для привязки Telegram: пользователь отправляет боту /link CODE
+app.post("/settings/telegram/link", requireAuth, (req, res) => {
+  req.session.telegramLinkCode = createTelegramLinkCode(
+    req.session.user.id,
+    TELEGRAM_LINK_CODE_TTL_MIN
+  );
+  res.redirect("/settings/notifications#telegram");
+});
+
+app.post("/settings/telegram/unlink", requireAuth, (req, res) => {
+  unlinkTelegram(req.session.user.id);
+  res.redirect("/settings/notifications#telegram");
+});
+
+app.post("/settings/notifications", requireAuth, (req, res) => {
+  const body = req.body;
+
+  const prefs = {};
+  // срочные приходят всегда сразу — их режим не сохраняем
+  Object.keys(NOTIFICATION_EVENTS)
+    .filter((event) => !URGENT_EVENTS.includes(event))
+    .forEach((event) => {
+      const mode = body[`mode_${event}`];
+      if (NOTIFICATION_MODES[mode]) prefs[event] = mode;
+    });
+
+  const quietFrom = normalizeTime(body.quiet_from);
+  const quietTo = normalizeTime(body.quiet_to);
+  if (Boolean(quietFrom) !== Boolean(quietTo)) {
+    return res
+      .status(400)
+      .send("Для тихих часов укажите и начало, и конец (или оставьте оба поля пустыми).");
+  }
+
+  saveNotificationSettings(req.session.user.id, {
+    quiet_from: quietFrom,
+    quiet_to: quietTo,
+    digest_time: normalizeTime(body.digest_time) || "08:00",
+    prefs,
+  });
+
+  res.redirect("/settings/notifications?saved=1");
+});
+
 /* ---- Пациенты (радиоонкология) ---- */
 
+// карта из архива доступна только для просмотра: форма редактирования ведёт на просмотр,
+// любые изменения отклоняются (восстановить карту можно в /admin/archive)
+app.use("/patients/:id", (req, res, next) => {
+  const patient = /^\d+$/.test(req.params.id)
+    ? getPatientByRowId(Number(req.params.id))
+    : null;
+  if (!patient || !patient.deleted_at) return next();
+
+  if (req.method === "GET") {
+    if (req.path === "/edit") return res.redirect(`/patients/${patient.id}`);
+    return next();
+  }
+  return res
+    .status(409)
+    .send("Карта находится в архиве. Восстановить её может администратор.");
+});
+
 // список пациентов
 app.get("/patients", requireAuth, (req, res) => {
   const user = req.session.user;
-  const patients = listPatientsForUser(user.id);
+  const filters = parsePatientListQuery(req.query);
+
+  const total = countPatientsForUser(user.id, filters);
+  const pages = Math.max(1, Math.ceil(total / PATIENTS_PER_PAGE));
+  const page = Math.min(filters.page, pages);
+
+  const patients = listPatientsForUser(user.id, {
+    ...filters,
+    limit: PATIENTS_PER_PAGE,
+    offset: (page - 1) * PATIENTS_PER_PAGE,
+  });
 
   res.render("patients_list", {
     user,
     patients,
+    filters: { ...filters, page },
+    total,
+    pages,
+    regions: listPatientRegions(),
+    listUrl: (overrides) => patientsListUrl({ ...filters, page }, overrides),
+    exportUrl: (format) => {
+      const url = patientsListUrl({ ...filters, page: 1 });
+      return (
+        url.replace(/^\/patients/, "/patients/export") +
+        (url.includes("?") ? "&" : "?") +
+        `format=${format}`
+      );
+    },
+    formatPlanShort,
+    statusLabels: PATIENT_STATUS_LABELS,
+    perms: permissionsFor(user),
   });
 });
 
+// выгрузка текущего списка (с фильтрами, без разбивки на страницы) в CSV / XLSX
+app.get("/patients/export", requireAuth, async (req, res) => {
+  const format = SPREADSHEET_FORMATS.includes(req.query.format) ? req.query.format : "csv";
+  const patients = listPatientsForUser(
+    req.session.user.id,
+    parsePatientListQuery(req.query)
+  );
+
+  const headers = [
+    "ID карты",
+    "ФИО",
+    "Дата рождения",
+    "Регион",
+    "Диагноз",
+    "Код МКБ-10",
+    "Стадия",
+    "Статус",
+    "План облучения",
+    "Лечащий врач",
+    "Создана",
+    "Изменена",
+  ];
+  const rows = patients.map((p) => [
+    p.patient_id,
+    p.full_name,
+    p.birth_date || "",
+    p.region || "",
+    p.diagnosis || "",
+    p.diagnosis_code || "",
+    p.stage || "",
+    PATIENT_STATUS_LABELS[p.status] || p.status || "",
+    formatPlanShort(p.plan_total_dose, p.plan_fractions, p.plan_techniques),
+    p.attending_name || "",
+    formatDateTime(p.created_at),
+    formatDateTime(p.updated_at),
+  ]);
+
+  const filename = `patients-${clinicToday()}.${format}`;
+  res.attachment(filename);
+  if (format === "xlsx") {
+    res.type("xlsx").send(await toXlsx(headers, rows, "Пациенты"));
+  } else {
+    res.type("text/csv; charset=utf-8").send(toCsv(headers, rows));
+  }
+});
+
 // форма создания пациента
-app.get("/patients/new", requireAuth, (req, res) => {
+app.get("/patients/new", requirePermission("patient.create"), (req, res) => {
   res.render("patient_form", {
     user: req.session.user,
     patient: {},
     mode: "create",
+    codeTitles: codeTitlesFor({}),
+    statusLabels: PATIENT_STATUS_LABELS,
+    nextStatuses: PATIENT_STATUSES,
+    statusReasonRequired: STATUSES_REQUIRING_REASON,
     lastChange: null,
+    diaryEntries: [],
+    plan: summarizePlan([]),
+    fractions: [],
+    progress: null,
+    techniques: TECHNIQUES,
+    // по умолчанию лечащий врач — автор карты
+    team: [{ user_id: req.session.user.id, is_attending: 1 }],
+    staff: listUsers(),
+    subscribed: false,
+    inTeam: true,
+    roles: ROLES,
+    perms: permissionsFor(req.session.user),
   });
 });
 
-app.post("/patients/new", requireAuth, (req, res) => {
+app.post("/patients/new", requirePermission("patient.create"), (req, res) => {
   const body = req.body;
+  const user = req.session.user;
 
   // генерируем ID автоматически
   const generatedPatientId = generateNextPatientId();
 
-  const data = {
-    patient_id: generatedPatientId,
-    full_name: (body.full_name || "").trim(),
+  const submitted = {
     birth_date: body.birth_date || null,
     region: body.region || null,
     diagnosis: body.diagnosis || null,
+    ...codedFieldsFromBody(body),
     topometry: body.topometry || null,
     method_gray: body.method_gray ? body.method_gray.trim() : null,
-    diary: body.diary || null,
     complaints: body.complaints || null,
     prescriptions: body.prescriptions || null,
     discharge_summary: body.discharge_summary || null,
     complications: body.complications || null,
-    status: body.status || "on_treatment",
-    created_by: req.session.user.id,
-    updated_by: req.session.user.id,
+    status: body.status || null,
+  };
+  // поля, на которые у роли нет прав, не заполняем — как при редактировании;
+  // ФИО без карты не бывает, его задаёт любой, кто вправе создавать карты
+  const editable = filterEditableFields(user, submitted);
+  const data = {
+    ...editable,
+    patient_id: generatedPatientId,
+    full_name: (body.full_name || "").trim(),
+    status: editable.status || "on_treatment",
+    created_by: user.id,
+    updated_by: user.id,
   };
 
   if (!data.full_name) {
     return res.status(400).send("ФИО пациента обязательно");
   }
+  if (!PATIENT_STATUSES.includes(data.status)) {
+    return res.status(400).send("Неизвестный статус");
+  }
+  const codeErrors = validateCodedFields(data);
+  if (codeErrors.length) {
+    return res.status(400).send(codeErrors.map((e) => e.message).join("; "));
+  }
+
+  const { phases, error: phasesError } = can(user, "field.treatment_plan")
+    ? parsePhasesFromBody(body)
+    : { phases: [], error: null };
+  if (phasesError) {
+    return res.status(400).send("Ошибка в плане облучения: " + phasesError);
+  }
+
+  const team = can(user, "patient.team")
+    ? parseTeamFromBody(body)
+    : { attendingId: req.session.user.id, memberIds: [] };
+  if (team.error) {
+    return res.status(400).send("Ошибка в команде: " + team.error);
+  }
 
   let rowId;
   try {
-    rowId = createPatient(data);
+    rowId = createPatientCard(data, { source: "web-create", phases, team });
   } catch (e) {
     console.error("createPatient error:", e);
     return res
@@ -327,20 +1237,53 @@ app.post("/patients/new", requireAuth, (req, res) => {
     req.session.user?.login ||
     "неизвестный пользователь";
 
+  // начальные значения полей тоже попадают в историю
+  const initialFields = Object.keys(PATIENT_FIELD_LABELS)
+    .filter((field) => data[field])
+    .map((field) => ({ field, old_value: null, new_value: data[field] }));
+  if (phases.length) {
+    initialFields.push({
+      field: "treatment_plan",
+      old_value: null,
+      new_value: formatPlanText(phases),
+    });
+  }
+
+  const teamText = formatTeamText(getPatientTeam(rowId));
+  if (teamText) {
+    initialFields.push({ field: "care_team", old_value: null, new_value: teamText });
+  }
+
+  const firstDiaryText = can(user, "diary.add") ? (body.diary || "").trim() : "";
+  if (firstDiaryText) {
+    addDiaryEntry({
+      patient_id: rowId,
+      author_id: req.session.user.id,
+      source: "web",
+      text: firstDiaryText,
+    });
+    initialFields.push({
+      field: "diary_entry",
+      old_value: null,
+      new_value: firstDiaryText,
+    });
+  }
+
   // записываем изменение + сразу считаем, что автор его уже посмотрел
   const changeId = recordPatientChange(
     rowId,
     req.session.user.id,
     "web-create",
-    "Создание карты пациента"
+    "Создание карты пациента",
+    initialFields
   );
   markPatientSeen(rowId, req.session.user.id, changeId);
 
-  if (typeof notifyAll === "function") {
-    notifyAll(
-      `🧾 *Создана новая карта ЛТ*\nID: *${data.patient_id}*\nПациент: ${data.full_name}\nПользователь: ${actor}`
-    );
-  }
+  notifyPatient(
+    rowId,
+    `🧾 *Создана новая карта ЛТ*\nID: *${data.patient_id}*\nПациент: ${data.full_name}\nПользователь: ${actor}`,
+    { event: "create", excludeUserId: req.session.user.id }
+  );
 
   res.redirect("/patients");
 });
@@ -356,12 +1299,28 @@ app.get("/patients/:id/edit", requireAuth, (req, res) => {
 
   markPatientSeen(id, req.session.user.id);
   const lastChange = getLastChangeInfo(id);
+  const treatment = loadTreatmentData(id);
 
   res.render("patient_form", {
     user: req.session.user,
     patient,
     mode: "edit",
+    codeTitles: codeTitlesFor(patient),
     lastChange,
+    diaryEntries: listDiaryEntries(id),
+    ...treatment,
+    ...loadScheduleData(id, treatment.plan, treatment.fractions),
+    ...loadFollowUpData(id, treatment.fractions),
+    ...loadToxicityData(id, treatment.fractions),
+    ...loadAttachmentData(id),
+    ...loadStatusData(patient),
+    ...loadTeamData(id, req.session.user.id),
+    editFields: EDIT_FORM_FIELDS,
+    origPlan: planSignature(listTreatmentPhases(id)),
+    origTeam: teamSignature(teamFromRows(getPatientTeam(id))),
+    techniques: TECHNIQUES,
+    roles: ROLES,
+    perms: permissionsFor(req.session.user),
   });
 });
 
@@ -375,12 +1334,26 @@ app.get("/patients/:id", requireAuth, (req, res) => {
 
   markPatientSeen(id, req.session.user.id);
   const lastChange = getLastChangeInfo(id);
+  const treatment = loadTreatmentData(id);
 
   res.render("patient_form", {
     user: req.session.user,
     patient,
     mode: "view",
+    codeTitles: codeTitlesFor(patient),
+    archivedBy: patient.deleted_by ? getUserById(patient.deleted_by) : null,
     lastChange,
+    diaryEntries: listDiaryEntries(id),
+    ...treatment,
+    ...loadScheduleData(id, treatment.plan, treatment.fractions),
+    ...loadFollowUpData(id, treatment.fractions),
+    ...loadToxicityData(id, treatment.fractions),
+    ...loadAttachmentData(id),
+    ...loadStatusData(patient),
+    ...loadTeamData(id, req.session.user.id),
+    techniques: TECHNIQUES,
+    roles: ROLES,
+    perms: permissionsFor(req.session.user),
   });
 });
 
@@ -393,69 +1366,1387 @@ app.post("/patients/:id/edit", requireAuth, (req, res) => {
     return res.status(404).send("Пациент не найден");
   }
 
+  const user = req.session.user;
+  if (!canEditAnyField(user)) {
+    return res.status(403).send("Недостаточно прав для редактирования карты.");
+  }
+
   const body = req.body;
 
-  const data = {
-    patient_id: (body.patient_id || "").trim(),
+  const submitted = {
     full_name: (body.full_name || "").trim(),
     birth_date: body.birth_date || null,
     region: body.region || null,
     diagnosis: body.diagnosis || null,
+    ...codedFieldsFromBody(body),
     topometry: body.topometry || null,
     method_gray: body.method_gray ? body.method_gray.trim() : null,
-    diary: body.diary || null,
     complaints: body.complaints || null,
     prescriptions: body.prescriptions || null,
     discharge_summary: body.discharge_summary || null,
     complications: body.complications || null,
-    status: body.status || "on_treatment",
+    status: body.status || null,
   };
+  // статус не выбран (у старой карты его могло не быть) — оставляем как есть
+  if (!submitted.status) delete submitted.status;
+  // поля, на которые у роли нет прав, не трогаем
+  const data = filterEditableFields(user, submitted);
+  const codeErrors = validateCodedFields(data);
+  if (codeErrors.length) {
+    return res.status(400).send(codeErrors.map((e) => e.message).join("; "));
+  }
 
-  updatePatient(id, data);
+  const canEditPlan = can(user, "field.treatment_plan");
+  const { phases, error: phasesError } = canEditPlan
+    ? parsePhasesFromBody(body)
+    : { phases: null, error: null };
+  const canEditTeam = can(user, "patient.team");
+  if (phasesError) {
+    return res.status(400).send("Ошибка в плане облучения: " + phasesError);
+  }
+  const submittedTeam = canEditTeam
+    ? parseTeamFromBody(body, { keepIds: getPatientTeam(id).map((m) => m.user_id) })
+    : null;
+  if (submittedTeam && submittedTeam.error) {
+    return res.status(400).send("Ошибка в команде: " + submittedTeam.error);
+  }
 
-  const actor =
-    req.session.user?.full_name ||
-    req.session.user?.login ||
-    "неизвестный пользователь";
+  // план и команду оставляем как есть: их изменил только другой пользователь
+  // или так решили при конфликте
+  let keepTheirPlan = canEditPlan && body.plan_keep_theirs === "1";
+  let keepTheirTeam = canEditTeam && body.team_keep_theirs === "1";
 
-  recordPatientChange(
+  // версия карты, с которой открыли форму, — без неё нельзя понять, не затрём ли чужие правки
+  const baseVersion = /^\d+$/.test(body.version || "") ? Number(body.version) : null;
+  if (baseVersion === null) {
+    return res
+      .status(400)
+      .send("Не передана версия карты — обновите страницу редактирования и повторите правку.");
+  }
+
+  // карту успели сохранить, пока форма была открыта — объединяем правки по полям
+  if (baseVersion !== patient.version) {
+    const conflicts = [];
+
+    Object.keys(data).forEach((field) => {
+      const base = body[`orig_${field}`];
+      const merged = mergeValue(base, data[field], patient[field]);
+      if (merged.conflict) {
+        conflicts.push({
+          field,
+          label: PATIENT_FIELD_LABELS[field],
+          base,
+          mine: data[field],
+          theirs: patient[field],
+          parts: diffWords(patient[field] || "", data[field] || ""),
+        });
+      } else {
+        data[field] = merged.value;
+      }
+    });
+
+    const theirPhases = listTreatmentPhases(id);
+    if (canEditPlan && !keepTheirPlan) {
+      const merged = mergeValue(
+        body.orig_treatment_plan,
+        planSignature(phases),
+        planSignature(theirPhases)
+      );
+      if (merged.conflict) {
+        conflicts.push({
+          field: "treatment_plan",
+          label: "План облучения",
+          base: planTextFromSignature(body.orig_treatment_plan),
+          mine: formatPlanText(phases),
+          theirs: formatPlanText(theirPhases),
+          parts: diffWords(formatPlanText(theirPhases), formatPlanText(phases)),
+        });
+      } else {
+        keepTheirPlan = merged.value !== planSignature(phases);
+      }
+    }
+
+    const theirTeam = teamFromRows(getPatientTeam(id));
+    if (canEditTeam && !keepTheirTeam) {
+      const merged = mergeValue(
+        body.orig_team,
+        teamSignature(submittedTeam),
+        teamSignature(theirTeam)
+      );
+      if (merged.conflict) {
+        conflicts.push({
+          field: "care_team",
+          label: "Лечащий врач и команда",
+          base: teamText(body.orig_team || "|"),
+          mine: teamText(submittedTeam),
+          theirs: teamText(theirTeam),
+          parts: diffWords(teamText(theirTeam), teamText(submittedTeam)),
+        });
+      } else {
+        keepTheirTeam = merged.value !== teamSignature(submittedTeam);
+      }
+    }
+
+    if (conflicts.length) {
+      const team = submittedTeam;
+      return res.status(409).render("patient_conflict", {
+        user,
+        patient,
+        lastChange: getLastChangeInfo(id),
+        conflicts,
+        merged: data,
+        phases: canEditPlan ? phases : null,
+        theirPlan: planSignature(theirPhases),
+        keepTheirPlan,
+        team: team && { attending: team.attendingId, members: team.memberIds },
+        theirTeam: teamSignature(theirTeam),
+        keepTheirTeam,
+        statusLabels: PATIENT_STATUS_LABELS,
+        nextStatuses: nextPatientStatuses(patient.status),
+        statusReason: (body.status_reason || "").trim(),
+      });
+    }
+  }
+
+  const statusReason = (body.status_reason || "").trim();
+  const statusError = checkStatusTransition(patient.status, data.status, statusReason);
+  if (statusError) {
+    return res.status(400).send(statusError);
+  }
+
+  // поля, план, команда и запись в историю — одной транзакцией, версия +1
+  const changes = savePatientEdit(id, () => {
+    const changes = updatePatient(
+      id,
+      { ...data, updated_by: user.id },
+      { expectedVersion: patient.version, statusReason, source: "web-edit" }
+    );
+
+    if (canEditPlan && !keepTheirPlan) {
+      const planBefore = formatPlanText(listTreatmentPhases(id));
+      const signatureBefore = planSignature(listTreatmentPhases(id));
+      replaceTreatmentPhases(id, phases);
+
+      const planAfter = formatPlanText(phases);
+      if (planBefore !== planAfter) {
+        changes.push({
+          field: "treatment_plan",
+          old_value: planBefore,
+          new_value: planAfter,
+        });
+      }
+      // план хранится отдельно от карты — версию поднимаем сами
+      if (signatureBefore !== planSignature(phases)) bumpPatientVersion(id);
+    }
+
+    if (canEditTeam && !keepTheirTeam) {
+      const teamBefore = formatTeamText(getPatientTeam(id));
+      const { attendingId, memberIds } = submittedTeam;
+      setPatientTeam(id, attendingId, memberIds);
+
+      const teamAfter = formatTeamText(getPatientTeam(id));
+      if (teamBefore !== teamAfter) {
+        changes.push({
+          field: "care_team",
+          old_value: teamBefore,
+          new_value: teamAfter,
+        });
+      }
+    }
+
+    recordPatientChange(
+      id,
+      req.session.user.id,
+      "web-edit",
+      "Редактирование в веб-панели",
+      changes
+    );
+    return changes;
+  });
+  markPatientSeen(id, req.session.user.id);
+
+  const actor =
+    req.session.user?.full_name ||
+    req.session.user?.login ||
+    "неизвестный пользователь";
+
+  notifyPatient(
+    id,
+    `♻️ *Обновлена карта ЛТ*\nID: *${patient.patient_id}*\nПациент: ${data.full_name || patient.full_name}\nПользователь: ${actor}`,
+    { event: eventForEdit(changes), excludeUserId: req.session.user.id }
+  );
+
+  res.redirect("/patients");
+});
+
+// подписка на уведомления по карте (вкл/выкл)
+app.post("/patients/:id/subscribe", requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  if (!getPatientByRowId(id)) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  setSubscription(id, req.session.user.id, req.body.subscribe === "1");
+  res.redirect(req.get("referer") || `/patients/${id}`);
+});
+
+// история изменений карты
+app.get("/patients/:id/history", requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const changes = listPatientChanges(id).map((c) => ({
+    ...c,
+    fields: c.fields.map((f) => ({
+      ...f,
+      label:
+        PATIENT_FIELD_LABELS[f.field] ||
+        HISTORY_EXTRA_LABELS[f.field] ||
+        f.field,
+      revertable: Boolean(PATIENT_FIELD_LABELS[f.field]),
+      parts: diffWords(f.old_value || "", f.new_value || ""),
+    })),
+  }));
+
+  res.render("patient_history", {
+    user: req.session.user,
+    patient,
+    changes,
+  });
+});
+
+// выписка для печати / сохранения в PDF через браузер
+app.get("/patients/:id/discharge", requireAuth, async (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  try {
+    const html = await renderDischarge({
+      ...buildDischargeData(patient, req.session.user),
+      backUrl: `/patients/${id}`,
+    });
+    res.type("html").send(html);
+  } catch (err) {
+    console.error("[discharge] Ошибка шаблона выписки:", err.message);
+    res.status(500).send("Не удалось сформировать выписку: проверьте шаблон.");
+  }
+});
+
+// откат поля к значению «до» выбранного изменения (только admin)
+app.post(
+  "/patients/:id/history/:fieldChangeId/revert",
+  requireAdmin,
+  (req, res) => {
+    const id = Number(req.params.id);
+    const entry = getPatientChangeField(Number(req.params.fieldChangeId));
+    if (!entry || entry.patient_id !== id) {
+      return res.status(404).send("Запись истории не найдена");
+    }
+    if (!PATIENT_FIELD_LABELS[entry.field]) {
+      return res.status(400).send("Это поле нельзя откатить из истории");
+    }
+
+    // версия карты, с которой открыли историю: откат не должен затереть более свежую правку
+    const baseVersion = /^\d+$/.test(req.body.version || "") ? Number(req.body.version) : null;
+    if (baseVersion === null) {
+      return res
+        .status(400)
+        .send("Не передана версия карты — обновите страницу истории и повторите откат.");
+    }
+
+    let changes;
+    try {
+      // поле и запись в историю — одной транзакцией, версия +1
+      changes = savePatientEdit(id, () => {
+        const changes = setPatientField(id, entry.field, entry.old_value, req.session.user.id, {
+          expectedVersion: baseVersion,
+          statusReason: `откат изменения #${entry.change_id}`,
+          source: "web-revert",
+        });
+        if (changes.length) {
+          recordPatientChange(
+            id,
+            req.session.user.id,
+            "web-revert",
+            `Откат поля "${PATIENT_FIELD_LABELS[entry.field]}" (изменение #${entry.change_id})`,
+            changes
+          );
+        }
+        return changes;
+      });
+    } catch (e) {
+      if (e.code === "VERSION_CONFLICT") {
+        return res
+          .status(409)
+          .send("Карту изменили после того, как вы открыли историю. Обновите страницу и проверьте, нужен ли откат.");
+      }
+      if (e.code !== "INVALID_STATUS_TRANSITION") throw e;
+      return res.status(400).send(e.message);
+    }
+
+    if (changes.length) {
+      markPatientSeen(id, req.session.user.id);
+
+      const patient = getPatientByRowId(id);
+      const actor = req.session.user.full_name || req.session.user.login;
+      notifyPatient(
+        id,
+        `↩️ *Откат изменения в карте ЛТ*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name}\nПоле: ${PATIENT_FIELD_LABELS[entry.field]}\nПользователь: ${actor}`,
+        { event: eventForEdit(changes), excludeUserId: req.session.user.id }
+      );
+    }
+
+    res.redirect(`/patients/${id}/history`);
+  }
+);
+
+// новая запись в дневнике курса
+app.post("/patients/:id/diary", requirePermission("diary.add"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const text = (req.body.text || "").trim();
+  if (!text) {
+    return res.status(400).send("Пустая запись в дневник не добавлена");
+  }
+
+  addDiaryEntry({
+    patient_id: id,
+    author_id: req.session.user.id,
+    source: "web",
+    text,
+  });
+
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-diary",
+    "Новая запись в дневнике",
+    [{ field: "diary_entry", old_value: null, new_value: text }]
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  const actor =
+    req.session.user?.full_name ||
+    req.session.user?.login ||
+    "неизвестный пользователь";
+
+  notifyPatient(
+    id,
+    `📘 *Запись в дневнике ЛТ*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name}\nПользователь: ${actor}`,
+    { excludeUserId: req.session.user.id }
+  );
+
+  res.redirect(`/patients/${id}/edit#diary`);
+});
+
+// запись о фракции (проведена / пропущена)
+app.post("/patients/:id/fractions", requirePermission("fraction.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const body = req.body;
+  const status = body.status === "missed" ? "missed" : "delivered";
+  const rawNumber = String(body.fraction_number || "").trim();
+  const fractionNumber = rawNumber ? Number(rawNumber) : getNextFractionNumber(id);
+  const dose = body.dose ? Number(String(body.dose).replace(",", ".")) : null;
+  const deliveredOn = body.delivered_on || null;
+
+  if (status === "delivered" && (!/^\d+$/.test(String(fractionNumber)) || fractionNumber < 1)) {
+    return res.status(400).send("Номер фракции — целое число от 1");
+  }
+  // дата — существующий день в формате YYYY-MM-DD, не позже сегодняшнего
+  if (deliveredOn && (!/^\d{4}-\d{2}-\d{2}$/.test(deliveredOn) || addDays(deliveredOn, 0) !== deliveredOn)) {
+    return res.status(400).send("Неверная дата фракции");
+  }
+  if (deliveredOn && deliveredOn > clinicToday()) {
+    return res.status(400).send("Дата фракции ещё не наступила");
+  }
+  if (status === "delivered" && (!Number.isFinite(dose) || dose <= 0)) {
+    return res.status(400).send("Укажите подведённую дозу (Гр)");
+  }
+  if (status === "missed" && !(body.missed_reason || "").trim()) {
+    return res.status(400).send("Укажите причину пропуска / перерыва");
+  }
+
+  addFractionDelivery({
+    patient_id: id,
+    delivered_on: deliveredOn,
+    fraction_number: status === "delivered" ? fractionNumber : null,
+    dose: status === "delivered" ? dose : null,
+    machine: (body.machine || "").trim() || null,
+    status,
+    missed_reason: status === "missed" ? body.missed_reason.trim() : null,
+    source: "web",
+    recorded_by: req.session.user.id,
+  });
+
+  const description =
+    status === "delivered"
+      ? `Фракция ${fractionNumber}: проведена (${dose} Гр)`
+      : `Пропуск фракции: ${body.missed_reason.trim()}`;
+
+  recordPatientChange(id, req.session.user.id, "web-fraction", description);
+  markPatientSeen(id, req.session.user.id);
+  // проведённая фракция закрывает сеанс в расписании, пропуск — переносит его
+  syncSchedule();
+
+  res.redirect(`/patients/${id}/edit`);
+});
+
+// удаление ошибочной записи о фракции
+app.post("/patients/:id/fractions/:fid/delete", requirePermission("fraction.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const entry = getFractionDeliveryById(Number(req.params.fid));
+  if (!entry || entry.patient_id !== id) {
+    return res.status(404).send("Запись не найдена");
+  }
+
+  deleteFractionDelivery(entry.id);
+  // сеансы этого дня снова ждут отметки — если в журнале осталась другая запись, сверка закроет их заново
+  reopenAppointments(id, entry.delivered_on);
+  syncSchedule();
+
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-fraction",
+    `Удалена запись о фракции от ${entry.delivered_on}`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit`);
+});
+
+/* ---- Расписание облучения (карта пациента) ---- */
+
+// курс на аппарате: серия сеансов по дням недели
+app.post("/patients/:id/schedule", requirePermission("schedule.manage"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const { data, error } = parseSeriesForm(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  const machine = getMachineById(data.machineId);
+  if (!machine || !machine.is_active) {
+    return res.status(400).send("Аппарат не найден или отключён");
+  }
+
+  const { appointments, conflicts } = planSeries(id, machine, data);
+  if (conflicts.length) {
+    const list = conflicts
+      .slice(0, SCHEDULE_CONFLICTS_SHOWN)
+      .map((c) => (c.date ? `${c.date} ${c.start_time} — ${c.reason}` : c.reason));
+    if (conflicts.length > SCHEDULE_CONFLICTS_SHOWN) list.push(`всего конфликтов: ${conflicts.length}`);
+    return res
+      .status(409)
+      .send(
+        "Серия не забронирована, время занято: " +
+          list.join("; ") +
+          ". Выберите другое время или отметьте «подобрать ближайшее свободное время»."
+      );
+  }
+
+  createSeries(
+    {
+      patient_id: id,
+      machine_id: machine.id,
+      start_date: appointments[0].date,
+      start_time: data.startTime,
+      duration_min: data.duration,
+      fractions: data.fractions,
+      weekdays: data.weekdays.join(","),
+      created_by: req.session.user.id,
+    },
+    appointments
+  );
+
+  const days = data.weekdays.map((d) => WEEKDAYS[d]).join(", ");
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-schedule",
+    `Расписание: ${machine.name}, ${data.fractions} фр. ` +
+      `с ${appointments[0].date} по ${appointments[appointments.length - 1].date}, ` +
+      `${data.startTime} (${days})`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#schedule`);
+});
+
+// перерыв в лечении: сеансы за период переносятся в конец серии
+app.post("/patients/:id/schedule/:sid/interrupt", requirePermission("schedule.manage"), (req, res) => {
+  const id = Number(req.params.id);
+  const series = getSeriesById(Number(req.params.sid));
+  if (!series || series.patient_id !== id || series.status !== "active") {
+    return res.status(404).send("Серия не найдена");
+  }
+
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || "");
+  const { from, to } = req.body;
+  const reason = (req.body.reason || "").trim();
+  if (!isDate(from) || !isDate(to) || from > to) {
+    return res.status(400).send("Укажите период перерыва (с — по)");
+  }
+  if (!reason) {
+    return res.status(400).send("Укажите причину перерыва");
+  }
+
+  const result = interruptSeries(series.id, from, to, reason);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-schedule",
+    `Перерыв в лечении ${from} — ${to} (${reason}): перенесено сеансов ${result.moved.length}` +
+      (result.failed ? `, не хватило свободного времени для ${result.failed}` : "")
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#schedule`);
+});
+
+app.post("/patients/:id/schedule/:sid/cancel", requirePermission("schedule.manage"), (req, res) => {
+  const id = Number(req.params.id);
+  const series = getSeriesById(Number(req.params.sid));
+  if (!series || series.patient_id !== id || series.status !== "active") {
+    return res.status(404).send("Серия не найдена");
+  }
+
+  cancelSeries(series.id);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-schedule",
+    `Расписание: серия с ${series.start_date} отменена`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#schedule`);
+});
+
+/* ---- Наблюдение после курса: контрольные визиты ---- */
+
+// план визитов от даты окончания курса; по желанию карта переводится в «Наблюдение»
+app.post("/patients/:id/follow-up", requirePermission("follow_up.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const { data, error } = parsePlanForm(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+
+  const visits = planFollowUpVisits(data.baseDate, data.months);
+  createFollowUps(id, visits, req.session.user.id);
+
+  const changes =
+    req.body.set_status === "1" &&
+    nextPatientStatuses(patient.status).includes("follow_up") &&
+    can(req.session.user, "field.status")
+      ? updatePatient(
+          id,
+          { status: "follow_up", updated_by: req.session.user.id },
+          { source: "web-follow-up" }
+        )
+      : [];
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-follow-up",
+    `План наблюдения от ${data.baseDate}: ` +
+      visits.map((v) => `${v.months_after} мес. (${v.due_date})`).join(", "),
+    changes
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  if (changes.length) {
+    const actor = req.session.user.full_name || req.session.user.login;
+    notifyPatient(
+      id,
+      `♻️ *Обновлена карта ЛТ*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name}\nПользователь: ${actor}`,
+      { event: "status", excludeUserId: req.session.user.id }
+    );
+  }
+
+  res.redirect(`/patients/${id}/edit#follow-up`);
+});
+
+// итог визита: состоялся (исход, ответ, поздняя токсичность) или пациент не явился
+app.post("/patients/:id/follow-up/:vid", requirePermission("follow_up.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const visit = getFollowUpById(Number(req.params.vid));
+  if (!visit || visit.patient_id !== id || visit.status === "cancelled") {
+    return res.status(404).send("Визит не найден");
+  }
+
+  const { data, error } = parseResultForm(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+
+  recordFollowUp(visit.id, { ...data, recorded_by: req.session.user.id });
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-follow-up",
+    describeFollowUpResult(visit, data)
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#follow-up`);
+});
+
+app.post("/patients/:id/follow-up/:vid/reschedule", requirePermission("follow_up.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const visit = getFollowUpById(Number(req.params.vid));
+  if (!visit || visit.patient_id !== id || visit.status === "cancelled") {
+    return res.status(404).send("Визит не найден");
+  }
+
+  const dueDate = req.body.due_date || "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    return res.status(400).send("Укажите новую дату визита");
+  }
+
+  setFollowUpDueDate(visit.id, dueDate);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-follow-up",
+    `Контрольный визит перенесён: ${visit.due_date} → ${dueDate}`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#follow-up`);
+});
+
+app.post("/patients/:id/follow-up/:vid/cancel", requirePermission("follow_up.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const visit = getFollowUpById(Number(req.params.vid));
+  if (!visit || visit.patient_id !== id || visit.status !== "planned") {
+    return res.status(404).send("Визит не найден");
+  }
+
+  cancelFollowUp(visit.id);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-follow-up",
+    `Контрольный визит (срок ${visit.due_date}) отменён`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#follow-up`);
+});
+
+/* ---- Вложения: файлы на диске, описание в БД ---- */
+
+/**
+ * Имя загруженного файла: multer отдаёт его в latin1 — возвращаем кириллицу
+ */
+function uploadedFileName(file) {
+  return Buffer.from(file.originalname, "latin1").toString("utf8");
+}
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_MB * 1024 * 1024, files: ATTACHMENT_MAX_FILES },
+}).array("files", ATTACHMENT_MAX_FILES);
+
+app.post("/patients/:id/attachments", requirePermission("attachment.add"), (req, res) => {
+  attachmentUpload(req, res, (err) => {
+    if (err) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `Файл больше ${ATTACHMENT_MAX_MB} МБ`
+          : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+          ? `Не больше ${ATTACHMENT_MAX_FILES} файлов за раз`
+          : err.message;
+      return res.status(400).send(message);
+    }
+
+    const id = Number(req.params.id);
+    const patient = getPatientByRowId(id);
+    if (!patient) {
+      return res.status(404).send("Пациент не найден");
+    }
+
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).send("Выберите файл");
+    }
+    files.forEach((f) => {
+      f.originalname = uploadedFileName(f);
+    });
+    const error = files
+      .map((f) => checkAttachment({ name: f.originalname, size: f.size }))
+      .find(Boolean);
+    if (error) {
+      return res.status(400).send(error);
+    }
+
+    const kind = ATTACHMENT_KINDS[req.body.kind] ? req.body.kind : "other";
+    const description = (req.body.description || "").trim();
+    files.forEach((f) => {
+      addAttachment({
+        ...saveAttachmentFile(id, f.buffer, f.originalname),
+        patient_id: id,
+        kind,
+        description,
+        original_name: f.originalname,
+        source: "web",
+        uploaded_by: req.session.user.id,
+      });
+    });
+
+    recordPatientChange(
+      id,
+      req.session.user.id,
+      "web-attachment",
+      `${files.length > 1 ? "Вложения" : "Вложение"} (${ATTACHMENT_KINDS[kind]}): ` +
+        files.map((f) => f.originalname).join(", ") +
+        (description ? ` — ${description}` : "")
+    );
+    markPatientSeen(id, req.session.user.id);
+
+    res.redirect(`/patients/${id}/edit#attachments`);
+  });
+});
+
+// просмотр (картинки, PDF) или скачивание; карты из архива тоже доступны для чтения
+app.get("/patients/:id/attachments/:aid", requireAuth, (req, res) => {
+  const attachment = getAttachmentById(Number(req.params.aid));
+  if (!attachment || attachment.patient_id !== Number(req.params.id)) {
+    return res.status(404).send("Файл не найден");
+  }
+  // удалённые в архив файлы открывает только администратор
+  if (attachment.deleted_at && req.session.user.role !== "admin") {
+    return res.status(404).send("Файл не найден");
+  }
+
+  res.set("X-Content-Type-Options", "nosniff");
+  res.attachment(attachment.original_name);
+  if (isInlineAttachment(attachment)) {
+    res.set("Content-Disposition", res.get("Content-Disposition").replace(/^attachment/, "inline"));
+  }
+  res.type(attachment.mime_type);
+  res.sendFile(attachmentPath(attachment), (err) => {
+    if (err && !res.headersSent) res.status(404).send("Файл не найден на диске");
+  });
+});
+
+// удаление — в архив, как у карт: файл остаётся на диске, администратор может вернуть
+app.post("/patients/:id/attachments/:aid/delete", requirePermission("attachment.delete"), (req, res) => {
+  const id = Number(req.params.id);
+  const attachment = getAttachmentById(Number(req.params.aid));
+  if (!attachment || attachment.patient_id !== id || attachment.deleted_at) {
+    return res.status(404).send("Файл не найден");
+  }
+
+  archiveAttachment(attachment.id, req.session.user.id);
+  recordPatientChange(
     id,
     req.session.user.id,
-    "web-edit",
-    null,
-    "Редактирование в веб-панели"
+    "web-attachment",
+    `Вложение удалено (в архив): ${attachment.original_name}`
   );
   markPatientSeen(id, req.session.user.id);
 
-  notifyAll(
-    `♻️ *Обновлена карта ЛТ*\nID: *${data.patient_id}*\nПациент: ${data.full_name}\nПользователь: ${actor}`
+  res.redirect(`/patients/${id}/edit#attachments`);
+});
+
+app.post("/patients/:id/attachments/:aid/restore", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const attachment = getAttachmentById(Number(req.params.aid));
+  if (!attachment || attachment.patient_id !== id || !attachment.deleted_at) {
+    return res.status(404).send("Удалённый файл не найден");
+  }
+
+  restoreAttachment(attachment.id);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-attachment",
+    `Вложение восстановлено из архива: ${attachment.original_name}`
   );
+  markPatientSeen(id, req.session.user.id);
 
-  res.redirect("/patients");
+  res.redirect(`/patients/${id}/edit#attachments`);
+});
+
+/* ---- Токсичность по CTCAE ---- */
+
+app.post("/patients/:id/toxicity", requirePermission("toxicity.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient) {
+    return res.status(404).send("Пациент не найден");
+  }
+
+  const { data, error } = parseToxicityForm(req.body, {
+    courseStart: courseStartDate(listFractionDeliveries(id)),
+  });
+  if (error) {
+    return res.status(400).send(error);
+  }
+
+  const user = req.session.user;
+  addToxicityEvent(id, { ...data, source: "web-toxicity", created_by: user.id });
+  recordPatientChange(id, user.id, "web-toxicity", `Токсичность: ${describeToxicity(data)}`);
+  markPatientSeen(id, user.id);
+  alertSevereToxicity(patient, data, user);
+
+  res.redirect(`/patients/${id}/edit#toxicity`);
+});
+
+app.post("/patients/:id/toxicity/:tid", requirePermission("toxicity.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  const event = getToxicityById(Number(req.params.tid));
+  if (!patient || !event || event.patient_id !== id) {
+    return res.status(404).send("Запись не найдена");
+  }
+
+  const { data, error } = parseToxicityForm(req.body, {
+    courseStart: courseStartDate(listFractionDeliveries(id)),
+  });
+  if (error) {
+    return res.status(400).send(error);
+  }
+
+  const user = req.session.user;
+  updateToxicityEvent(event.id, { ...data, updated_by: user.id });
+  const before = describeToxicity(event);
+  const after = describeToxicity(data);
+  if (before !== after || (event.notes || "") !== data.notes || event.attribution !== data.attribution) {
+    recordPatientChange(
+      id,
+      user.id,
+      "web-toxicity",
+      before === after ? `Токсичность уточнена: ${after}` : `Токсичность: ${before} → ${after}`
+    );
+  }
+  markPatientSeen(id, user.id);
+  alertSevereToxicity(patient, data, user, event.grade);
+
+  res.redirect(`/patients/${id}/edit#toxicity`);
+});
+
+app.post("/patients/:id/toxicity/:tid/delete", requirePermission("toxicity.record"), (req, res) => {
+  const id = Number(req.params.id);
+  const event = getToxicityById(Number(req.params.tid));
+  if (!event || event.patient_id !== id) {
+    return res.status(404).send("Запись не найдена");
+  }
+
+  deleteToxicityEvent(event.id);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "web-toxicity",
+    `Запись о токсичности удалена: ${describeToxicity(event)}`
+  );
+  markPatientSeen(id, req.session.user.id);
+
+  res.redirect(`/patients/${id}/edit#toxicity`);
 });
 
-// удаление пациента
-app.post("/patients/:id/delete", requireAuth, (req, res) => {
+// удаление пациента — перенос в архив с причиной
+app.post("/patients/:id/delete", requirePermission("patient.delete"), (req, res) => {
   const id = Number(req.params.id);
   const patient = getPatientByRowId(id);
   if (!patient) {
     return res.status(404).send("Пациент не найден");
   }
 
-  deletePatientByRowId(id);
+  const reason = (req.body.reason || "").trim();
+  if (!reason) {
+    return res.status(400).send("Укажите причину удаления карты.");
+  }
 
   const actor =
     req.session.user?.full_name ||
     req.session.user?.login ||
     "неизвестный пользователь";
 
-  notifyAll(
-    `🗑 *Удалена карта ЛТ*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name || ""}\nПользователь: ${actor}`
+  archivePatient(id, req.session.user.id, reason);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "archive",
+    `Карта перемещена в архив. Причина: ${reason}`
+  );
+
+  notifyPatient(
+    id,
+    `🗑 *Удалена карта ЛТ*\nID: *${patient.patient_id}*\nПациент: ${patient.full_name || ""}\nПричина: ${reason}\nПользователь: ${actor}`,
+    { event: "delete", excludeUserId: req.session.user.id }
   );
 
   res.redirect("/patients");
 });
 
+// архив удалённых карт (только admin)
+app.get("/admin/archive", requireAdmin, (req, res) => {
+  res.render("admin_archive", {
+    user: req.session.user,
+    patients: listArchivedPatients(ARCHIVE_RETENTION_DAYS),
+    retentionDays: ARCHIVE_RETENTION_DAYS,
+  });
+});
+
+app.post("/admin/archive/:id/restore", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient || !patient.deleted_at) {
+    return res.status(404).send("Карта в архиве не найдена");
+  }
+
+  restorePatient(id);
+  recordPatientChange(
+    id,
+    req.session.user.id,
+    "restore",
+    "Карта восстановлена из архива"
+  );
+
+  res.redirect("/admin/archive");
+});
+
+// окончательное удаление — только после срока хранения в архиве
+app.post("/admin/archive/:id/purge", requireAdmin, (req, res) => {
+  const id = Number(req.params.id);
+  const patient = getPatientByRowId(id);
+  if (!patient || !patient.deleted_at) {
+    return res.status(404).send("Карта в архиве не найдена");
+  }
+
+  const attachments = [
+    ...listPatientAttachments(id),
+    ...listPatientAttachments(id, { archived: true }),
+  ];
+  if (!purgeArchivedPatient(id, ARCHIVE_RETENTION_DAYS)) {
+    return res
+      .status(400)
+      .send(`Карту можно удалить навсегда не раньше, чем через ${ARCHIVE_RETENTION_DAYS} дн. после переноса в архив.`);
+  }
+  // записи о вложениях удалены вместе с картой — убираем и файлы
+  attachments.forEach(removeAttachmentFile);
+
+  console.log(
+    `[archive] Карта ID ${patient.patient_id} удалена навсегда пользователем ${req.session.user.login}`
+  );
+  res.redirect("/admin/archive");
+});
+
+/* ---- Коды диагнозов (МКБ-10, МКБ-О) ---- */
+
+// автодополнение в форме карты: ?q=&system=icd10|icdo_morphology
+app.get("/icd/search", requireAuth, (req, res) => {
+  const system = ICD_SYSTEMS[req.query.system] ? req.query.system : "icd10";
+  res.json(searchIcd(req.query.q, system));
+});
+
+// сверка свободного текста диагнозов с кодами (только admin)
+app.get("/admin/diagnoses", requireAdmin, (req, res) => {
+  const icd10 = listIcdCodes("icd10");
+  const groups = listUncodedDiagnoses();
+  res.render("admin_diagnoses", {
+    user: req.session.user,
+    groups: groups.slice(0, DIAGNOSIS_REVIEW_LIMIT).map((g) => ({
+      ...g,
+      suggestion: suggestIcdCode(g.diagnosis, icd10),
+    })),
+    total: groups.length,
+    totalPatients: groups.reduce((sum, g) => sum + g.cnt, 0),
+    limit: DIAGNOSIS_REVIEW_LIMIT,
+    coded: Number(req.query.coded) || 0,
+  });
+});
+
+// присвоить код всем картам без кода с этим текстом диагноза
+app.post("/admin/diagnoses", requireAdmin, (req, res) => {
+  const data = { diagnosis_code: (req.body.code || "").trim() };
+  const errors = validateCodedFields(data);
+  if (!data.diagnosis_code || errors.length) {
+    return res
+      .status(400)
+      .send(errors.length ? errors[0].message : "Укажите код МКБ-10");
+  }
+
+  const patients = listUncodedPatientsByDiagnosis(req.body.diagnosis || "");
+  const description = `Кодирование диагноза: ${data.diagnosis_code} — ${getIcdTitle(data.diagnosis_code)}`;
+  patients.forEach((p) => {
+    const changes = updatePatient(p.id, {
+      diagnosis_code: data.diagnosis_code,
+      updated_by: req.session.user.id,
+    });
+    recordPatientChange(p.id, req.session.user.id, "icd-review", description, changes);
+  });
+
+  res.redirect(`/admin/diagnoses?coded=${patients.length}`);
+});
+
+/* ---- Расписание облучения: календарь аппаратов ---- */
+
+app.get("/schedule", requireAuth, (req, res) => {
+  // перед показом закрываем сеансы по журналу фракций
+  syncSchedule();
+
+  const machines = listMachines({ activeOnly: true });
+  const machine =
+    machines.find((m) => m.id === Number(req.query.machine)) || machines[0] || null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || "") ? req.query.date : clinicToday();
+  const view = CALENDAR_VIEWS[req.query.view] ? req.query.view : "week";
+
+  res.render("schedule", {
+    user: req.session.user,
+    machines,
+    machine,
+    date,
+    view,
+    views: CALENDAR_VIEWS,
+    calendar: machine ? buildCalendar(machine, date, view) : null,
+    statusLabels: APPOINTMENT_STATUS_LABELS,
+  });
+});
+
+/* ---- Контрольные визиты: предстоящие и пропущенные ---- */
+
+const FOLLOW_UP_TABS = {
+  upcoming: "Предстоящие",
+  overdue: "Просроченные",
+  missed: "Неявки",
+};
+
+app.get("/follow-ups", requireAuth, (req, res) => {
+  const tab = FOLLOW_UP_TABS[req.query.tab] ? req.query.tab : "upcoming";
+  const days = Math.min(Math.max(Number(req.query.days) || FOLLOW_UP_LIST_DAYS, 1), 366);
+  const mine = req.query.mine === "1";
+  const today = clinicToday();
+  const userId = mine ? req.session.user.id : null;
+
+  const queries = {
+    upcoming: { status: "planned", from: today, to: addDays(today, days), userId },
+    overdue: { status: "planned", to: addDays(today, -1), userId },
+    missed: { status: "missed", userId },
+  };
+  const counts = {
+    overdue: listFollowUps(queries.overdue).length,
+  };
+
+  res.render("follow_ups", {
+    user: req.session.user,
+    tabs: FOLLOW_UP_TABS,
+    tab,
+    days,
+    mine,
+    today,
+    counts,
+    visits: listFollowUps(queries[tab]),
+    // ссылка на ту же страницу с изменёнными параметрами (пустые отбрасываются)
+    link: (params) => {
+      const query = { tab, days, mine: mine ? "1" : "", ...params };
+      return "/follow-ups?" + new URLSearchParams(Object.entries(query).filter(([, v]) => v));
+    },
+  });
+});
+
+/* ---- Аппараты и нерабочие дни (только admin) ---- */
+
+// проверка формы аппарата: { data, error }
+function parseMachineForm(body) {
+  const name = (body.name || "").trim();
+  const dayStart = normalizeTime(body.day_start);
+  const dayEnd = normalizeTime(body.day_end);
+  const slotMinutes = Number(body.slot_minutes);
+  if (!name) return { error: "Укажите название аппарата" };
+  if (!dayStart || !dayEnd || dayStart >= dayEnd) {
+    return { error: "Укажите часы работы аппарата (ЧЧ:ММ, начало раньше конца)" };
+  }
+  if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > 120) {
+    return { error: "Шаг сетки — от 5 до 120 минут" };
+  }
+  return {
+    data: {
+      name,
+      description: (body.description || "").trim(),
+      day_start: dayStart,
+      day_end: dayEnd,
+      slot_minutes: slotMinutes,
+      is_active: body.is_active === "1",
+    },
+  };
+}
+
+app.get("/admin/schedule", requireAdmin, (req, res) => {
+  res.render("admin_schedule", {
+    user: req.session.user,
+    machines: listMachines(),
+    holidays: listHolidays(clinicToday()),
+    moved: req.query.moved !== undefined ? Number(req.query.moved) || 0 : null,
+  });
+});
+
+app.post("/admin/schedule/machines", requireAdmin, (req, res) => {
+  const { data, error } = parseMachineForm(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  try {
+    createMachine(data);
+  } catch (e) {
+    if (String(e.message).includes("UNIQUE")) {
+      return res.status(400).send("Аппарат с таким названием уже есть");
+    }
+    throw e;
+  }
+  res.redirect("/admin/schedule");
+});
+
+app.post("/admin/schedule/machines/:id", requireAdmin, (req, res) => {
+  const machine = getMachineById(Number(req.params.id));
+  if (!machine) {
+    return res.status(404).send("Аппарат не найден");
+  }
+  const { data, error } = parseMachineForm(req.body);
+  if (error) {
+    return res.status(400).send(error);
+  }
+  try {
+    updateMachine(machine.id, data);
+  } catch (e) {
+    if (String(e.message).includes("UNIQUE")) {
+      return res.status(400).send("Аппарат с таким названием уже есть");
+    }
+    throw e;
+  }
+  res.redirect("/admin/schedule");
+});
+
+// нерабочий день: сеансы на эту дату переносятся в конец серий
+app.post("/admin/schedule/holidays", requireAdmin, (req, res) => {
+  const date = req.body.date || "";
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).send("Укажите дату");
+  }
+  if (date <= clinicToday()) {
+    return res.status(400).send("Нерабочий день можно добавить только на будущую дату");
+  }
+  const moved = addHolidayAndReschedule(date, (req.body.title || "").trim(), req.session.user.id);
+  res.redirect(`/admin/schedule?moved=${moved}`);
+});
+
+app.post("/admin/schedule/holidays/:date/delete", requireAdmin, (req, res) => {
+  deleteHoliday(req.params.date);
+  res.redirect("/admin/schedule");
+});
+
+/* ---- Статистика отделения ---- */
+
+app.get("/stats", requireAuth, (req, res) => {
+  const filters = parseStatsQuery(req.query);
+  res.render("stats", {
+    user: req.session.user,
+    filters,
+    groups: STATS_GROUPS,
+    stats: buildStats(filters),
+    statusLabels: PATIENT_STATUS_LABELS,
+    exportUrl: (table) => "/stats/export?" + new URLSearchParams({ ...filters, table }),
+  });
+});
+
+// любая таблица статистики в CSV
+app.get("/stats/export", requireAuth, (req, res) => {
+  const filters = parseStatsQuery(req.query);
+  const table = buildStats(filters).tables.find((t) => t.key === req.query.table);
+  if (!table) {
+    return res.status(404).send("Таблица статистики не найдена");
+  }
+
+  res.attachment(`stats-${table.key}-${filters.from}-${filters.to}.csv`);
+  res.type("text/csv; charset=utf-8").send(toCsv(table.headers, table.rows));
+});
+
+/* ---- Импорт карт из CSV / XLSX (только admin) ---- */
+
+// файл разбирается сразу, таблица и сопоставление столбцов живут в сессии до загрузки
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024 },
+}).single("file");
+
+function renderImport(req, res, extra = {}) {
+  const state = req.session.patientImport || null;
+  let preview = null;
+  let mappingErrors = [];
+
+  if (state) {
+    mappingErrors = validateMapping(state.mapping);
+    if (!mappingErrors.length) {
+      const rows = buildImportPreview(state.rows, state.mapping);
+      preview = {
+        rows: rows.slice(0, IMPORT_PREVIEW_ROWS),
+        total: rows.length,
+        ok: rows.filter((r) => !r.errors.length && !r.duplicate).length,
+        errors: rows.filter((r) => r.errors.length).length,
+        duplicates: rows.filter((r) => !r.errors.length && r.duplicate).length,
+      };
+    }
+  }
+
+  res.status(extra.status || 200).render("admin_import", {
+    user: req.session.user,
+    state,
+    preview,
+    mappingErrors,
+    fields: IMPORT_FIELDS,
+    previewLimit: IMPORT_PREVIEW_ROWS,
+    maxRows: IMPORT_MAX_ROWS,
+    maxFileMb: IMPORT_MAX_FILE_MB,
+    error: null,
+    result: null,
+    ...extra,
+  });
+}
+
+app.get("/admin/import", requireAdmin, (req, res) => {
+  renderImport(req, res);
+});
+
+// шаг 1: загрузка файла
+app.post("/admin/import", requireAdmin, (req, res) => {
+  importUpload(req, res, async (err) => {
+    if (err) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `Файл больше ${IMPORT_MAX_FILE_MB} МБ`
+          : err.message;
+      return renderImport(req, res, { status: 400, error: message });
+    }
+    if (!req.file) {
+      return renderImport(req, res, { status: 400, error: "Выберите файл" });
+    }
+
+    const filename = uploadedFileName(req.file);
+    let table;
+    try {
+      table = await readSpreadsheet(req.file.buffer, filename);
+    } catch (e) {
+      return renderImport(req, res, {
+        status: 400,
+        error: "Не удалось прочитать файл: " + e.message,
+      });
+    }
+
+    if (!table.rows.length) {
+      return renderImport(req, res, { status: 400, error: "В файле нет строк с данными" });
+    }
+    if (table.rows.length > IMPORT_MAX_ROWS) {
+      return renderImport(req, res, {
+        status: 400,
+        error: `Слишком много строк (${table.rows.length}), за один раз — не больше ${IMPORT_MAX_ROWS}`,
+      });
+    }
+
+    req.session.patientImport = {
+      filename,
+      headers: table.headers,
+      rows: table.rows,
+      mapping: guessMapping(table.headers),
+    };
+    res.redirect("/admin/import");
+  });
+});
+
+// шаг 2: сопоставление столбцов полям карты
+app.post("/admin/import/mapping", requireAdmin, (req, res) => {
+  const state = req.session.patientImport;
+  if (!state) return res.redirect("/admin/import");
+
+  const mapping = {};
+  state.headers.forEach((_, i) => {
+    const field = req.body[`col_${i}`];
+    if (field && IMPORT_FIELDS[field]) mapping[i] = field;
+  });
+  state.mapping = mapping;
+
+  res.redirect("/admin/import");
+});
+
+// шаг 3: загрузка проверенных строк одной транзакцией (строки с ошибками и дубли пропускаются)
+app.post("/admin/import/commit", requireAdmin, (req, res) => {
+  const state = req.session.patientImport;
+  if (!state) return res.redirect("/admin/import");
+  if (validateMapping(state.mapping).length) {
+    return renderImport(req, res, { status: 400 });
+  }
+
+  const preview = buildImportPreview(state.rows, state.mapping);
+  const ready = preview.filter((r) => !r.errors.length && !r.duplicate);
+  if (!ready.length) {
+    return renderImport(req, res, {
+      status: 400,
+      error: "Нет строк, которые можно загрузить",
+    });
+  }
+
+  let created;
+  try {
+    created = importPatients(
+      ready.map((r) => r.data),
+      req.session.user.id,
+      `Импорт из файла ${state.filename}`
+    );
+  } catch (e) {
+    console.error("importPatients error:", e);
+    return renderImport(req, res, {
+      status: 400,
+      error: "Импорт отменён, ни одна карта не загружена: " + (e.message || e),
+    });
+  }
+
+  console.log(
+    `[import] ${req.session.user.login}: загружено карт — ${created.length} из файла ${state.filename}`
+  );
+  req.session.patientImport = null;
+
+  renderImport(req, res, {
+    result: {
+      filename: state.filename,
+      created: created.length,
+      skipped: preview.length - ready.length,
+    },
+  });
+});
+
+// отменить импорт (забыть загруженный файл)
+app.post("/admin/import/reset", requireAdmin, (req, res) => {
+  req.session.patientImport = null;
+  res.redirect("/admin/import");
+});
+
 app.listen(PORT, () => {
   console.log(`[HTTP] RadOnco веб-панель запущена на порту ${PORT}`);
 });
@@ -469,11 +2760,13 @@ if (!BOT_TOKEN) {
 
   function isAllowed(ctx) {
     const fromId = ctx.from?.id?.toString();
-    return fromId && ALLOWED_IDS.includes(fromId);
+    return Boolean(fromId && findActiveUserByTelegramId(fromId));
   }
 
   function markSeenFromTelegram(ctx, patient) {
     if (!patient) return;
+    // фото или файл, присланные в течение BOT_SESSION_TTL_MIN минут, — во вложения этой карты
+    setBotOpenedCard(ctx.chat.id, patient.patient_id, BOT_SESSION_TTL_MIN);
     const tgId = ctx.from?.id?.toString();
     if (!tgId) return;
     const u = findUserByTelegramId(tgId);
@@ -481,33 +2774,212 @@ if (!BOT_TOKEN) {
     markPatientSeen(patient.id, u.id);
   }
 
-  // общий middleware доступа
+  // привязка Telegram по одноразовому коду из веб-панели — до проверки доступа
+  bot.command("link", async (ctx) => {
+    const code = ctx.message.text.trim().split(/\s+/)[1];
+    if (!code) {
+      return ctx.reply(
+        "Укажите код после команды.\nНапример: /link K7M2QX\n" +
+          "Код выдаётся в веб-панели: «🔔 Уведомления» → «Привязать Telegram»."
+      );
+    }
+
+    const u = consumeTelegramLinkCode(code, ctx.from.id);
+    if (!u) {
+      return ctx.reply("Код неверный или устарел. Получите новый код в веб-панели.");
+    }
+    if (!u.is_active) {
+      return ctx.reply(
+        "Telegram привязан, но пользователь отключён. Обратитесь к администратору."
+      );
+    }
+
+    return ctx.reply(
+      `✅ Telegram привязан к пользователю ${u.full_name || u.login}.\n` +
+        "Отправьте /start, чтобы увидеть список команд."
+    );
+  });
+
+  // общий middleware доступа: только привязанные активные пользователи
   bot.use((ctx, next) => {
     if (!isAllowed(ctx)) {
+      // inline-запрос приходит из чужого чата — ответить можно только списком результатов
+      if (ctx.inlineQuery) {
+        return ctx.answerInlineQuery([], {
+          cache_time: 0,
+          is_personal: true,
+          button: { text: "Привязать Telegram к RadOnco", start_parameter: "link" },
+        });
+      }
+      return ctx.reply(
+        "Этот Telegram не привязан к пользователю RadOnco.\n" +
+          "Войдите в веб-панель, откройте «🔔 Уведомления» → «Привязать Telegram» " +
+          "и отправьте сюда команду /link КОД."
+      );
+    }
+    return next();
+  });
+
+  bot.start((ctx) => {
+    // ссылка «Открыть в боте» из карточки, отправленной через inline-режим
+    const cardMatch = /^card_(\d+)$/.exec(ctx.payload || "");
+    if (cardMatch) {
+      const patient = getPatientByRowId(Number(cardMatch[1]));
+      if (!patient || patient.deleted_at) return ctx.reply("Карта не найдена или перенесена в архив.");
+      markSeenFromTelegram(ctx, patient);
+      return ctx.reply(formatPatientCardForBot(patient), {
+        parse_mode: "Markdown",
+        ...patientActionsKeyboard(patient.patient_id),
+      });
+    }
+
+    ctx.reply(
+      "👋 Добро пожаловать в радиоонкологический бот.\n" +
+        "Отправьте *ID пациента* (как в веб-панели), чтобы получить краткую карточку курса ЛТ: дневник, жалобы, назначения, выписка, осложнения. " +
+        "Вместо ID можно написать часть ФИО или диагноза — бот предложит найденные карты.\n\n" +
+        "Для изменения данных используйте команды:\n" +
+        "• `/add_diary ID` — новая запись в дневник ЛТ\n" +
+        "• `/diary ID` — весь дневник\n" +
+        "• `/update_complaints ID` — жалобы\n" +
+        "• `/update_prescriptions ID` — назначения\n" +
+        "• `/update_discharge ID` — выписка\n" +
+        "• `/update_complications ID` — осложнения\n" +
+        "• `/fraction ID` — отметить проведённую / пропущенную фракцию\n" +
+        "• `/digest` — дайджест изменений по вашим пациентам\n" +
+        "• `/today` — сеансы облучения ваших пациентов на сегодня\n" +
+        "• `/find текст` — поиск карт по ФИО, диагнозу или коду МКБ-10 (можно латиницей)\n" +
+        `• \`@${ctx.botInfo.username} текст\` в любом чате — найти карту и отправить её коллеге\n` +
+        "Фото или файл, присланные сразу после открытия карты, сохраняются в её вложения.\n" +
+        "Перед сохранением бот показывает текст и просит подтвердить.\n" +
+        "Команда `/cancel` — отменить текущий диалог, `/cancel all` — вместе с очередью.",
+      { parse_mode: "Markdown" }
+    );
+  });
+
+  // поиск карт: /find иванов, /find рак шейки, /find C53
+  bot.command("find", (ctx) => {
+    const q = ctx.payload.trim();
+    if (!q) {
+      return ctx.reply(
+        "Укажите, что искать: /find часть ФИО, диагноза или код МКБ-10 (например, /find ivanov)."
+      );
+    }
+    const u = findUserByTelegramId(ctx.from.id);
+    const results = findResultsForBot(u, q);
+    return ctx.reply(results.text, results.keyboard);
+  });
+
+  // Inline-режим: @бот иванов в любом чате — список карт, выбранная отправляется
+  // в чат краткой карточкой со ссылкой на полную в боте
+  bot.on("inline_query", async (ctx) => {
+    const q = ctx.inlineQuery.query.trim();
+    if (!q) return ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+
+    const u = findUserByTelegramId(ctx.from.id);
+    const offset = Number(ctx.inlineQuery.offset) || 0;
+    const filters = patientSearchFilters(q);
+    const total = countPatientsForUser(u.id, filters);
+    const patients = listPatientsForUser(u.id, {
+      ...filters,
+      limit: BOT_INLINE_PAGE_SIZE,
+      offset,
+    });
+
+    const results = patients.map((p) => ({
+      type: "article",
+      id: String(p.id),
+      title: `${p.full_name || "Без ФИО"} — ID ${p.patient_id}`,
+      description: [
+        p.diagnosis_code,
+        p.diagnosis,
+        PATIENT_STATUS_LABELS[p.status],
+      ]
+        .filter(Boolean)
+        .join(" · ")
+        .slice(0, 200),
+      input_message_content: {
+        message_text: formatPatientShareForBot(p),
+        parse_mode: "Markdown",
+      },
+      ...Markup.inlineKeyboard([
+        Markup.button.url(
+          "🧾 Открыть в боте",
+          `https://t.me/${ctx.botInfo.username}?start=card_${p.id}`
+        ),
+      ]),
+    }));
+
+    const nextOffset = offset + patients.length;
+    return ctx.answerInlineQuery(results, {
+      cache_time: 10,
+      is_personal: true,
+      next_offset: nextOffset < total ? String(nextOffset) : "",
+    });
+  });
+
+  // дайджест по запросу (не дожидаясь времени из настроек)
+  bot.command("digest", (ctx) => {
+    const u = findUserByTelegramId(ctx.from.id);
+    if (!u) {
+      return ctx.reply("Ваш Telegram не привязан к пользователю веб-панели.");
+    }
+    if (!sendDigest(u, sendTelegram)) {
+      return ctx.reply(
+        "Новых изменений для дайджеста нет.\n" +
+          "Какие события попадают в дайджест, настраивается в веб-панели: /settings/notifications"
+      );
+    }
+  });
+
+  // сеансы на сегодня по пациентам, в команде которых пользователь
+  bot.command("today", (ctx) => {
+    const u = findUserByTelegramId(ctx.from.id);
+    if (!u) {
+      return ctx.reply("Ваш Telegram не привязан к пользователю веб-панели.");
+    }
+
+    syncSchedule();
+    const today = clinicToday();
+    const appointments = listUserAppointmentsOnDate(u.id, today);
+    if (!appointments.length) {
       return ctx.reply(
-        "Доступ к радиоонкологическому боту ограничен. Обратитесь к администратору."
+        `На сегодня (${today}) у ваших пациентов сеансов нет.\n` +
+          "Список строится по команде пациента (лечащий врач, медсестра, физик)."
       );
     }
-    return next();
-  });
 
-  bot.start((ctx) => {
-    ctx.reply(
-      "👋 Добро пожаловать в радиоонкологический бот.\n" +
-        "Отправьте *ID пациента* (как в веб-панели), чтобы получить краткую карточку курса ЛТ: дневник, жалобы, назначения, выписка, осложнения.\n\n" +
-        "Для изменения данных используйте команды:\n" +
-        "• `/update_diary ID` — дневник ЛТ\n" +
-        "• `/update_complaints ID` — жалобы\n" +
-        "• `/update_prescriptions ID` — назначения\n" +
-        "• `/update_discharge ID` — выписка\n" +
-        "• `/update_complications ID` — осложнения\n" +
-        "Команда `/cancel` — выйти из режима редактирования.",
-      { parse_mode: "Markdown" }
-    );
+    const lines = [`📅 *Сеансы на ${today}*`];
+    let machine = null;
+    appointments.forEach((a) => {
+      if (a.machine_name !== machine) {
+        machine = a.machine_name;
+        lines.push("", `🔹 *${machine}*`);
+      }
+      const mark = a.status === "done" ? " ✅" : a.status === "missed" ? " ⛔" : "";
+      const number = a.series_number ? `, фр. ${a.series_number}/${a.series_fractions}` : "";
+      lines.push(`${a.start_time} — *${a.patient_name}* (${a.patient_code})${number}${mark}`);
+    });
+    ctx.reply(lines.join("\n"), { parse_mode: "Markdown" });
   });
 
   // Команды для редактирования полей
-  bot.command("update_diary", makeUpdateCommand("diary", "Дневник курса ЛТ"));
+  // Дневник: только добавление записей (/update_diary — старое имя команды)
+  bot.command(["add_diary", "update_diary"], (ctx) => {
+    const patientId = ctx.message.text.trim().split(/\s+/)[1];
+    if (!patientId) {
+      return ctx.reply(
+        "Укажите ID пациента после команды.\nНапример: /add_diary 1000"
+      );
+    }
+    return beginDiaryEntry(ctx, patientId);
+  });
+  bot.command("diary", (ctx) => {
+    const patientId = ctx.message.text.trim().split(/\s+/)[1];
+    if (!patientId) {
+      return ctx.reply("Укажите ID пациента после команды.\nНапример: /diary 1000");
+    }
+    return replyFullDiary(ctx, patientId);
+  });
   bot.command(
     "update_complaints",
     makeUpdateCommand("complaints", "Жалобы")
@@ -525,14 +2997,46 @@ if (!BOT_TOKEN) {
     makeUpdateCommand("complications", "Осложнения")
   );
 
-  // Отмена редактирования
-  bot.command("cancel", (ctx) => {
+  // Журнал фракций
+  bot.command("fraction", (ctx) => {
+    const parts = ctx.message.text.trim().split(/\s+/);
+    const patientId = parts[1];
+    if (!patientId) {
+      return ctx.reply(
+        "Укажите ID пациента после команды.\nНапример: /fraction 1000"
+      );
+    }
+
+    const patient = getPatientByPatientId(patientId);
+    if (!patient) {
+      return ctx.reply(`Пациент с ID *${patientId}* в базе ЛТ не найден.`, {
+        parse_mode: "Markdown",
+      });
+    }
+
+    return ctx.reply(formatFractionStatusForBot(patient), {
+      parse_mode: "Markdown",
+      ...fractionKeyboard(patient.patient_id),
+    });
+  });
+
+  // Отмена текущего диалога (/cancel all — вместе с очередью)
+  bot.command("cancel", async (ctx) => {
     const chatId = ctx.chat.id.toString();
-    if (editSessions.has(chatId)) {
-      editSessions.delete(chatId);
-      return ctx.reply("Режим редактирования отменён.");
+
+    if (ctx.message.text.trim().split(/\s+/)[1] === "all") {
+      const count = deleteBotSessionsForChat(chatId);
+      return ctx.reply(
+        count ? `Отменено диалогов: ${count}.` : "Нет активного редактирования."
+      );
+    }
+
+    const [current] = listBotSessions(chatId);
+    if (!current) {
+      return ctx.reply("Нет активного редактирования.");
     }
-    return ctx.reply("Нет активного редактирования.");
+    await ctx.reply(`Отменено: ${botSessionTitle(current)}.`);
+    return finishBotSession(chatId, current.id);
   });
 
   // Обработка inline-кнопок
@@ -563,14 +3067,463 @@ if (!BOT_TOKEN) {
       return;
     }
 
+    // Результаты поиска: find:page:N:запрос — другая страница | find:open:patientId —
+    // карточка новым сообщением, чтобы список остался
+    if (data.startsWith("find:")) {
+      const [, action, key, ...rest] = data.split(":");
+      await ctx.answerCbQuery().catch(() => {});
+
+      if (action === "page") {
+        const u = findUserByTelegramId(ctx.from.id);
+        const results = findResultsForBot(u, rest.join(":"), Number(key) || 0);
+        await safeEditMessageText(ctx, results.text, results.keyboard);
+        return;
+      }
+
+      const patient = getPatientByPatientId(key);
+      if (!patient) {
+        await ctx.reply(`Пациент с ID *${key}* в базе ЛТ не найден.`, { parse_mode: "Markdown" });
+        return;
+      }
+      markSeenFromTelegram(ctx, patient);
+      await ctx.reply(formatPatientCardForBot(patient), {
+        parse_mode: "Markdown",
+        ...patientActionsKeyboard(patient.patient_id),
+      });
+      return;
+    }
+
+    // Подписка на уведомления по карте: sub:toggle:patientId
+    if (data.startsWith("sub:toggle:")) {
+      const patientId = data.slice("sub:toggle:".length);
+      const patient = getPatientByPatientId(patientId);
+      const u = findUserByTelegramId(ctx.from.id);
+
+      if (!patient || !u) {
+        await ctx
+          .answerCbQuery(patient ? "Telegram не привязан к пользователю" : "Пациент не найден")
+          .catch(() => {});
+        return;
+      }
+
+      const subscribed = !isSubscribed(patient.id, u.id);
+      setSubscription(patient.id, u.id, subscribed);
+
+      const inTeam = getPatientTeam(patient.id).some((m) => m.user_id === u.id);
+      await ctx
+        .answerCbQuery(
+          subscribed
+            ? "Вы подписаны на уведомления по карте"
+            : inTeam
+            ? "Подписка снята, но вы в команде — уведомления продолжат приходить"
+            : "Подписка снята"
+        )
+        .catch(() => {});
+      return;
+    }
+
+    // Выписка для печати HTML-файлом: discharge:patientId
+    if (data.startsWith("discharge:")) {
+      const patientId = data.slice("discharge:".length);
+      const patient = getPatientByPatientId(patientId);
+
+      if (!patient) {
+        await ctx.answerCbQuery("Пациент не найден").catch(() => {});
+        return;
+      }
+      await ctx.answerCbQuery("Формирую выписку…").catch(() => {});
+
+      try {
+        const html = await renderDischarge(
+          buildDischargeData(patient, findUserByTelegramId(ctx.from.id))
+        );
+        await ctx.replyWithDocument(
+          { source: Buffer.from(html, "utf8"), filename: dischargeFilename(patient) },
+          {
+            // PDF бот не формирует: файл HTML, в PDF его сохраняет браузер при печати
+            caption:
+              `Выписка, ID ${patient.patient_id} — HTML-файл, не PDF. ` +
+              "Откройте его в браузере и выберите «Печать»: там можно распечатать выписку " +
+              "или сохранить её в PDF («Сохранить как PDF»).",
+          }
+        );
+      } catch (err) {
+        console.error("[discharge] Ошибка шаблона выписки:", err.message);
+        await ctx.reply("Не удалось сформировать выписку.");
+      }
+      return;
+    }
+
+    // Фракции: frac:show|ok|miss:patientId
+    if (data.startsWith("frac:")) {
+      const [, action, patientId] = data.split(":");
+      const patient = getPatientByPatientId(patientId);
+
+      if (!patient) {
+        await ctx.answerCbQuery("Пациент не найден").catch(() => {});
+        return;
+      }
+
+      if (action !== "show" && !checkBotPermission(ctx, "fraction.record")) {
+        await ctx.answerCbQuery().catch(() => {});
+        return;
+      }
+
+      if (action === "ok") {
+        const u = findUserByTelegramId(ctx.from.id);
+        const number = getNextFractionNumber(patient.id);
+        const dose = plannedDoseForFraction(
+          listTreatmentPhases(patient.id),
+          number
+        );
+
+        addFractionDelivery({
+          patient_id: patient.id,
+          fraction_number: number,
+          dose,
+          status: "delivered",
+          source: "bot",
+          recorded_by: u.id,
+        });
+        recordPatientChange(
+          patient.id,
+          u.id,
+          "bot",
+          `Фракция ${number}: проведена` + (dose ? ` (${dose} Гр)` : "")
+        );
+        markPatientSeen(patient.id, u.id);
+        syncSchedule();
+
+        await ctx.answerCbQuery(`Фракция ${number} отмечена`).catch(() => {});
+      } else if (action === "miss") {
+        await ctx.answerCbQuery().catch(() => {});
+        return startBotSession(ctx, {
+          kind: "fraction_missed",
+          patient_id: patient.patient_id,
+          label: "Причина пропуска",
+        });
+      } else {
+        await ctx.answerCbQuery().catch(() => {});
+      }
+
+      await safeEditMessageText(ctx, formatFractionStatusForBot(patient), {
+        parse_mode: "Markdown",
+        ...fractionKeyboard(patient.patient_id),
+      });
+      return;
+    }
+
+    // Вложения: att:list:patientId | att:get:attachmentId | att:kind:attachmentId:kind
+    if (data.startsWith("att:")) {
+      const [, action, key, kind] = data.split(":");
+
+      if (action === "list") {
+        const patient = getPatientByPatientId(key);
+        if (!patient) {
+          await ctx.answerCbQuery("Пациент не найден").catch(() => {});
+          return;
+        }
+        await ctx.answerCbQuery().catch(() => {});
+        markSeenFromTelegram(ctx, patient);
+        const attachments = listPatientAttachments(patient.id);
+        await safeEditMessageText(
+          ctx,
+          `📎 *Вложения* — ID: *${patient.patient_id}*\n` +
+            (attachments.length
+              ? `Файлов: ${attachments.length}${
+                  attachments.length > BOT_ATTACHMENTS_SHOWN ? `, последние ${BOT_ATTACHMENTS_SHOWN}` : ""
+                }. Нажмите, чтобы получить файл.`
+              : "Файлов нет.") +
+            "\n\nЧтобы добавить, пришлите фото или файл в этот чат.",
+          {
+            parse_mode: "Markdown",
+            ...Markup.inlineKeyboard([
+              ...attachments.slice(0, BOT_ATTACHMENTS_SHOWN).map((a) => [
+                Markup.button.callback(
+                  `${a.original_name} (${formatFileSize(a.size)})`.slice(0, 60),
+                  `att:get:${a.id}`
+                ),
+              ]),
+              [Markup.button.callback("🧾 К карте", `show:${patient.patient_id}`)],
+            ]),
+          }
+        );
+        return;
+      }
+
+      const attachment = getAttachmentById(Number(key));
+      const patient = attachment && getPatientByRowId(attachment.patient_id);
+      if (!attachment || attachment.deleted_at || !patient || patient.deleted_at) {
+        await ctx.answerCbQuery("Файл не найден").catch(() => {});
+        return;
+      }
+
+      if (action === "get") {
+        await ctx.answerCbQuery().catch(() => {});
+        try {
+          await ctx.replyWithDocument(
+            { source: attachmentPath(attachment), filename: attachment.original_name },
+            {
+              caption:
+                `ID ${patient.patient_id}: ${ATTACHMENT_KINDS[attachment.kind] || attachment.kind}` +
+                (attachment.description ? `\n${attachment.description}` : ""),
+            }
+          );
+        } catch (err) {
+          console.error("[attachments] Не удалось отправить файл:", err.message);
+          await ctx.reply("Не удалось отправить файл.");
+        }
+        return;
+      }
+
+      if (action === "kind" && ATTACHMENT_KINDS[kind]) {
+        if (!checkBotPermission(ctx, "attachment.add")) {
+          await ctx.answerCbQuery().catch(() => {});
+          return;
+        }
+        setAttachmentKind(attachment.id, kind);
+        await ctx.answerCbQuery(`Тип: ${ATTACHMENT_KINDS[kind]}`).catch(() => {});
+        await safeEditMessageText(
+          ctx,
+          `📎 Файл «${attachment.original_name}» сохранён в карту ID ${patient.patient_id} — ${ATTACHMENT_KINDS[kind]}.`,
+          patientActionsKeyboard(patient.patient_id)
+        );
+        return;
+      }
+
+      await ctx.answerCbQuery().catch(() => {});
+      return;
+    }
+
+    // Токсичность: tox:menu:patientId | tox:cat:category:patientId |
+    // tox:term:code:patientId | tox:g:code:grade:patientId | tox:res:eventId:patientId
+    if (data.startsWith("tox:")) {
+      const parts = data.split(":");
+      const action = parts[1];
+      const patientId = parts[parts.length - 1];
+      const patient = getPatientByPatientId(patientId);
+
+      if (!patient) {
+        await ctx.answerCbQuery("Пациент не найден").catch(() => {});
+        return;
+      }
+
+      const backToMenu = [Markup.button.callback("⬅️ Назад", `tox:menu:${patient.patient_id}`)];
+
+      if (action === "menu") {
+        await ctx.answerCbQuery().catch(() => {});
+        const menu = toxicityMenuForBot(patient);
+        await safeEditMessageText(ctx, menu.text, { parse_mode: "Markdown", ...menu.keyboard });
+        return;
+      }
+
+      const u = checkBotPermission(ctx, "toxicity.record");
+      if (!u) {
+        await ctx.answerCbQuery().catch(() => {});
+        return;
+      }
+
+      if (action === "cat") {
+        await ctx.answerCbQuery().catch(() => {});
+        const category = parts[2];
+        await safeEditMessageText(
+          ctx,
+          `🩹 ${CTCAE_CATEGORIES[category] || category} — выберите термин:`,
+          Markup.inlineKeyboard([
+            ...CTCAE_TERMS.filter((t) => t.category === category).map((t) => [
+              Markup.button.callback(t.title, `tox:term:${t.code}:${patient.patient_id}`),
+            ]),
+            backToMenu,
+          ])
+        );
+        return;
+      }
+
+      if (action === "term") {
+        await ctx.answerCbQuery().catch(() => {});
+        const term = ctcaeTerm(parts[2]);
+        if (!term) return;
+        await safeEditMessageText(
+          ctx,
+          `🩹 *${term.title}* — выберите степень:\n\n` +
+            term.grades.map((text, i) => `*${i + 1}* — ${text}`).join("\n"),
+          {
+            parse_mode: "Markdown",
+            ...Markup.inlineKeyboard([
+              term.grades.map((text, i) =>
+                Markup.button.callback(String(i + 1), `tox:g:${term.code}:${i + 1}:${patient.patient_id}`)
+              ),
+              [Markup.button.callback("⬅️ Назад", `tox:cat:${term.category}:${patient.patient_id}`)],
+            ]),
+          }
+        );
+        return;
+      }
+
+      if (action === "g") {
+        const today = clinicToday();
+        const { data: event, error } = parseToxicityForm(
+          { term_code: parts[2], grade: parts[3], onset_date: today },
+          { courseStart: courseStartDate(listFractionDeliveries(patient.id)) }
+        );
+        if (error) {
+          await ctx.answerCbQuery(error).catch(() => {});
+          return;
+        }
+        addToxicityEvent(patient.id, { ...event, source: "bot", created_by: u.id });
+        recordPatientChange(patient.id, u.id, "bot", `Токсичность: ${describeToxicity(event)}`);
+        markPatientSeen(patient.id, u.id);
+        alertSevereToxicity(patient, event, u);
+        await ctx.answerCbQuery(`Записано: ${event.term_title}, ${event.grade} ст.`).catch(() => {});
+      } else if (action === "res") {
+        const event = getToxicityById(Number(parts[2]));
+        if (!event || event.patient_id !== patient.id || event.resolved_on) {
+          await ctx.answerCbQuery("Запись не найдена").catch(() => {});
+          return;
+        }
+        const resolved = { ...event, resolved_on: clinicToday(), updated_by: u.id };
+        updateToxicityEvent(event.id, resolved);
+        recordPatientChange(patient.id, u.id, "bot", `Токсичность: ${describeToxicity(resolved)}`);
+        markPatientSeen(patient.id, u.id);
+        await ctx.answerCbQuery("Отмечено разрешение").catch(() => {});
+      } else {
+        await ctx.answerCbQuery().catch(() => {});
+      }
+
+      const menu = toxicityMenuForBot(patient);
+      await safeEditMessageText(ctx, menu.text, { parse_mode: "Markdown", ...menu.keyboard });
+      return;
+    }
+
+    // Статус курса: status:menu:patientId | status:set:status:patientId
+    if (data.startsWith("status:")) {
+      const parts = data.split(":");
+      const patientId = parts[parts.length - 1];
+      const patient = getPatientByPatientId(patientId);
+
+      if (!patient) {
+        await ctx.answerCbQuery("Пациент не найден").catch(() => {});
+        return;
+      }
+      await ctx.answerCbQuery().catch(() => {});
+      const u = checkBotPermission(ctx, "field.status");
+      if (!u) return;
+
+      if (parts[1] === "set") {
+        const status = parts[2];
+        if (STATUSES_REQUIRING_REASON.includes(status)) {
+          return startBotSession(ctx, {
+            kind: "status_change",
+            patient_id: patient.patient_id,
+            field: status,
+            label: PATIENT_STATUS_LABELS[status] || status,
+          });
+        }
+        return applyBotStatusChange(ctx, patient, u, status, "");
+      }
+
+      const next = nextPatientStatuses(patient.status);
+      await safeEditMessageText(
+        ctx,
+        `Статус курса пациента ID *${patient.patient_id}*: ${
+          PATIENT_STATUS_LABELS[patient.status] || "не указан"
+        }
+` + (next.length ? "Выберите новый статус:" : "Дальнейших этапов нет."),
+        { parse_mode: "Markdown", ...statusKeyboard(patient) }
+      );
+      return;
+    }
+
+    // Подтверждение диалога: bs:save|edit|cancel|merge|overwrite:sessionId
+    if (data.startsWith("bs:")) {
+      const [, action, rawId] = data.split(":");
+      const chatId = ctx.chat.id.toString();
+      const session = getBotSessionById(Number(rawId));
+
+      if (!session || session.chat_id !== chatId || session.state === "queued") {
+        await ctx.answerCbQuery("Этот диалог уже закрыт").catch(() => {});
+        return;
+      }
+      await ctx.answerCbQuery().catch(() => {});
+      // кнопки под превью больше не нужны
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+
+      if (action === "save" && session.state === "awaiting_confirm") {
+        // поле успели изменить, пока врач набирал текст — спрашиваем, что делать
+        const current = botSessionConflict(session);
+        if (current !== null) {
+          updateBotSession(
+            session.id,
+            { state: "awaiting_conflict", pending_text: session.pending_text },
+            BOT_SESSION_TTL_MIN
+          );
+          // «Перезаписать» сохранит текст только поверх показанной сейчас версии
+          rememberBotSessionBase(session);
+          return ctx.reply(
+            `⚠️ Пока вы писали, поле "${session.label}" пациента ID ${session.patient_id} изменили.\n\n` +
+              `Сейчас в карте:\n${current || "—"}\n\nВаш текст:\n${session.pending_text}`,
+            botSessionConflictKeyboard(session.id)
+          );
+        }
+        // сначала закрываем диалог — повторное нажатие не сохранит дважды
+        deleteBotSession(session.id);
+        await applyBotSession(ctx, session, botSessionExpectedVersion(session));
+        return activateNextBotSession(chatId);
+      }
+      if (action === "overwrite" && session.state === "awaiting_conflict") {
+        deleteBotSession(session.id);
+        await applyBotSession(ctx, session, session.base_version);
+        return activateNextBotSession(chatId);
+      }
+      if (action === "merge" && session.state === "awaiting_conflict") {
+        // новое значение из карты + текст врача, дальше — обычное подтверждение
+        const patient = getPatientByPatientId(session.patient_id);
+        const current = (patient && patient[session.field]) || "";
+        const merged = current ? `${current}\n\n${session.pending_text}` : session.pending_text;
+        updateBotSession(
+          session.id,
+          { state: "awaiting_confirm", pending_text: merged },
+          BOT_SESSION_TTL_MIN
+        );
+        rememberBotSessionBase(session);
+        return ctx.reply(
+          `Проверьте перед сохранением — ${botSessionTitle(session)}:\n\n${merged}`,
+          botSessionConfirmKeyboard(session.id)
+        );
+      }
+      if (action === "edit") {
+        updateBotSession(session.id, { state: "awaiting_input" }, BOT_SESSION_TTL_MIN);
+        rememberBotSessionBase(session);
+        return ctx.reply(botSessionPrompt(session));
+      }
+      if (action === "cancel") {
+        await ctx.reply(`Отменено: ${botSessionTitle(session)}.`);
+        return finishBotSession(chatId, session.id);
+      }
+      return;
+    }
+
+    // Дневник: diary:add|all:patientId
+    if (data.startsWith("diary:")) {
+      const [, action, patientId] = data.split(":");
+      await ctx.answerCbQuery().catch(() => {});
+      if (action === "all") return replyFullDiary(ctx, patientId);
+      return beginDiaryEntry(ctx, patientId);
+    }
+
     // Редактирование конкретного поля
     if (data.startsWith("edit:")) {
       const parts = data.split(":"); // edit:field:patientId
       const field = parts[1];
       const patientId = parts[2];
 
+      // старые карточки: кнопка «Дневник» теперь добавляет запись
+      if (field === "diary") {
+        await ctx.answerCbQuery().catch(() => {});
+        return beginDiaryEntry(ctx, patientId);
+      }
+
       const labels = {
-        diary: "Дневник курса ЛТ",
         complaints: "Жалобы",
         prescriptions: "Назначения",
         discharge_summary: "Выписка",
@@ -586,6 +3539,79 @@ if (!BOT_TOKEN) {
     await ctx.answerCbQuery().catch(() => {});
   });
 
+  // Фото или файл — во вложения последней открытой в чате карты
+  bot.on(["photo", "document"], async (ctx) => {
+    const u = checkBotPermission(ctx, "attachment.add");
+    if (!u) return;
+
+    const openedId = getBotOpenedCard(ctx.chat.id);
+    const patient = openedId ? getPatientByPatientId(openedId) : null;
+    if (!patient) {
+      return ctx.reply(
+        "Не понятно, к какой карте приложить файл: сначала отправьте ID пациента, затем — фото или файл."
+      );
+    }
+
+    const { message } = ctx;
+    // у фото нет имени — Telegram присылает несколько размеров, берём самый большой
+    const file = message.photo
+      ? {
+          ...message.photo[message.photo.length - 1],
+          file_name: `photo-${clinicToday()}-${message.message_id}.jpg`,
+        }
+      : message.document;
+    const name = file.file_name || `file-${message.message_id}`;
+    const error = checkAttachment({ name, size: file.file_size });
+    if (error) return ctx.reply(error);
+
+    let buffer;
+    try {
+      const link = await ctx.telegram.getFileLink(file.file_id);
+      const response = await fetch(link);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      buffer = Buffer.from(await response.arrayBuffer());
+    } catch (err) {
+      console.error("[attachments] Ошибка загрузки файла из Telegram:", err.message);
+      return ctx.reply("Не удалось получить файл от Telegram, попробуйте ещё раз.");
+    }
+    // размер Telegram сообщает не всегда — проверяем уже скачанный файл
+    const sizeError = checkAttachment({ name, size: buffer.length });
+    if (sizeError) return ctx.reply(sizeError);
+
+    const kind = message.photo ? "photo" : "other";
+    const description = (message.caption || "").trim();
+    const attachmentId = addAttachment({
+      ...saveAttachmentFile(patient.id, buffer, name),
+      patient_id: patient.id,
+      kind,
+      description,
+      original_name: name,
+      source: "bot",
+      uploaded_by: u.id,
+    });
+    recordPatientChange(
+      patient.id,
+      u.id,
+      "bot",
+      `Вложение (${ATTACHMENT_KINDS[kind]}): ${name}` + (description ? ` — ${description}` : "")
+    );
+    markPatientSeen(patient.id, u.id);
+    // следующий файл — в ту же карту, срок отсчитывается заново
+    setBotOpenedCard(ctx.chat.id, patient.patient_id, BOT_SESSION_TTL_MIN);
+
+    const kinds = Object.entries(ATTACHMENT_KINDS).map(([key, label]) =>
+      Markup.button.callback(label, `att:kind:${attachmentId}:${key}`)
+    );
+    const rows = [];
+    for (let i = 0; i < kinds.length; i += 2) rows.push(kinds.slice(i, i + 2));
+    return ctx.reply(
+      `📎 Файл «${name}» (${formatFileSize(buffer.length)}) сохранён в карту ID ${patient.patient_id}` +
+        (patient.full_name ? ` — ${patient.full_name}` : "") +
+        `.\nТип: ${ATTACHMENT_KINDS[kind]} — при необходимости выберите другой:`,
+      Markup.inlineKeyboard(rows)
+    );
+  });
+
   // Любой текст — либо ввод нового значения поля, либо запрос карточки по ID
   bot.on("text", async (ctx) => {
     const text = ctx.message.text.trim();
@@ -593,84 +3619,168 @@ if (!BOT_TOKEN) {
     // команды /... уже обработаны отдельными хендлерами
     if (text.startsWith("/")) return;
 
-    const chatId = ctx.chat.id.toString();
-    const session = editSessions.get(chatId);
-
-    // === РЕЖИМ РЕДАКТИРОВАНИЯ ПОЛЯ ===
-    if (session) {
-      const newValue = text;
+    // === Открыт диалог: показываем текст и просим подтвердить ===
+    const [session] = listBotSessions(ctx.chat.id.toString());
+    if (session && session.state !== "queued") {
+      updateBotSession(
+        session.id,
+        { state: "awaiting_confirm", pending_text: text },
+        BOT_SESSION_TTL_MIN
+      );
+      return ctx.reply(
+        `Проверьте перед сохранением — ${botSessionTitle(session)}:\n\n${text}`,
+        botSessionConfirmKeyboard(session.id)
+      );
+    }
 
-      updatePatientFieldsByPatientId(session.patientId, {
-        [session.field]: newValue,
-      });
+    // === Обычный режим: текст = ID пациента, иначе — поиск по ФИО и диагнозу ===
+    let patient = getPatientByPatientId(text);
 
-      const patient = getPatientByPatientId(session.patientId);
-      editSessions.delete(chatId);
+    if (!patient) {
+      const u = findUserByTelegramId(ctx.from.id);
+      const filters = patientSearchFilters(text);
+      const found = listPatientsForUser(u.id, { ...filters, limit: 2 });
 
-      let confirm = `Поле "${session.label}" для пациента ID ${session.patientId} обновлено.\n`;
-      if (patient && patient.full_name) {
-        confirm += `Пациент: ${patient.full_name}`;
+      if (!found.length && /^\d+$/.test(text)) {
+        return ctx.reply(`Пациент с ID *${text}* в базе ЛТ не найден.`, {
+          parse_mode: "Markdown",
+        });
       }
+      if (!found.length) {
+        return ctx.reply(
+          `По запросу «${text}» карт не найдено. Отправьте ID пациента или часть ФИО, диагноза.`
+        );
+      }
+      if (found.length > 1) {
+        const results = findResultsForBot(u, text);
+        return ctx.reply(results.text, results.keyboard);
+      }
+      // единственное совпадение — сразу карточка
+      patient = getPatientByPatientId(found[0].patient_id);
+    }
 
-      await ctx.reply(confirm);
+    const msg = formatPatientCardForBot(patient);
+    markSeenFromTelegram(ctx, patient);
 
-      // логируем изменение
-      let changedByUserId = null;
-      const tgId = ctx.from?.id?.toString();
-      if (tgId) {
-        const u = findUserByTelegramId(tgId);
-        if (u) {
-          changedByUserId = u.id;
-          markPatientSeen(patient.id, u.id);
-        }
-      }
+    return ctx.reply(msg, {
+      parse_mode: "Markdown",
+      ...patientActionsKeyboard(patient.patient_id),
+    });
+  });
 
-      recordPatientChange(
-        patient.id,
-        changedByUserId,
-        "bot",
-        session.field,
-        "Обновление из Telegram-бота"
-      );
+  // ошибка в обработчике (например, Telegram отклонил сообщение) не должна ронять процесс
+  bot.catch((err, ctx) => {
+    console.error(`[Bot] Ошибка обработки ${ctx.updateType}:`, err.message);
+  });
 
-      // уведомление всем
-      const who =
-        ctx.from.username
-          ? `@${ctx.from.username}`
-          : ctx.from.first_name || ctx.from.id;
-      notifyAll(
-        `✏️ *Обновление из бота*\nПоле: *${session.label}*\nID: *${session.patientId}*\nПользователь Telegram: ${who}`
-      );
+  bot.launch().then(() => {
+    console.log("[Bot] Телеграм-бот радиоонкологии запущен");
+  });
 
-      return;
+  // отложенные (тихие часы) сообщения, дайджесты, напоминания о визитах, сроки диалогов
+  const notificationTimer = setInterval(() => {
+    try {
+      runNotificationTick(sendTelegram);
+      runFollowUpTick(sendTelegram);
+    } catch (err) {
+      console.error("[Bot] Ошибка рассылки уведомлений:", err.message);
     }
+    runBotSessionTick().catch((err) =>
+      console.error("[Bot] Ошибка обработки диалогов:", err.message)
+    );
+  }, NOTIFICATION_TICK_MS);
 
-    // === Обычный режим: текст = ID пациента ===
-    const patientId = text;
-    const patient = getPatientByPatientId(patientId);
+  // аккуратная остановка
+  process.once("SIGINT", () => {
+    clearInterval(notificationTimer);
+    bot.stop("SIGINT");
+  });
+  process.once("SIGTERM", () => {
+    clearInterval(notificationTimer);
+    bot.stop("SIGTERM");
+  });
+}
 
-    if (!patient) {
-      return ctx.reply(`Пациент с ID *${patientId}* в базе ЛТ не найден.`, {
-        parse_mode: "Markdown",
-      });
-    }
+/**
+ * Фильтры поиска карт в боте: по ФИО, диагнозу, ID и коду МКБ-10,
+ * латиницей или кириллицей — по алфавиту ФИО
+ */
+function patientSearchFilters(q) {
+  return { q, qCode: normalizeIcdCode(q), translit: true, sort: "full_name", dir: "asc" };
+}
 
-    const msg = formatPatientCardForBot(patient);
-    markSeenFromTelegram(ctx, patient);
+/**
+ * callback_data для страницы поиска: запрос обрезается под лимит Telegram (64 байта)
+ */
+function findPageCallback(page, q) {
+  const prefix = `find:page:${page}:`;
+  let query = q;
+  while (Buffer.byteLength(prefix + query) > 64) query = query.slice(0, -1);
+  return prefix + query.trim();
+}
 
-    return ctx.reply(msg, {
-      parse_mode: "Markdown",
-      ...patientActionsKeyboard(patient.patient_id),
-    });
-  });
+/**
+ * Страница результатов поиска для бота: { text, keyboard }
+ */
+function findResultsForBot(user, q, page = 0) {
+  const filters = patientSearchFilters(q);
+  const total = countPatientsForUser(user.id, filters);
+  if (!total) {
+    return { text: `По запросу «${q}» карт не найдено.`, keyboard: undefined };
+  }
 
-  bot.launch().then(() => {
-    console.log("[Bot] Телеграм-бот радиоонкологии запущен");
+  const pages = Math.ceil(total / BOT_FIND_PAGE_SIZE);
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const patients = listPatientsForUser(user.id, {
+    ...filters,
+    limit: BOT_FIND_PAGE_SIZE,
+    offset: current * BOT_FIND_PAGE_SIZE,
   });
 
-  // аккуратная остановка
-  process.once("SIGINT", () => bot.stop("SIGINT"));
-  process.once("SIGTERM", () => bot.stop("SIGTERM"));
+  const rows = patients.map((p) => [
+    Markup.button.callback(
+      [p.patient_id, p.full_name || "без ФИО", p.diagnosis_code].filter(Boolean).join(" · ").slice(0, 60),
+      `find:open:${p.patient_id}`
+    ),
+  ]);
+  const nav = [];
+  if (current > 0) nav.push(Markup.button.callback("◀️ Назад", findPageCallback(current - 1, q)));
+  if (current < pages - 1) nav.push(Markup.button.callback("Далее ▶️", findPageCallback(current + 1, q)));
+  if (nav.length) rows.push(nav);
+
+  return {
+    text:
+      `🔎 «${q}»: найдено карт — ${total}` +
+      (pages > 1 ? ` (стр. ${current + 1} из ${pages})` : "") +
+      ". Выберите карту:",
+    keyboard: Markup.inlineKeyboard(rows),
+  };
+}
+
+/**
+ * Краткая карточка для отправки в другой чат (inline-режим): без дневника и жалоб —
+ * полная карта открывается в боте только у привязанных пользователей
+ */
+function formatPatientShareForBot(p) {
+  const lines = [`🧾 *Карта ЛТ* — ID: *${md(p.patient_id)}*`];
+  if (p.full_name) lines.push(`👤 Пациент: *${md(p.full_name)}*`);
+  if (p.diagnosis_code) {
+    lines.push(`🎯 Диагноз: *${p.diagnosis_code}* — ${md(getIcdTitle(p.diagnosis_code))}`);
+  } else if (p.diagnosis) {
+    lines.push(`🎯 Диагноз: ${md(p.diagnosis)}`);
+  }
+  if (p.status) lines.push(`📍 Статус: ${PATIENT_STATUS_LABELS[p.status] || p.status}`);
+  if (p.attending_name) lines.push(`👨‍⚕️ Лечащий врач: ${md(p.attending_name)}`);
+  return lines.join("\n");
+}
+
+/**
+ * Экранирование текста пользователя для сообщений с parse_mode "Markdown":
+ * «_», «*», «`», «[» в ФИО, логине или дневнике иначе ломают разметку,
+ * и Telegram отклоняет сообщение целиком
+ */
+function md(text) {
+  return String(text ?? "").replace(/([_*`[])/g, "\\$1");
 }
 
 /**
@@ -679,30 +3789,95 @@ if (!BOT_TOKEN) {
 function formatPatientCardForBot(p) {
   const lines = [];
 
-  lines.push(`🧾 *Карта ЛТ* — ID: *${p.patient_id}*`);
-  if (p.full_name) lines.push(`👤 Пациент: *${p.full_name}*`);
-  if (p.diagnosis) lines.push(`🎯 Диагноз: ${p.diagnosis}`);
-  if (p.method_gray) lines.push(`📡 Методика: ${p.method_gray}`);
+  lines.push(`🧾 *Карта ЛТ* — ID: *${md(p.patient_id)}*`);
+  if (p.full_name) lines.push(`👤 Пациент: *${md(p.full_name)}*`);
+  if (p.diagnosis_code) {
+    lines.push(`🎯 Диагноз: *${p.diagnosis_code}* — ${md(getIcdTitle(p.diagnosis_code))}`);
+    if (p.diagnosis) lines.push(`📝 ${md(p.diagnosis)}`);
+  } else if (p.diagnosis) {
+    lines.push(`🎯 Диагноз: ${md(p.diagnosis)}`);
+  }
+  const tnm = formatTnm(p);
+  if (tnm) lines.push(`🔬 Стадия: ${md(tnm)}`);
+  const attending = getPatientTeam(p.id).find((m) => m.is_attending);
+  if (attending) {
+    lines.push(`👨‍⚕️ Лечащий врач: ${md(attending.full_name || attending.login)}`);
+  }
+
+  const plan = summarizePlan(listTreatmentPhases(p.id));
+  if (plan.phases.length) {
+    lines.push("📡 *План ЛТ:*");
+    plan.phases.forEach((ph, i) => {
+      const title = ph.name || ph.target_volume || `Фаза ${i + 1}`;
+      lines.push(`• ${md(title)}: ${md(formatPhaseShort(ph))}`);
+    });
+    lines.push(
+      `Σ ${formatPlanShort(plan.total_dose, plan.fractions)}, ` +
+        `BED ${plan.bed} Гр, EQD2 ${plan.eqd2} Гр (α/β ${plan.alpha_beta})`
+    );
+    const progress = calcProgress(plan, listFractionDeliveries(p.id));
+    lines.push(
+      `📈 Проведено: ${progress.delivered_fractions}/${plan.fractions} фр, ` +
+        `${progress.delivered_dose}/${plan.total_dose} Гр`
+    );
+  } else if (p.method_gray) {
+    lines.push(`📡 Методика: ${md(p.method_gray)}`);
+  }
+  const nextVisit = listPatientFollowUps(p.id).find((v) => v.status === "planned");
+  if (nextVisit) {
+    lines.push(
+      `🗓 Контрольный визит: ${nextVisit.due_date}` +
+        (isOverdue(nextVisit) ? " ⚠️ *просрочен*" : "")
+    );
+  }
   lines.push("");
 
-  lines.push("📘 *Дневник:*");
-  lines.push(p.diary ? p.diary : "—");
+  const diaryTotal = countDiaryEntries(p.id);
+  lines.push(
+    diaryTotal > BOT_DIARY_PREVIEW
+      ? `📘 *Дневник* (последние ${BOT_DIARY_PREVIEW} из ${diaryTotal}):`
+      : "📘 *Дневник:*"
+  );
+  const diary = listDiaryEntries(p.id, BOT_DIARY_PREVIEW);
+  if (!diary.length) lines.push("—");
+  diary.forEach((e) => {
+    // автор — вне курсива: экранирование внутри сущности Markdown не работает
+    lines.push(`_${formatDateTime(e.created_at)}_${e.author_name ? ", " + md(e.author_name) : ""}`);
+    lines.push(md(e.text));
+  });
   lines.push("");
 
   lines.push("😣 *Жалобы:*");
-  lines.push(p.complaints ? p.complaints : "—");
+  lines.push(p.complaints ? md(p.complaints) : "—");
   lines.push("");
 
   lines.push("💊 *Назначения:*");
-  lines.push(p.prescriptions ? p.prescriptions : "—");
+  lines.push(p.prescriptions ? md(p.prescriptions) : "—");
   lines.push("");
 
   lines.push("📄 *Выписка:*");
-  lines.push(p.discharge_summary ? p.discharge_summary : "—");
+  lines.push(p.discharge_summary ? md(p.discharge_summary) : "—");
   lines.push("");
 
-  lines.push("⚠️ *Осложнения:*");
-  lines.push(p.complications ? p.complications : "—");
+  // осложнения — записи CTCAE (худшая степень по термину), текст поля — дополнение
+  const toxicity = worstToxicityByTerm(listPatientToxicity(p.id));
+  lines.push("🩹 *Осложнения (CTCAE):*");
+  if (!toxicity.length) lines.push("—");
+  toxicity.forEach((t) =>
+    lines.push(
+      `• ${md(t.term_title)} — ${t.grade} ст.` +
+        (t.resolved_on ? ` (разрешилась ${t.resolved_on})` : ` (с ${t.onset_date})`)
+    )
+  );
+  if (p.complications) {
+    lines.push(`⚠️ Прочие осложнения: ${md(p.complications)}`);
+  }
+
+  const attachments = listPatientAttachments(p.id);
+  if (attachments.length) {
+    lines.push("");
+    lines.push(`📎 Вложений: ${attachments.length} (прислать фото или файл — добавить)`);
+  }
 
   return lines.join("\n");
 }
@@ -714,29 +3889,189 @@ function patientActionsKeyboard(patientId) {
   return Markup.inlineKeyboard([
     [Markup.button.callback("🔄 Обновить карту", `show:${patientId}`)],
     [
-      Markup.button.callback("✏️ Дневник", `edit:diary:${patientId}`),
-      Markup.button.callback("😣 Жалобы", `edit:complaints:${patientId}`),
+      Markup.button.callback("📈 Фракции", `frac:show:${patientId}`),
+      Markup.button.callback("🔀 Сменить статус", `status:menu:${patientId}`),
+    ],
+    [
+      Markup.button.callback("➕ Запись в дневник", `diary:add:${patientId}`),
+      Markup.button.callback("📘 Весь дневник", `diary:all:${patientId}`),
     ],
+    [Markup.button.callback("😣 Жалобы", `edit:complaints:${patientId}`)],
     [
       Markup.button.callback(
         "💊 Назначения",
         `edit:prescriptions:${patientId}`
       ),
     ],
-    [Markup.button.callback("📄 Выписка", `edit:discharge_summary:${patientId}`)],
     [
+      Markup.button.callback("📄 Выписка", `edit:discharge_summary:${patientId}`),
+      Markup.button.callback("🖨 Выписка (HTML-файл)", `discharge:${patientId}`),
+    ],
+    // осложнения записываются по CTCAE; свободный текст — только дополнение
+    [Markup.button.callback("🩹 Осложнения (CTCAE)", `tox:menu:${patientId}`)],
+    [
+      Markup.button.callback("📎 Вложения", `att:list:${patientId}`),
+      Markup.button.callback("🔔 Подписка", `sub:toggle:${patientId}`),
+    ],
+    [Markup.button.callback("✏️ Прочие осложнения (текст)", `edit:complications:${patientId}`)],
+  ]);
+}
+
+/**
+ * Прогресс курса и последние отметки о фракциях — для бота
+ */
+function formatFractionStatusForBot(p) {
+  const { plan, fractions, progress, nextFraction } = loadTreatmentData(p.id);
+  const lines = [];
+
+  lines.push(`📈 *Проведение курса* — ID: *${p.patient_id}*`);
+  if (p.full_name) lines.push(`👤 ${p.full_name}`);
+  lines.push(formatProgressBar(progress.percent));
+  lines.push(
+    `Доза: *${progress.delivered_dose}* из ${plan.total_dose || "—"} Гр`
+  );
+  lines.push(
+    `Фракции: *${progress.delivered_fractions}* из ${plan.fractions || "—"}`
+  );
+  if (progress.missed_fractions) {
+    lines.push(
+      `Пропусков: ${progress.missed_fractions}, дней перерыва: ${progress.interruption_days}`
+    );
+  }
+
+  const recent = fractions.slice(-5);
+  if (recent.length) {
+    lines.push("");
+    recent.forEach((f) => {
+      lines.push(
+        f.status === "missed"
+          ? `⛔ ${f.delivered_on} — пропуск: ${f.missed_reason || ""}`
+          : `✅ ${f.delivered_on} — №${f.fraction_number}` +
+              (f.dose ? `, ${f.dose} Гр` : "")
+      );
+    });
+  }
+
+  lines.push("");
+  lines.push(`Следующая фракция: №${nextFraction}`);
+
+  return lines.join("\n");
+}
+
+/**
+ * Inline-клавиатура для отметки фракций
+ */
+function fractionKeyboard(patientId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("✅ Проведена", `frac:ok:${patientId}`),
+      Markup.button.callback("⛔ Пропущена", `frac:miss:${patientId}`),
+    ],
+    [Markup.button.callback("🧾 К карте", `show:${patientId}`)],
+  ]);
+}
+
+/**
+ * Кнопки допустимых переходов статуса курса
+ */
+function statusKeyboard(patient) {
+  return Markup.inlineKeyboard([
+    ...nextPatientStatuses(patient.status).map((status) => [
       Markup.button.callback(
-        "⚠️ Осложнения",
-        `edit:complications:${patientId}`
+        PATIENT_STATUS_LABELS[status] +
+          (STATUSES_REQUIRING_REASON.includes(status) ? " (с причиной)" : ""),
+        `status:set:${status}:${patient.patient_id}`
       ),
-    ],
+    ]),
+    [Markup.button.callback("🧾 К карте", `show:${patient.patient_id}`)],
   ]);
 }
 
+/**
+ * Токсичность в боте: записи карты, категории CTCAE для новой записи
+ * и кнопки «разрешилась» для текущих. Возвращает { text, keyboard }.
+ */
+function toxicityMenuForBot(patient) {
+  const events = listPatientToxicity(patient.id);
+  const lines = [`🩹 *Токсичность (CTCAE)* — ID: *${patient.patient_id}*`];
+  if (!events.length) lines.push("Записей нет.");
+  events.forEach((t) => {
+    lines.push(
+      `• ${t.term_title} — ${t.grade} ст., ${TOXICITY_PHASES[t.phase].toLowerCase()}, с ${t.onset_date}` +
+        (t.resolved_on ? `, разрешилась ${t.resolved_on}` : "")
+    );
+  });
+  lines.push("", "Новая запись — выберите группу:");
+
+  const categories = Object.entries(CTCAE_CATEGORIES).map(([category, title]) =>
+    Markup.button.callback(title, `tox:cat:${category}:${patient.patient_id}`)
+  );
+  const rows = [];
+  for (let i = 0; i < categories.length; i += 2) rows.push(categories.slice(i, i + 2));
+  events
+    .filter((t) => !t.resolved_on)
+    .forEach((t) =>
+      rows.push([
+        Markup.button.callback(
+          `✅ Разрешилась: ${t.term_title}, ${t.grade} ст.`,
+          `tox:res:${t.id}:${patient.patient_id}`
+        ),
+      ])
+    );
+  rows.push([Markup.button.callback("🧾 К карте", `show:${patient.patient_id}`)]);
+
+  return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(rows) };
+}
+
+/**
+ * Проверка права для пользователя Telegram.
+ * Возвращает пользователя RadOnco или null (ответ с причиной уже отправлен).
+ */
+function checkBotPermission(ctx, permission) {
+  const u = findUserByTelegramId(ctx.from?.id);
+  if (!u) {
+    ctx.reply(
+      "Ваш Telegram не привязан к пользователю RadOnco — изменения недоступны. Обратитесь к администратору."
+    );
+    return null;
+  }
+  if (!can(u, permission)) {
+    ctx.reply(
+      `Недостаточно прав (${PERMISSIONS[permission] || permission}) для роли «${ROLES[u.role] || u.role}».`
+    );
+    return null;
+  }
+  return u;
+}
+
 /**
  * Общая логика начала редактирования поля (команда или inline-кнопка)
  */
 function beginEditField(ctx, patientId, field, label) {
+  if (!checkBotPermission(ctx, `field.${field}`)) return;
+
+  const patient = getPatientByPatientId(patientId);
+  if (!patient) {
+    return ctx.reply(
+      `Пациент с ID *${patientId}* в базе ЛТ не найден.`,
+      { parse_mode: "Markdown" }
+    );
+  }
+
+  return startBotSession(ctx, {
+    kind: "field",
+    patient_id: patient.patient_id,
+    field,
+    label,
+  });
+}
+
+/**
+ * Начало добавления записи в дневник (команда или inline-кнопка)
+ */
+function beginDiaryEntry(ctx, patientId) {
+  if (!checkBotPermission(ctx, "diary.add")) return;
+
   const patient = getPatientByPatientId(patientId);
   if (!patient) {
     return ctx.reply(
@@ -745,18 +4080,386 @@ function beginEditField(ctx, patientId, field, label) {
     );
   }
 
+  return startBotSession(ctx, {
+    kind: "diary_entry",
+    patient_id: patient.patient_id,
+    label: "Дневник курса ЛТ",
+  });
+}
+
+/* ---- Диалоги бота: хранятся в SQLite (bot_sessions), переживают перезапуск ---- */
+
+function botSessionTitle(s) {
+  if (s.kind === "diary_entry") return `запись в дневник, ID ${s.patient_id}`;
+  if (s.kind === "fraction_missed") return `пропуск фракции, ID ${s.patient_id}`;
+  if (s.kind === "status_change") return `статус «${s.label}», ID ${s.patient_id}`;
+  return `поле «${s.label}», ID ${s.patient_id}`;
+}
+
+/**
+ * Приглашение ввести текст (при старте диалога и после «Изменить»)
+ */
+function botSessionPrompt(s) {
+  const patient = getPatientByPatientId(s.patient_id);
+  const who = patient?.full_name ? `Пациент: ${patient.full_name}\n` : "";
+
+  let text;
+  if (s.kind === "diary_entry") {
+    text =
+      `Новая запись в дневник пациента ID ${s.patient_id}.\n` +
+      who +
+      "Предыдущие записи сохранятся.\n\n" +
+      "Отправьте текст записи одним сообщением.";
+  } else if (s.kind === "fraction_missed") {
+    text =
+      `Пропуск фракции для пациента ID ${s.patient_id}.\n` +
+      who +
+      "\nОтправьте причину пропуска / перерыва одним сообщением.";
+  } else if (s.kind === "status_change") {
+    text =
+      `Смена статуса курса на «${s.label}» для пациента ID ${s.patient_id}.\n` +
+      who +
+      "\nОтправьте причину одним сообщением.";
+  } else {
+    text =
+      `Редактируем поле "${s.label}" для пациента ID ${s.patient_id}.\n` +
+      who +
+      `Текущее значение:\n${(patient && patient[s.field]) || "—"}\n\n` +
+      "Отправьте новый текст одним сообщением.";
+  }
+
+  return (
+    text +
+    `\nПеред сохранением бот покажет текст для подтверждения. ` +
+    `Без ответа диалог закроется через ${BOT_SESSION_TTL_MIN} мин.\n` +
+    "Команда /cancel — отменить."
+  );
+}
+
+function botSessionConfirmKeyboard(sessionId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("💾 Сохранить", `bs:save:${sessionId}`),
+      Markup.button.callback("✏️ Изменить", `bs:edit:${sessionId}`),
+      Markup.button.callback("✖ Отмена", `bs:cancel:${sessionId}`),
+    ],
+  ]);
+}
+
+function botSessionConflictKeyboard(sessionId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback("➕ Объединить", `bs:merge:${sessionId}`),
+      Markup.button.callback("💾 Перезаписать", `bs:overwrite:${sessionId}`),
+    ],
+    [Markup.button.callback("✖ Отмена", `bs:cancel:${sessionId}`)],
+  ]);
+}
+
+/**
+ * Запомнить версию карты и значение поля, которые врач видел в приглашении
+ */
+function rememberBotSessionBase(s) {
+  if (s.kind !== "field") return;
+  const patient = getPatientByPatientId(s.patient_id);
+  if (patient) setBotSessionBase(s.id, patient.version, patient[s.field]);
+}
+
+/**
+ * Текущее значение поля, если его изменили после показа приглашения, иначе null
+ */
+function botSessionConflict(s) {
+  if (s.kind !== "field" || s.base_version === null) return null;
+  const patient = getPatientByPatientId(s.patient_id);
+  if (!patient || patient.version === s.base_version) return null;
+
+  const current = patient[s.field] || "";
+  return current === (s.base_value || "") ? null : current;
+}
+
+/**
+ * Версия карты, поверх которой сохраняется текст диалога: base_version, а если
+ * после показа приглашения меняли только другие поля — текущая
+ */
+function botSessionExpectedVersion(s) {
+  if (s.kind !== "field" || s.base_version === null) return undefined;
+  const patient = getPatientByPatientId(s.patient_id);
+  if (!patient || patient.version === s.base_version) return s.base_version;
+  return (patient[s.field] || "") === (s.base_value || "") ? patient.version : s.base_version;
+}
+
+function sendToChat(chatId, text, extra = {}) {
+  return bot.telegram
+    .sendMessage(chatId, text, extra)
+    .catch((err) =>
+      console.error("[Bot] Ошибка отправки сообщения", chatId, err.message)
+    );
+}
+
+/**
+ * Открыть первый диалог из очереди чата и отправить приглашение
+ */
+async function activateNextBotSession(chatId) {
+  const [next] = listBotSessions(chatId);
+  if (!next || next.state !== "queued") return;
+
+  updateBotSession(next.id, { state: "awaiting_input" }, BOT_SESSION_TTL_MIN);
+  rememberBotSessionBase(next);
+  await sendToChat(chatId, botSessionPrompt(next));
+}
+
+async function finishBotSession(chatId, sessionId) {
+  deleteBotSession(sessionId);
+  await activateNextBotSession(chatId);
+}
+
+/**
+ * Новый диалог: открывается сразу, если чат свободен, иначе встаёт в очередь
+ */
+async function startBotSession(ctx, data) {
   const chatId = ctx.chat.id.toString();
-  editSessions.set(chatId, { field, label, patientId });
+  createBotSession({ chat_id: chatId, ...data });
 
-  const currentValue = patient[field] || "—";
+  const sessions = listBotSessions(chatId);
+  if (sessions.length === 1) {
+    return activateNextBotSession(chatId);
+  }
 
+  const queued = sessions[sessions.length - 1];
   return ctx.reply(
-    `Редактируем поле "${label}" для пациента ID ${patientId}.\n` +
-      (patient.full_name ? `Пациент: ${patient.full_name}\n` : "") +
-      `Текущее значение:\n${currentValue}\n\n` +
-      "Отправьте новый текст одним сообщением.\n" +
-      "Команда /cancel — отменить редактирование."
+    `В очереди (${sessions.length - 1}-й): ${botSessionTitle(queued)}.\n` +
+      `Сначала завершите текущий диалог — ${botSessionTitle(sessions[0])} — или /cancel.`
+  );
+}
+
+/**
+ * Сменить статус курса из бота (переход проверяется в updatePatient)
+ */
+async function applyBotStatusChange(ctx, patient, u, status, reason) {
+  let result;
+  try {
+    result = updatePatientFieldsByPatientId(
+      patient.patient_id,
+      { status, updated_by: u.id },
+      { statusReason: reason, source: "bot" }
+    );
+  } catch (e) {
+    if (e.code !== "INVALID_STATUS_TRANSITION") throw e;
+    return ctx.reply(e.message);
+  }
+  if (!result) {
+    return ctx.reply(`Пациент с ID ${patient.patient_id} не найден.`);
+  }
+
+  const label = PATIENT_STATUS_LABELS[status];
+  recordPatientChange(
+    patient.id,
+    u.id,
+    "bot",
+    `Статус курса: ${label}` + (reason ? ` (${reason})` : ""),
+    result.changes
+  );
+  markPatientSeen(patient.id, u.id);
+
+  notifyPatient(
+    patient.id,
+    `🔀 *Статус курса (бот)*: ${label}\nID: *${patient.patient_id}*\nПользователь: ${u.full_name || u.login}`,
+    { event: "status", excludeUserId: u.id }
+  );
+
+  return ctx.reply(formatPatientCardForBot(getPatientByPatientId(patient.patient_id)), {
+    parse_mode: "Markdown",
+    ...patientActionsKeyboard(patient.patient_id),
+  });
+}
+
+/**
+ * Записать подтверждённый текст диалога.
+ * expectedVersion — версия карты, поверх которой пишется поле (для диалогов правки поля)
+ */
+async function applyBotSession(ctx, session, expectedVersion) {
+  const text = session.pending_text;
+  const patient = getPatientByPatientId(session.patient_id);
+  if (!patient) {
+    return ctx.reply(`Пациент с ID ${session.patient_id} не найден.`);
+  }
+
+  const who =
+    ctx.from.username
+      ? `@${ctx.from.username}`
+      : ctx.from.first_name || ctx.from.id;
+
+  // === ПРИЧИНА ПРОПУСКА ФРАКЦИИ ===
+  if (session.kind === "fraction_missed") {
+    const u = checkBotPermission(ctx, "fraction.record");
+    if (!u) return;
+    addFractionDelivery({
+      patient_id: patient.id,
+      status: "missed",
+      missed_reason: text,
+      source: "bot",
+      recorded_by: u.id,
+    });
+    recordPatientChange(
+      patient.id,
+      u.id,
+      "bot",
+      `Пропуск фракции: ${text}`
+    );
+    markPatientSeen(patient.id, u.id);
+    syncSchedule();
+
+    return ctx.reply(formatFractionStatusForBot(patient), {
+      parse_mode: "Markdown",
+      ...fractionKeyboard(patient.patient_id),
+    });
+  }
+
+  // === СМЕНА СТАТУСА С ПРИЧИНОЙ ===
+  if (session.kind === "status_change") {
+    const u = checkBotPermission(ctx, "field.status");
+    if (!u) return;
+    return applyBotStatusChange(ctx, patient, u, session.field, text);
+  }
+
+  // === НОВАЯ ЗАПИСЬ В ДНЕВНИКЕ ===
+  if (session.kind === "diary_entry") {
+    const u = checkBotPermission(ctx, "diary.add");
+    if (!u) return;
+    addDiaryEntry({
+      patient_id: patient.id,
+      author_id: u.id,
+      source: "bot",
+      text,
+    });
+    recordPatientChange(
+      patient.id,
+      u.id,
+      "bot",
+      "Новая запись в дневнике из Telegram-бота",
+      [{ field: "diary_entry", old_value: null, new_value: text }]
+    );
+    markPatientSeen(patient.id, u.id);
+
+    await ctx.reply(
+      `Запись добавлена в дневник пациента ID ${patient.patient_id}.` +
+        (patient.full_name ? `\nПациент: ${patient.full_name}` : "")
+    );
+
+    notifyPatient(
+      patient.id,
+      `📘 *Запись в дневнике ЛТ (бот)*\nID: *${patient.patient_id}*\nПользователь Telegram: ${who}`,
+      { event: "bot_edit", excludeUserId: u.id }
+    );
+    return;
+  }
+
+  // === РЕДАКТИРОВАНИЕ ПОЛЯ ===
+  const u = checkBotPermission(ctx, `field.${session.field}`);
+  if (!u) return;
+
+  let result;
+  try {
+    result = updatePatientFieldsByPatientId(
+      session.patient_id,
+      { [session.field]: text, updated_by: u.id },
+      { expectedVersion, source: "bot" }
+    );
+  } catch (e) {
+    if (e.code !== "VERSION_CONFLICT") throw e;
+    return ctx.reply(
+      `⚠️ Поле "${session.label}" пациента ID ${session.patient_id} изменили ещё раз — текст не сохранён.
+` +
+        `Откройте поле заново. Ваш текст:
+
+${text}`
+    );
+  }
+  if (!result) {
+    return ctx.reply(`Пациент с ID ${session.patient_id} не найден.`);
+  }
+
+  let confirm = `Поле "${session.label}" для пациента ID ${session.patient_id} обновлено.\n`;
+  if (patient.full_name) {
+    confirm += `Пациент: ${patient.full_name}`;
+  }
+  await ctx.reply(confirm);
+
+  // логируем изменение
+  recordPatientChange(
+    patient.id,
+    u.id,
+    "bot",
+    "Обновление из Telegram-бота",
+    result.changes
+  );
+  markPatientSeen(patient.id, u.id);
+
+  // уведомление команде пациента
+  notifyPatient(
+    patient.id,
+    `✏️ *Обновление из бота*\nПоле: *${session.label}*\nID: *${session.patient_id}*\nПользователь Telegram: ${who}`,
+    { event: "bot_edit", excludeUserId: u.id }
+  );
+}
+
+/**
+ * Предупреждение перед закрытием диалога и закрытие просроченных
+ */
+async function runBotSessionTick() {
+  for (const s of listBotSessionsToWarn(BOT_SESSION_WARN_MIN)) {
+    markBotSessionWarned(s.id);
+    await sendToChat(
+      s.chat_id,
+      `⏳ Скоро диалог закроется без сохранения: ${botSessionTitle(s)}.\n` +
+        (s.state === "awaiting_confirm"
+          ? "Нажмите «Сохранить» под текстом или /cancel."
+          : s.state === "awaiting_conflict"
+          ? "Выберите «Объединить» или «Перезаписать» под сообщением или /cancel."
+          : "Отправьте текст или /cancel.")
+    );
+  }
+
+  for (const s of listExpiredBotSessions()) {
+    deleteBotSession(s.id);
+    await sendToChat(
+      s.chat_id,
+      `⌛ Диалог закрыт без сохранения (нет ответа ${BOT_SESSION_TTL_MIN} мин): ${botSessionTitle(s)}.`
+    );
+    await activateNextBotSession(s.chat_id);
+  }
+}
+
+/**
+ * Весь дневник пациента. Длинный текст режется на несколько сообщений
+ * (лимит Telegram — 4096 символов), отправляется без разметки.
+ */
+async function replyFullDiary(ctx, patientId) {
+  const patient = getPatientByPatientId(patientId);
+  if (!patient) {
+    return ctx.reply(`Пациент с ID ${patientId} в базе ЛТ не найден.`);
+  }
+
+  const entries = listDiaryEntries(patient.id);
+  if (!entries.length) {
+    return ctx.reply(`Дневник пациента ID ${patient.patient_id} пуст.`);
+  }
+
+  const blocks = entries.map(
+    (e) =>
+      `${formatDateTime(e.created_at)}${e.author_name ? " — " + e.author_name : ""}` +
+      `${e.source === "bot" ? " (бот)" : ""}\n${e.text}`
   );
+
+  let chunk = `📘 Дневник — ID ${patient.patient_id}\n\n`;
+  for (const block of blocks) {
+    if (chunk.length + block.length + 2 > 4000) {
+      await ctx.reply(chunk);
+      chunk = "";
+    }
+    chunk += block.slice(0, 4000) + "\n\n";
+  }
+  if (chunk.trim()) await ctx.reply(chunk);
 }
 
 /**
@@ -0,0 +1,70 @@
+// src/migrate.js
+// Миграции схемы из командной строки:
+//   npm run migrate                   — применить недостающие (с резервной копией)
+//   npm run migrate -- status         — текущая версия и список миграций
+//   npm run migrate -- up --dry-run   — проверить миграции и откатить изменения
+//   npm run migrate -- up --no-backup — применить без резервной копии
+import "dotenv/config";
+import Database from "better-sqlite3";
+
+import { getDbFile } from "./db.js";
+import {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  pendingMigrations,
+  migrate,
+} from "./migrations.js";
+
+function printStatus(db, dbFile) {
+  const current = getSchemaVersion(db);
+  console.log(`База: ${dbFile}`);
+  console.log(`Версия схемы: ${current} (последняя: ${LATEST_VERSION})`);
+  MIGRATIONS.forEach((m) => {
+    const mark = m.version <= current ? "✔" : "·";
+    console.log(`  ${mark} ${m.version}. ${m.name}`);
+  });
+  const pending = pendingMigrations(db);
+  console.log(
+    pending.length ? `Ожидают применения: ${pending.length}` : "Схема актуальна."
+  );
+}
+
+function main(argv) {
+  const command = argv.find((a) => !a.startsWith("--")) || "up";
+  const dryRun = argv.includes("--dry-run");
+  const backup = !argv.includes("--no-backup");
+
+  if (!["status", "up"].includes(command)) {
+    console.error(`Неизвестная команда "${command}". Доступно: status, up [--dry-run] [--no-backup]`);
+    return 1;
+  }
+
+  const dbFile = getDbFile();
+  const db = new Database(dbFile);
+  db.pragma("foreign_keys = ON");
+
+  try {
+    if (command === "status") {
+      printStatus(db, dbFile);
+      return 0;
+    }
+
+    const result = migrate(db, { dbFile, dryRun, backup, log: console.log });
+    if (!result.applied.length) {
+      console.log(`Схема актуальна (версия ${result.from}).`);
+    } else if (dryRun) {
+      console.log(`Пробный прогон прошёл (миграций: ${result.applied.length}), изменения откачены.`);
+    } else {
+      console.log(`Готово: версия ${result.from} → ${result.to}.`);
+    }
+    return 0;
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  } finally {
+    db.close();
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
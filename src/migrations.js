@@ -0,0 +1,787 @@
+// src/migrations.js
+// Версионные миграции схемы SQLite. Номер последней применённой миграции хранится
+// в PRAGMA user_version; каждая миграция выполняется в транзакции, перед применением
+// делается резервная копия файла базы.
+//
+// Новое поле или таблица = новая запись в конце MIGRATIONS (старые не меняем).
+
+/**
+ * Добавить колонку, если её ещё нет (базы до появления миграций могли получить её раньше)
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+  }
+}
+
+/**
+ * Пересоздать таблицу по изменённому CREATE TABLE — SQLite не умеет менять DEFAULT через ALTER.
+ * Данные, индексы, триггеры и счётчик AUTOINCREMENT сохраняются.
+ * Миграция с пересозданием должна быть помечена foreignKeys: false.
+ */
+function rebuildTable(db, table, transformSql) {
+  const { sql } = db
+    .prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .get(table);
+  const extras = db
+    .prepare(
+      "SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL"
+    )
+    .all(table)
+    .map((r) => r.sql);
+  const sequence = db
+    .prepare("SELECT seq FROM sqlite_sequence WHERE name = ?")
+    .get(table);
+  const columns = db
+    .prepare(`PRAGMA table_info(${table})`)
+    .all()
+    .map((c) => c.name)
+    .join(", ");
+
+  const tmp = `${table}__rebuild`;
+  db.exec(
+    transformSql(sql).replace(
+      /^CREATE TABLE\s+(IF NOT EXISTS\s+)?["`]?\w+["`]?/i,
+      `CREATE TABLE ${tmp}`
+    )
+  );
+  db.exec(`INSERT INTO ${tmp} (${columns}) SELECT ${columns} FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${tmp} RENAME TO ${table}`);
+  extras.forEach((extraSql) => db.exec(extraSql));
+  if (sequence) {
+    db.prepare("UPDATE sqlite_sequence SET seq = ? WHERE name = ?").run(sequence.seq, table);
+  }
+}
+
+// колонки со временем, которые до миграции 3 писались как UTC+5 (Ташкент)
+const TIMESTAMP_COLUMNS = {
+  users: ["created_at", "updated_at"],
+  telegram_link_codes: ["expires_at", "created_at"],
+  patients: ["created_at", "updated_at"],
+  patient_changes: ["changed_at"],
+  patient_team: ["added_at"],
+  patient_subscriptions: ["created_at"],
+  notification_queue: ["deliver_after", "created_at"],
+  bot_sessions: ["expires_at", "warned_at", "created_at"],
+  api_tokens: ["created_at", "last_used_at", "revoked_at"],
+  diary_entries: ["created_at"],
+  treatment_phases: ["created_at"],
+  fraction_deliveries: ["created_at"],
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "Схема до появления миграций",
+    // идемпотентна: приводит к одной схеме и новую базу, и базу любой прежней версии
+    up(db) {
+      // === Пользователи (врачи/админы) ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS users (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          login         TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          full_name     TEXT,
+          role          TEXT NOT NULL DEFAULT 'doctor', -- см. ROLES в permissions.js
+          telegram_id   TEXT,
+          created_at    TEXT DEFAULT (datetime('now', '+5 hours')),
+          updated_at    TEXT DEFAULT (datetime('now', '+5 hours'))
+        )
+      `).run();
+
+      // отключённый пользователь не может войти ни в веб-панель, ни в бота, ни в API
+      addColumnIfMissing(db, "users", "is_active", "INTEGER NOT NULL DEFAULT 1");
+
+      // === Одноразовые коды привязки Telegram (/link CODE в боте) ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS telegram_link_codes (
+          code        TEXT PRIMARY KEY,
+          user_id     INTEGER NOT NULL,
+          expires_at  TEXT NOT NULL,
+          created_at  TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Пациенты ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patients (
+          id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id         TEXT NOT NULL UNIQUE,
+          full_name          TEXT NOT NULL,
+          birth_date         TEXT,
+          region             TEXT,
+          diagnosis          TEXT,
+          topometry          TEXT,
+          method_gray        REAL,
+          diary              TEXT,
+          complaints         TEXT,
+          prescriptions      TEXT,
+          discharge_summary  TEXT,
+          complications      TEXT,
+          status             TEXT DEFAULT 'on_treatment',
+          created_by         INTEGER,
+          updated_by         INTEGER,
+          created_at         TEXT DEFAULT (datetime('now', '+5 hours')),
+          updated_at         TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY(updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `).run();
+
+      // версия карты для оптимистичной блокировки: растёт при каждом изменении
+      addColumnIfMissing(db, "patients", "version", "INTEGER NOT NULL DEFAULT 1");
+
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patient_changes (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id  INTEGER NOT NULL,
+          user_id     INTEGER,
+          source      TEXT,
+          description TEXT,
+          changed_at  TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(user_id)   REFERENCES users(id)    ON DELETE SET NULL
+        )
+      `).run();
+
+
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patient_views (
+          id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id          INTEGER NOT NULL,
+          user_id             INTEGER NOT NULL,
+          last_seen_change_id INTEGER DEFAULT 0,
+          UNIQUE(patient_id, user_id),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(user_id)   REFERENCES users(id)    ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Права ролей (роль → право, см. permissions.js) ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS role_permissions (
+          role        TEXT NOT NULL,
+          permission  TEXT NOT NULL,
+          PRIMARY KEY (role, permission)
+        )
+      `).run();
+
+      // для прав, добавленных в новых версиях: какие значения по умолчанию уже применены
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS permission_defaults_applied (
+          permission  TEXT PRIMARY KEY
+        )
+      `).run();
+
+      // === Команда пациента: лечащий врач + другие участники ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patient_team (
+          patient_id    INTEGER NOT NULL,
+          user_id       INTEGER NOT NULL,
+          is_attending  INTEGER NOT NULL DEFAULT 0,
+          added_at      TEXT DEFAULT (datetime('now', '+5 hours')),
+          PRIMARY KEY (patient_id, user_id),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(user_id)    REFERENCES users(id)    ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Подписки на уведомления по карте ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patient_subscriptions (
+          patient_id  INTEGER NOT NULL,
+          user_id     INTEGER NOT NULL,
+          created_at  TEXT DEFAULT (datetime('now', '+5 hours')),
+          PRIMARY KEY (patient_id, user_id),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(user_id)    REFERENCES users(id)    ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Настройки уведомлений пользователя: тихие часы и время дайджеста ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS notification_settings (
+          user_id         INTEGER PRIMARY KEY,
+          quiet_from      TEXT,             -- "22:00", местное время
+          quiet_to        TEXT,             -- "07:00"
+          digest_time     TEXT DEFAULT '08:00',
+          last_digest_on  TEXT,             -- дата последнего отправленного дайджеста
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // режим доставки по типу события: instant / digest / off
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS notification_prefs (
+          user_id  INTEGER NOT NULL,
+          event    TEXT NOT NULL,
+          mode     TEXT NOT NULL,
+          PRIMARY KEY (user_id, event),
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // отложенные сообщения: тихие часы (kind = 'held') и строки дайджеста,
+      // которых нет в patient_changes, например удаление карты (kind = 'digest')
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS notification_queue (
+          id             INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id        INTEGER NOT NULL,
+          kind           TEXT NOT NULL,
+          event          TEXT,
+          text           TEXT NOT NULL,
+          deliver_after  TEXT,
+          created_at     TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Диалоги бота: редактирование полей, дневник, пропуск фракции ===
+      // Несколько записей на чат — очередь: активна самая ранняя, остальные ждут (state = 'queued')
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS bot_sessions (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          chat_id       TEXT NOT NULL,
+          kind          TEXT NOT NULL,              -- field | diary_entry | fraction_missed
+          patient_id    TEXT NOT NULL,              -- patients.patient_id (как вводит врач)
+          field         TEXT,
+          label         TEXT,
+          state         TEXT NOT NULL DEFAULT 'queued', -- queued | awaiting_input | awaiting_confirm | awaiting_conflict
+          pending_text  TEXT,
+          expires_at    TEXT,
+          warned_at     TEXT,
+          created_at    TEXT DEFAULT (datetime('now', '+5 hours'))
+        )
+      `).run();
+      db.prepare(
+        "CREATE INDEX IF NOT EXISTS idx_bot_sessions_chat ON bot_sessions(chat_id, id)"
+      ).run();
+      // версия карты и значение поля, показанные врачу в приглашении (для проверки конфликта)
+      addColumnIfMissing(db, "bot_sessions", "base_version", "INTEGER");
+      addColumnIfMissing(db, "bot_sessions", "base_value", "TEXT");
+
+      // === API-токены (выдаются пользователю в админ-панели, храним только хэш) ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id       INTEGER NOT NULL,
+          name          TEXT,
+          token_hash    TEXT NOT NULL UNIQUE,
+          token_prefix  TEXT NOT NULL,        -- первые символы, чтобы узнать токен в списке
+          created_at    TEXT DEFAULT (datetime('now', '+5 hours')),
+          last_used_at  TEXT,
+          revoked_at    TEXT,
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Полнотекстовый поиск по картам (FTS5, синхронизируется триггерами) ===
+      const hasFts = db
+        .prepare(
+          "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'patients_fts'"
+        )
+        .get();
+
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS patients_fts USING fts5(
+          patient_id, full_name, diagnosis, region,
+          content = 'patients', content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS patients_fts_ai AFTER INSERT ON patients BEGIN
+          INSERT INTO patients_fts (rowid, patient_id, full_name, diagnosis, region)
+          VALUES (new.id, new.patient_id, new.full_name, new.diagnosis, new.region);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS patients_fts_ad AFTER DELETE ON patients BEGIN
+          INSERT INTO patients_fts (patients_fts, rowid, patient_id, full_name, diagnosis, region)
+          VALUES ('delete', old.id, old.patient_id, old.full_name, old.diagnosis, old.region);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS patients_fts_au AFTER UPDATE ON patients BEGIN
+          INSERT INTO patients_fts (patients_fts, rowid, patient_id, full_name, diagnosis, region)
+          VALUES ('delete', old.id, old.patient_id, old.full_name, old.diagnosis, old.region);
+          INSERT INTO patients_fts (rowid, patient_id, full_name, diagnosis, region)
+          VALUES (new.id, new.patient_id, new.full_name, new.diagnosis, new.region);
+        END;
+      `);
+
+      // индекс только что создан — заполняем его существующими картами
+      if (!hasFts) {
+        db.prepare("INSERT INTO patients_fts (patients_fts) VALUES ('rebuild')").run();
+      }
+
+      // === Изменённые поля (старое → новое значение) по каждому изменению ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS patient_change_fields (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          change_id   INTEGER NOT NULL,
+          field       TEXT NOT NULL,
+          old_value   TEXT,
+          new_value   TEXT,
+          FOREIGN KEY(change_id) REFERENCES patient_changes(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Дневник курса ЛТ: отдельные записи (только добавление) ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS diary_entries (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id  INTEGER NOT NULL,
+          author_id   INTEGER,
+          source      TEXT,                 -- web | bot | migrated
+          text        TEXT NOT NULL,
+          created_at  TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(author_id)  REFERENCES users(id)    ON DELETE SET NULL
+        )
+      `).run();
+
+      // старый текст patients.diary переносим первой записью (один раз)
+      db.prepare(`
+        INSERT INTO diary_entries (patient_id, author_id, source, text, created_at)
+        SELECT p.id, p.updated_by, 'migrated', p.diary, COALESCE(p.updated_at, p.created_at)
+        FROM patients p
+        WHERE p.diary IS NOT NULL
+          AND TRIM(p.diary) <> ''
+          AND NOT EXISTS (SELECT 1 FROM diary_entries de WHERE de.patient_id = p.id)
+      `).run();
+
+      // === План облучения: фазы / бусты ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS treatment_phases (
+          id                INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id        INTEGER NOT NULL,
+          position          INTEGER NOT NULL DEFAULT 0,
+          name              TEXT,              -- Фаза 1 / Буст
+          target_volume     TEXT,              -- PTV1, CTV boost ...
+          total_dose        REAL,              -- СОД, Гр
+          dose_per_fraction REAL,              -- РОД, Гр
+          fractions         INTEGER,
+          technique         TEXT,              -- 3D-CRT | IMRT | VMAT | SBRT
+          energy            TEXT,              -- 6 MV, 10 MV FFF ...
+          alpha_beta        REAL,              -- если NULL — значение по умолчанию
+          created_at        TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE
+        )
+      `).run();
+
+      // === Журнал проведения фракций ===
+      db.prepare(`
+        CREATE TABLE IF NOT EXISTS fraction_deliveries (
+          id              INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id      INTEGER NOT NULL,
+          delivered_on    TEXT NOT NULL,                       -- дата (YYYY-MM-DD)
+          fraction_number INTEGER,
+          dose            REAL,                                -- подведено, Гр
+          machine         TEXT,
+          status          TEXT NOT NULL DEFAULT 'delivered',   -- delivered | missed
+          missed_reason   TEXT,
+          source          TEXT,                                -- web | bot
+          recorded_by     INTEGER,
+          created_at      TEXT DEFAULT (datetime('now', '+5 hours')),
+          FOREIGN KEY(patient_id)  REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(recorded_by) REFERENCES users(id)    ON DELETE SET NULL
+        )
+      `).run();
+    },
+  },
+  {
+    version: 2,
+    name: "Индексы истории изменений",
+    up(db) {
+      db.exec(`
+        CREATE INDEX idx_patient_changes_patient ON patient_changes(patient_id, id);
+        CREATE INDEX idx_patient_change_fields_change ON patient_change_fields(change_id);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "Время в UTC вместо UTC+5",
+    foreignKeys: false,
+    up(db) {
+      // смещение +5 было зашито в код, поэтому переводим ровно на 5 часов
+      // независимо от CLINIC_TIMEZONE
+      Object.entries(TIMESTAMP_COLUMNS).forEach(([table, columns]) => {
+        columns.forEach((column) => {
+          db.prepare(
+            `UPDATE ${table} SET ${column} = datetime(${column}, '-5 hours')
+             WHERE ${column} IS NOT NULL AND datetime(${column}) IS NOT NULL`
+          ).run();
+        });
+        rebuildTable(db, table, (sql) =>
+          sql.split("datetime('now', '+5 hours')").join("datetime('now')")
+        );
+      });
+    },
+  },
+  {
+    version: 4,
+    name: "Архив удалённых карт",
+    up(db) {
+      db.exec(`
+        ALTER TABLE patients ADD COLUMN deleted_at TEXT;
+        ALTER TABLE patients ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+        ALTER TABLE patients ADD COLUMN deleted_reason TEXT;
+        CREATE INDEX idx_patients_deleted ON patients(deleted_at);
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "Коды диагнозов (МКБ-10, МКБ-О) и стадия TNM",
+    up(db) {
+      db.exec(`
+        -- справочник заполняется из src/data/icd.json при запуске (см. icd.js)
+        CREATE TABLE icd_codes (
+          code    TEXT NOT NULL,
+          system  TEXT NOT NULL,          -- icd10 | icdo_morphology
+          title   TEXT NOT NULL,
+          search  TEXT NOT NULL,          -- код и название в нижнем регистре (для поиска)
+          PRIMARY KEY (system, code)
+        );
+
+        ALTER TABLE patients ADD COLUMN diagnosis_code TEXT;
+        ALTER TABLE patients ADD COLUMN morphology_code TEXT;
+        ALTER TABLE patients ADD COLUMN tnm_t TEXT;
+        ALTER TABLE patients ADD COLUMN tnm_n TEXT;
+        ALTER TABLE patients ADD COLUMN tnm_m TEXT;
+        ALTER TABLE patients ADD COLUMN stage TEXT;
+        CREATE INDEX idx_patients_diagnosis_code ON patients(diagnosis_code);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "Расписание облучения (аппараты, серии, записи)",
+    up(db) {
+      db.exec(`
+        CREATE TABLE machines (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          name          TEXT NOT NULL UNIQUE,
+          description   TEXT,
+          day_start     TEXT NOT NULL DEFAULT '08:00',   -- рабочие часы (время клиники)
+          day_end       TEXT NOT NULL DEFAULT '18:00',
+          slot_minutes  INTEGER NOT NULL DEFAULT 15,
+          is_active     INTEGER NOT NULL DEFAULT 1,
+          created_at    TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE holidays (
+          date   TEXT PRIMARY KEY,                       -- YYYY-MM-DD
+          title  TEXT
+        );
+
+        -- курс на аппарате: weekdays — дни недели 1..7 (пн..вс) через запятую
+        CREATE TABLE treatment_series (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id    INTEGER NOT NULL,
+          machine_id    INTEGER NOT NULL,
+          start_date    TEXT NOT NULL,
+          start_time    TEXT NOT NULL,
+          duration_min  INTEGER NOT NULL,
+          fractions     INTEGER NOT NULL,
+          weekdays      TEXT NOT NULL DEFAULT '1,2,3,4,5',
+          status        TEXT NOT NULL DEFAULT 'active',  -- active | cancelled
+          created_by    INTEGER,
+          created_at    TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(machine_id) REFERENCES machines(id),
+          FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+
+        -- сеанс облучения: дата и время — по часам клиники
+        CREATE TABLE treatment_appointments (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          series_id     INTEGER NOT NULL,
+          patient_id    INTEGER NOT NULL,
+          machine_id    INTEGER NOT NULL,
+          date          TEXT NOT NULL,
+          start_time    TEXT NOT NULL,
+          duration_min  INTEGER NOT NULL,
+          status        TEXT NOT NULL DEFAULT 'scheduled', -- scheduled | done | missed | cancelled
+          note          TEXT,
+          FOREIGN KEY(series_id)  REFERENCES treatment_series(id) ON DELETE CASCADE,
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(machine_id) REFERENCES machines(id)
+        );
+        CREATE INDEX idx_appointments_machine_date ON treatment_appointments(machine_id, date);
+        CREATE INDEX idx_appointments_patient_date ON treatment_appointments(patient_id, date);
+        CREATE INDEX idx_appointments_series ON treatment_appointments(series_id);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "Контрольные визиты после курса",
+    up(db) {
+      db.exec(`
+        -- визит наблюдения: срок (due_date) — по календарю клиники, от окончания курса
+        CREATE TABLE follow_up_visits (
+          id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id          INTEGER NOT NULL,
+          due_date            TEXT NOT NULL,
+          months_after        INTEGER,
+          status              TEXT NOT NULL DEFAULT 'planned', -- planned | done | missed | cancelled
+          visit_date          TEXT,
+          outcome             TEXT,
+          response            TEXT,
+          late_toxicity       TEXT,
+          late_toxicity_grade INTEGER,
+          notes               TEXT,
+          recorded_by         INTEGER,
+          recorded_at         TEXT,
+          reminded_at         TEXT,
+          overdue_notified_at TEXT,
+          created_by          INTEGER,
+          created_at          TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY(patient_id)  REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(recorded_by) REFERENCES users(id),
+          FOREIGN KEY(created_by)  REFERENCES users(id)
+        );
+        CREATE INDEX idx_follow_up_patient ON follow_up_visits(patient_id, due_date);
+        CREATE INDEX idx_follow_up_status_due ON follow_up_visits(status, due_date);
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: "Журнал смены статуса курса",
+    up(db) {
+      db.exec(`
+        -- переход статуса карты: когда, кто, почему и откуда (источник как в patient_changes)
+        CREATE TABLE patient_status_history (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id  INTEGER NOT NULL,
+          from_status TEXT,
+          to_status   TEXT NOT NULL,
+          changed_at  TEXT NOT NULL DEFAULT (datetime('now')),
+          changed_by  INTEGER,
+          reason      TEXT,
+          source      TEXT,
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(changed_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_status_history_patient ON patient_status_history(patient_id, changed_at);
+      `);
+
+      // прошлые смены статуса восстанавливаем по истории изменений карты;
+      // начальный статус — из первой смены (или текущий), на момент создания карты
+      const insert = db.prepare(`
+        INSERT INTO patient_status_history
+          (patient_id, from_status, to_status, changed_at, changed_by, source)
+        VALUES (?, ?, ?, COALESCE(?, datetime('now')), ?, ?)
+      `);
+      const changes = db.prepare(`
+        SELECT f.old_value, f.new_value, pc.changed_at, pc.user_id, pc.source
+        FROM patient_change_fields f
+        JOIN patient_changes pc ON pc.id = f.change_id
+        WHERE pc.patient_id = ? AND f.field = 'status'
+        ORDER BY pc.changed_at, pc.id
+      `);
+      db.prepare("SELECT id, status, created_at, created_by FROM patients")
+        .all()
+        .forEach((p) => {
+          const rows = changes.all(p.id);
+          const initial = rows.length ? rows[0].old_value : p.status;
+          if (initial) {
+            insert.run(p.id, null, initial, p.created_at, p.created_by, null);
+          }
+          rows
+            .filter((r) => r.new_value)
+            .forEach((r) =>
+              insert.run(p.id, r.old_value, r.new_value, r.changed_at, r.user_id, r.source)
+            );
+        });
+    },
+  },
+  {
+    version: 9,
+    name: "Токсичность по CTCAE",
+    up(db) {
+      db.exec(`
+        -- осложнение / реакция: термин CTCAE (код справочника и название на момент записи),
+        -- степень 1–5; даты — по календарю клиники
+        CREATE TABLE toxicity_events (
+          id          INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id  INTEGER NOT NULL,
+          term_code   TEXT NOT NULL,
+          term_title  TEXT NOT NULL,
+          grade       INTEGER NOT NULL CHECK (grade BETWEEN 1 AND 5),
+          onset_date  TEXT NOT NULL,
+          phase       TEXT NOT NULL DEFAULT 'acute', -- acute | late
+          attribution TEXT,                          -- unrelated | unlikely | possible | probable | definite
+          resolved_on TEXT,
+          notes       TEXT,
+          source      TEXT,
+          created_by  INTEGER,
+          created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_by  INTEGER,
+          updated_at  TEXT,
+          FOREIGN KEY(patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY(updated_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_toxicity_patient ON toxicity_events(patient_id, onset_date);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: "Вложения карты",
+    up(db) {
+      db.exec(`
+        -- файл лежит в ATTACHMENTS_DIR под stored_name; здесь — описание и кто загрузил
+        CREATE TABLE patient_attachments (
+          id            INTEGER PRIMARY KEY AUTOINCREMENT,
+          patient_id    INTEGER NOT NULL,
+          kind          TEXT NOT NULL DEFAULT 'other',
+          description   TEXT,
+          original_name TEXT NOT NULL,
+          stored_name   TEXT NOT NULL UNIQUE,
+          mime_type     TEXT NOT NULL,
+          size          INTEGER NOT NULL,
+          source        TEXT,                       -- web | bot
+          uploaded_by   INTEGER,
+          uploaded_at   TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY(patient_id)  REFERENCES patients(id) ON DELETE CASCADE,
+          FOREIGN KEY(uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+        );
+        CREATE INDEX idx_attachments_patient ON patient_attachments(patient_id, uploaded_at);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "Удаление вложений в архив",
+    up(db) {
+      db.exec(`
+        -- удалённое вложение скрыто из карты, файл остаётся на диске: администратор может
+        -- его вернуть; файлы стираются только вместе с картой (окончательное удаление)
+        ALTER TABLE patient_attachments ADD COLUMN deleted_at TEXT;
+        ALTER TABLE patient_attachments ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      `);
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getSchemaVersion(db) {
+  return db.pragma("user_version", { simple: true });
+}
+
+/**
+ * Миграции, которые ещё не применены к базе
+ */
+export function pendingMigrations(db) {
+  const current = getSchemaVersion(db);
+  if (current > LATEST_VERSION) {
+    throw new Error(
+      `Версия схемы базы (${current}) новее, чем знает приложение (${LATEST_VERSION}). ` +
+        "Обновите приложение."
+    );
+  }
+  return MIGRATIONS.filter((m) => m.version > current);
+}
+
+function isEmptyDatabase(db) {
+  return !db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' LIMIT 1").get();
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+}
+
+/**
+ * Резервная копия базы рядом с файлом: radonco.db.backup-v3-20250101-120000
+ */
+export function backupDatabase(db, dbFile) {
+  const target = `${dbFile}.backup-v${getSchemaVersion(db)}-${timestamp()}`;
+  db.prepare("VACUUM INTO ?").run(target);
+  return target;
+}
+
+class DryRunRollback extends Error {}
+
+function applyMigration(db, migration) {
+  try {
+    db.transaction(() => {
+      migration.up(db);
+      // после пересоздания таблиц (foreign_keys выключены) проверяем связи сами
+      if (migration.foreignKeys === false) {
+        const broken = db.pragma("foreign_key_check");
+        if (broken.length) {
+          throw new Error(`нарушены внешние ключи в таблице ${broken[0].table}`);
+        }
+      }
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+  } catch (err) {
+    err.message = `Миграция ${migration.version} (${migration.name}) не применена: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Выполнить fn с выключенными foreign_keys, если этого требует хоть одна миграция
+ * (PRAGMA foreign_keys внутри транзакции не действует, поэтому переключаем снаружи)
+ */
+function withForeignKeysFor(db, migrations, fn) {
+  if (!migrations.some((m) => m.foreignKeys === false)) return fn();
+  const enabled = db.pragma("foreign_keys", { simple: true });
+  db.pragma("foreign_keys = OFF");
+  try {
+    return fn();
+  } finally {
+    db.pragma(`foreign_keys = ${enabled ? "ON" : "OFF"}`);
+  }
+}
+
+/**
+ * Применить недостающие миграции.
+ * dryRun — выполнить все в одной транзакции и откатить (проверка без изменений);
+ * backup — сделать копию базы перед применением (не делается для новой пустой базы).
+ * Возвращает { from, to, applied, backup }.
+ */
+export function migrate(db, { dbFile, dryRun = false, backup = true, log = () => {} } = {}) {
+  const from = getSchemaVersion(db);
+  const pending = pendingMigrations(db);
+  const result = { from, to: from, applied: [], backup: null };
+  if (!pending.length) return result;
+
+  const run = () =>
+    pending.forEach((m) => {
+      applyMigration(db, m);
+      log(`${dryRun ? "Проверена" : "Применена"} миграция ${m.version}: ${m.name}`);
+      result.applied.push(m);
+      if (!dryRun) result.to = m.version;
+    });
+
+  if (dryRun) {
+    withForeignKeysFor(db, pending, () => {
+      try {
+        db.transaction(() => {
+          run();
+          throw new DryRunRollback();
+        })();
+      } catch (err) {
+        if (!(err instanceof DryRunRollback)) throw err;
+      }
+    });
+    return result;
+  }
+
+  if (backup && dbFile && dbFile !== ":memory:" && !isEmptyDatabase(db)) {
+    result.backup = backupDatabase(db, dbFile);
+    log(`Резервная копия: ${result.backup}`);
+  }
+  withForeignKeysFor(db, pending, run);
+  return result;
+}
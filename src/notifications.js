@@ -0,0 +1,200 @@
+// src/notifications.js
+// Доставка уведомлений с учётом настроек пользователя: сразу / в дайджесте / никогда,
+// тихие часы (сообщения откладываются до утра) и ежедневный дайджест по patient_changes.
+import {
+  getNotificationSettings,
+  markDigestSent,
+  listTelegramUsers,
+  enqueueNotification,
+  listDueNotifications,
+  listDigestQueue,
+  deleteNotifications,
+  listUnseenChangesForUser,
+} from "./db.js";
+import { clinicNow, clinicTimeToUtc, addDays, formatDateTime } from "./time.js";
+
+export const NOTIFICATION_EVENTS = {
+  create: "Создание карты",
+  edit: "Изменение карты (веб, API, дневник)",
+  delete: "Удаление карты",
+  bot_edit: "Изменения из Telegram-бота",
+  status: "Смена статуса курса",
+  follow_up: "Контрольные визиты (напоминания)",
+  toxicity: "Токсичность 3–5 ст. (срочно)",
+};
+
+// срочные события: приходят всегда сразу — отключить, перенести в дайджест
+// или задержать тихими часами их нельзя
+export const URGENT_EVENTS = ["toxicity"];
+
+export const NOTIFICATION_MODES = {
+  instant: "Сразу",
+  digest: "В дайджесте",
+  off: "Не присылать",
+};
+
+const DEFAULT_MODE = "instant";
+const DIGEST_MAX_PATIENTS = 20;
+
+function toMinutes(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(hhmm || "");
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * "HH:MM" или null, если строка не похожа на время
+ */
+export function normalizeTime(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec((value || "").trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return `${m[1].padStart(2, "0")}:${m[2]}`;
+}
+
+export function modeFor(settings, event) {
+  if (URGENT_EVENTS.includes(event)) return "instant";
+  return settings.prefs[event] || DEFAULT_MODE;
+}
+
+/**
+ * Если сейчас тихие часы — момент их окончания (UTC, строка для БД), иначе null.
+ * Часы задаются по времени клиники; интервал может переходить через полночь (22:00–07:00).
+ */
+export function quietHoursEnd(settings, now = clinicNow()) {
+  const from = toMinutes(settings.quiet_from);
+  const to = toMinutes(settings.quiet_to);
+  if (from === null || to === null || from === to) return null;
+
+  const { minutes } = now;
+  const inside =
+    from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  if (!inside) return null;
+
+  const endDate = to > minutes ? now.date : addDays(now.date, 1);
+  return clinicTimeToUtc(endDate, to);
+}
+
+/**
+ * Тип события для записи patient_changes (для дайджеста)
+ */
+export function eventForChange(change) {
+  if (change.source === "web-create" || change.source === "api-create") return "create";
+  if (change.source === "bot") return "bot_edit";
+  if (change.has_status) return "status";
+  return "edit";
+}
+
+/**
+ * Доставить одно уведомление пользователю.
+ * send(telegramId, text) — отправка через бота.
+ */
+export function deliverNotification(user, event, text, send) {
+  const settings = getNotificationSettings(user.id);
+  const mode = modeFor(settings, event);
+
+  if (mode === "off") return;
+
+  if (mode === "digest") {
+    // изменения карт дайджест сам найдёт в patient_changes,
+    // а удалённой карты и напоминаний о визитах там нет — запоминаем отдельно
+    if (event === "delete" || event === "follow_up") {
+      enqueueNotification({ user_id: user.id, kind: "digest", event, text });
+    }
+    return;
+  }
+
+  const holdUntil = URGENT_EVENTS.includes(event) ? null : quietHoursEnd(settings);
+  if (holdUntil) {
+    enqueueNotification({
+      user_id: user.id,
+      kind: "held",
+      event,
+      text,
+      deliver_after: holdUntil,
+    });
+    return;
+  }
+
+  send(user.telegram_id, text);
+}
+
+/**
+ * Текст дайджеста для пользователя или null, если сообщать нечего.
+ * Берутся только события, для которых выбран режим «В дайджесте».
+ */
+export function buildDigest(user) {
+  const settings = getNotificationSettings(user.id);
+  const wanted = (event) => modeFor(settings, event) === "digest";
+
+  const byPatient = new Map();
+  listUnseenChangesForUser(user.id)
+    .filter((c) => wanted(eventForChange(c)))
+    .forEach((c) => {
+      const entry = byPatient.get(c.patient_row_id) || { ...c, count: 0 };
+      entry.count += 1;
+      entry.last = c;
+      byPatient.set(c.patient_row_id, entry);
+    });
+
+  const queued = listDigestQueue(user.id);
+  if (!byPatient.size && !queued.length) return null;
+
+  const lines = ["📰 *Дайджест RadOnco*", ""];
+
+  if (byPatient.size) {
+    lines.push(`Изменилось карт с вашего последнего просмотра: *${byPatient.size}*`);
+    [...byPatient.values()].slice(0, DIGEST_MAX_PATIENTS).forEach((p) => {
+      lines.push(
+        `• ID *${p.patient_id}*${p.full_name ? " — " + p.full_name : ""}: ` +
+          `${p.count} изм., последнее ${formatDateTime(p.last.changed_at)}` +
+          (p.last.description ? ` (${p.last.description})` : "")
+      );
+    });
+    if (byPatient.size > DIGEST_MAX_PATIENTS) {
+      lines.push(`…и ещё ${byPatient.size - DIGEST_MAX_PATIENTS}`);
+    }
+    lines.push("");
+  }
+
+  if (queued.length) {
+    lines.push("Прочие события:");
+    queued.forEach((q) => lines.push(q.text));
+  }
+
+  return { text: lines.join("\n"), queuedIds: queued.map((q) => q.id) };
+}
+
+/**
+ * Отправить дайджест сейчас. Возвращает true, если было что отправить.
+ */
+export function sendDigest(user, send) {
+  const digest = buildDigest(user);
+  if (!digest) return false;
+
+  send(user.telegram_id, digest.text);
+  deleteNotifications(digest.queuedIds);
+  return true;
+}
+
+/**
+ * Периодическая задача: отложенные сообщения + ежедневные дайджесты
+ */
+export function runNotificationTick(send) {
+  const due = listDueNotifications();
+  due.forEach((n) => send(n.telegram_id, n.text));
+  deleteNotifications(due.map((n) => n.id));
+
+  const now = clinicNow();
+  const { date: today, minutes } = now;
+
+  listTelegramUsers().forEach((user) => {
+    const settings = getNotificationSettings(user.id);
+    const at = toMinutes(settings.digest_time);
+    if (at === null || minutes < at || settings.last_digest_on === today) return;
+
+    // дайджест в тихие часы не шлём — он уйдёт, когда они закончатся
+    if (quietHoursEnd(settings, now)) return;
+
+    sendDigest(user, send);
+    markDigestSent(user.id, today);
+  });
+}
@@ -0,0 +1,201 @@
+// src/patient_import.js
+// Импорт карт из таблицы: сопоставление столбцов полям patients,
+// проверка строк и поиск дублей (по ID карты или по ФИО + дате рождения).
+import {
+  PATIENT_FIELD_LABELS,
+  PATIENT_STATUSES,
+  PATIENT_STATUS_LABELS,
+  listPatientIdentities,
+} from "./db.js";
+import { clinicToday } from "./time.js";
+import { validateCodedFields } from "./icd.js";
+
+// сколько строк можно загрузить за один импорт
+export const IMPORT_MAX_ROWS = 5000;
+
+/**
+ * Поля, доступные для импорта (дневник ведётся записями — его не импортируем)
+ */
+export const IMPORT_FIELDS = {
+  patient_id: "ID карты",
+  ...Object.fromEntries(
+    Object.entries(PATIENT_FIELD_LABELS).filter(([field]) => field !== "diary")
+  ),
+};
+
+// дополнительные названия столбцов, которые узнаём автоматически
+const HEADER_ALIASES = {
+  patient_id: ["id", "id пациента", "номер карты", "№ карты", "карта"],
+  full_name: ["ф.и.о.", "ф.и.о", "пациент", "фамилия имя отчество", "name"],
+  birth_date: ["д.р.", "др", "дата рожд.", "год рождения", "birthdate"],
+  region: ["область", "адрес"],
+  diagnosis: ["ds", "диагноз (мкб)"],
+  diagnosis_code: ["мкб", "мкб-10", "код мкб", "код мкб-10", "код диагноза"],
+  morphology_code: ["морфология", "мкб-о", "код морфологии"],
+  tnm_t: ["t"],
+  tnm_n: ["n"],
+  tnm_m: ["m"],
+  method_gray: ["методика", "методика (гр)"],
+};
+
+function normalizeText(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Сопоставление по умолчанию: { индекс столбца: поле } по названиям столбцов
+ */
+export function guessMapping(headers) {
+  const known = new Map();
+  Object.entries(IMPORT_FIELDS).forEach(([field, label]) => {
+    [field, label, ...(HEADER_ALIASES[field] || [])].forEach((name) =>
+      known.set(normalizeText(name), field)
+    );
+  });
+
+  const mapping = {};
+  const used = new Set();
+  headers.forEach((header, i) => {
+    const field = known.get(normalizeText(header));
+    if (field && !used.has(field)) {
+      mapping[i] = field;
+      used.add(field);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Ошибки самого сопоставления (не строк)
+ */
+export function validateMapping(mapping) {
+  const fields = Object.values(mapping).filter(Boolean);
+  const errors = [];
+  if (!fields.includes("full_name")) {
+    errors.push(`Не выбран столбец для поля «${IMPORT_FIELDS.full_name}»`);
+  }
+  const repeated = fields.filter((f, i) => fields.indexOf(f) !== i);
+  [...new Set(repeated)].forEach((f) =>
+    errors.push(`Поле «${IMPORT_FIELDS[f]}» выбрано для нескольких столбцов`)
+  );
+  return errors;
+}
+
+/**
+ * Дата из таблицы → "YYYY-MM-DD" (понимает ГГГГ-ММ-ДД и ДД.ММ.ГГГГ), null — не распознана
+ */
+export function parseImportDate(value) {
+  const s = String(value || "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/.exec(s);
+  let y, mo, d;
+  if (m) {
+    [, y, mo, d] = m;
+  } else if ((m = /^(\d{1,2})[./](\d{1,2})[./](\d{4})$/.exec(s))) {
+    [, d, mo, y] = m;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (
+    date.getUTCFullYear() !== Number(y) ||
+    date.getUTCMonth() !== Number(mo) - 1 ||
+    date.getUTCDate() !== Number(d)
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function parseStatus(value) {
+  const s = normalizeText(value);
+  if (!s) return "on_treatment";
+  if (PATIENT_STATUSES.includes(s)) return s;
+  const found = Object.entries(PATIENT_STATUS_LABELS).find(
+    ([, label]) => normalizeText(label) === s
+  );
+  return found ? found[0] : null;
+}
+
+const identityKey = (fullName, birthDate) =>
+  birthDate ? `${normalizeText(fullName)}|${birthDate}` : null;
+
+/**
+ * Проверка строк перед импортом.
+ * Возвращает [{ line, data, errors: [], duplicate: "текст" | null }],
+ * line — номер строки в файле (заголовок — строка 1).
+ */
+export function buildImportPreview(rows, mapping) {
+  const existing = listPatientIdentities();
+  const byId = new Map(existing.map((p) => [p.patient_id, p]));
+  const byIdentity = new Map();
+  existing.forEach((p) => {
+    const key = identityKey(p.full_name, p.birth_date);
+    if (key) byIdentity.set(key, p);
+  });
+
+  const describe = (p) =>
+    `ID ${p.patient_id} (${p.full_name})` + (p.deleted_at ? ", в архиве" : "");
+
+  const seenIds = new Map();
+  const seenIdentities = new Map();
+  const today = clinicToday();
+
+  return rows.map((cells, index) => {
+    const line = index + 2;
+    const errors = [];
+    const data = {};
+
+    Object.entries(mapping).forEach(([col, field]) => {
+      if (field) data[field] = String(cells[col] ?? "").trim();
+    });
+
+    if (!data.full_name) errors.push("Не заполнено ФИО");
+
+    if (data.patient_id && /\s/.test(data.patient_id)) {
+      errors.push("ID карты не должен содержать пробелов");
+    }
+
+    if (data.birth_date) {
+      const date = parseImportDate(data.birth_date);
+      if (!date) errors.push(`Дата рождения не распознана: "${data.birth_date}"`);
+      else if (date > today) errors.push("Дата рождения в будущем");
+      else data.birth_date = date;
+    }
+
+    if ("status" in data) {
+      const status = parseStatus(data.status);
+      if (!status) errors.push(`Неизвестный статус: "${data.status}"`);
+      else data.status = status;
+    }
+
+    validateCodedFields(data).forEach((e) => errors.push(e.message));
+
+    Object.keys(data).forEach((field) => {
+      if (data[field] === "") data[field] = null;
+    });
+
+    let duplicate = null;
+    const key = identityKey(data.full_name, data.birth_date);
+    if (data.patient_id && byId.has(data.patient_id)) {
+      duplicate = `ID уже занят: ${describe(byId.get(data.patient_id))}`;
+    } else if (key && byIdentity.has(key)) {
+      duplicate = `Те же ФИО и дата рождения: ${describe(byIdentity.get(key))}`;
+    } else if (data.patient_id && seenIds.has(data.patient_id)) {
+      duplicate = `Тот же ID, что в строке ${seenIds.get(data.patient_id)}`;
+    } else if (key && seenIdentities.has(key)) {
+      duplicate = `Те же ФИО и дата рождения, что в строке ${seenIdentities.get(key)}`;
+    }
+
+    if (!errors.length && !duplicate) {
+      if (data.patient_id) seenIds.set(data.patient_id, line);
+      if (key) seenIdentities.set(key, line);
+    }
+
+    return { line, data, errors, duplicate };
+  });
+}
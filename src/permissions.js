@@ -0,0 +1,134 @@
+// src/permissions.js
+// Роли пользователей и права на поля карты. Матрица «роль → права» хранится в БД
+// и настраивается администратором (/admin/roles); admin всегда может всё.
+import {
+  PATIENT_FIELD_LABELS,
+  listRolePermissions,
+  getPermissionsForRole,
+  listAppliedPermissionDefaults,
+  applyPermissionDefaults,
+} from "./db.js";
+
+export const ROLES = {
+  admin: "Админ",
+  doctor: "Врач",
+  resident: "Ординатор",
+  nurse: "Медсестра",
+  physicist: "Медицинский физик",
+  auditor: "Аудитор (только чтение)",
+};
+
+/**
+ * Все права: действия с картой + редактирование отдельных полей (field.*)
+ */
+export const PERMISSIONS = {
+  "patient.create": "Создание карт",
+  "patient.delete": "Удаление карт (в архив)",
+  "diary.add": "Записи в дневник",
+  "fraction.record": "Отметка фракций",
+  "patient.team": "Лечащий врач и команда",
+  "schedule.manage": "Расписание облучения",
+  "follow_up.record": "Контрольные визиты (наблюдение)",
+  "toxicity.record": "Токсичность (CTCAE)",
+  "attachment.add": "Вложения (загрузка)",
+  "attachment.delete": "Удаление вложений (в архив)",
+  "field.treatment_plan": "Поле: план облучения",
+  ...Object.fromEntries(
+    Object.entries(PATIENT_FIELD_LABELS)
+      .filter(([field]) => field !== "diary")
+      .map(([field, label]) => [`field.${field}`, `Поле: ${label}`])
+  ),
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// права, появившиеся после первой версии матрицы ролей
+const ADDED_LATER = ["patient.team"];
+
+/**
+ * Права по умолчанию (записываются в БД при первом запуске)
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  doctor: ALL,
+  resident: ALL.filter((p) => p !== "patient.delete" && p !== "attachment.delete"),
+  nurse: ["diary.add", "field.complaints", "toxicity.record", "attachment.add"],
+  physicist: [
+    "field.topometry",
+    "field.method_gray",
+    "field.treatment_plan",
+    "schedule.manage",
+    "attachment.add",
+  ],
+  auditor: [],
+};
+
+/**
+ * Выдать права по умолчанию — один раз для каждого права
+ * (новые права из обновлений получают значения по умолчанию, настройки админа не трогаем)
+ */
+export function ensureDefaultRolePermissions() {
+  const applied = new Set(listAppliedPermissionDefaults());
+  // матрица настраивалась до появления учёта — старые права считаем применёнными
+  if (!applied.size && listRolePermissions().length) {
+    ALL.filter((p) => !ADDED_LATER.includes(p)).forEach((p) => applied.add(p));
+    applyPermissionDefaults({}, [...applied]);
+  }
+  const pending = ALL.filter((p) => !applied.has(p));
+  if (pending.length) applyPermissionDefaults(DEFAULT_ROLE_PERMISSIONS, pending);
+}
+
+/**
+ * Может ли пользователь выполнить действие / изменить поле
+ */
+export function can(user, permission) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  return getPermissionsForRole(user.role).includes(permission);
+}
+
+/**
+ * Набор прав пользователя: { "patient.delete": true, ... } — для шаблонов
+ */
+export function permissionsFor(user) {
+  const granted =
+    user && user.role === "admin" ? ALL : getPermissionsForRole(user?.role);
+  return Object.fromEntries(ALL.map((p) => [p, granted.includes(p)]));
+}
+
+/**
+ * Может ли пользователь менять хоть одно поле карты
+ */
+export function canEditAnyField(user) {
+  const perms = permissionsFor(user);
+  return ALL.some((p) => p.startsWith("field.") && perms[p]);
+}
+
+/**
+ * Оставить в данных только поля, которые пользователь вправе менять
+ */
+export function filterEditableFields(user, data) {
+  const result = {};
+  Object.keys(data).forEach((field) => {
+    if (can(user, `field.${field}`)) result[field] = data[field];
+  });
+  return result;
+}
+
+/**
+ * Матрица для страницы настройки: { role: { permission: bool } }
+ */
+export function roleMatrix() {
+  const rows = listRolePermissions();
+  const matrix = {};
+  Object.keys(ROLES)
+    .filter((role) => role !== "admin")
+    .forEach((role) => {
+      matrix[role] = Object.fromEntries(ALL.map((p) => [p, false]));
+    });
+  rows.forEach((r) => {
+    if (matrix[r.role] && r.permission in matrix[r.role]) {
+      matrix[r.role][r.permission] = true;
+    }
+  });
+  return matrix;
+}
@@ -0,0 +1,384 @@
+// src/schedule.js
+// Расписание облучения: курс пациента бронируется серией сеансов на аппарате
+// (выбранные дни недели × N фракций) в обход праздников, с проверкой пересечений.
+// Пропуск, отмеченный в журнале фракций, или перерыв в лечении переносят сеанс
+// в конец серии. Даты и время — по часам клиники (как delivered_on в журнале).
+import {
+  listHolidays,
+  addHoliday,
+  listBusyAppointments,
+  listMachineAppointments,
+  listSeriesAppointments,
+  listPatientAppointments,
+  listDueAppointments,
+  addAppointments,
+  setAppointmentStatus,
+  getSeriesById,
+  getMachineById,
+  recordPatientChange,
+} from "./db.js";
+import { normalizeTime } from "./notifications.js";
+import { clinicToday, addDays } from "./time.js";
+
+export const WEEKDAYS = {
+  1: "пн",
+  2: "вт",
+  3: "ср",
+  4: "чт",
+  5: "пт",
+  6: "сб",
+  7: "вс",
+};
+export const DEFAULT_WEEKDAYS = [1, 2, 3, 4, 5];
+
+export const CALENDAR_VIEWS = {
+  day: "День",
+  week: "Неделя",
+};
+
+export const APPOINTMENT_STATUS_LABELS = {
+  scheduled: "Запланирован",
+  done: "Проведён",
+  missed: "Пропущен",
+  cancelled: "Отменён",
+};
+
+// не больше стольких фракций в одной серии
+export const MAX_SERIES_FRACTIONS = 60;
+// насколько далеко вперёд искать свободный день для переноса
+const RESCHEDULE_SEARCH_DAYS = 60;
+
+export const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+export const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * День недели даты "YYYY-MM-DD": 1 — понедельник … 7 — воскресенье
+ */
+export function weekdayOf(date) {
+  const [y, m, d] = date.split("-").map(Number);
+  return ((new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7) + 1;
+}
+
+/**
+ * "1,2,3" / ["1", "3"] → [1, 2, 3] (только 1..7, без повторов)
+ */
+export function parseWeekdays(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map(Number).filter((d) => d >= 1 && d <= 7))].sort();
+}
+
+const isWorkingDay = (date, weekdays, holidays) =>
+  weekdays.includes(weekdayOf(date)) && !holidays.has(date);
+
+/**
+ * Даты серии: count рабочих дней начиная со startDate
+ */
+export function planDates(startDate, count, weekdays, holidays) {
+  const dates = [];
+  let date = startDate;
+  for (let i = 0; dates.length < count && i < count * 7 + RESCHEDULE_SEARCH_DAYS; i++) {
+    if (isWorkingDay(date, weekdays, holidays)) dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
+const overlaps = (aStart, aDuration, bStart, bDuration) =>
+  aStart < bStart + bDuration && bStart < aStart + aDuration;
+
+/**
+ * Почему время занято (текст) или null, если свободно.
+ * busy — сеансы из listBusyAppointments; у пациента не больше одного сеанса в день.
+ */
+function slotConflict(busy, machine, { patientId, date, startTime, duration }) {
+  const start = toMinutes(startTime);
+  if (start < toMinutes(machine.day_start) || start + duration > toMinutes(machine.day_end)) {
+    return `вне рабочих часов аппарата (${machine.day_start}–${machine.day_end})`;
+  }
+  for (const b of busy) {
+    if (b.date !== date) continue;
+    if (b.patient_id === patientId) return "у пациента уже есть сеанс в этот день";
+    if (b.machine_id === machine.id && overlaps(start, duration, toMinutes(b.start_time), b.duration_min)) {
+      return `аппарат занят (${b.start_time}, ${b.duration_min} мин)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Ближайшее к желаемому свободное время на аппарате в этот день (шаг — слот аппарата)
+ */
+function findFreeTime(busy, machine, { patientId, date, startTime, duration }) {
+  const preferred = toMinutes(startTime);
+  const candidates = [];
+  for (
+    let t = toMinutes(machine.day_start);
+    t + duration <= toMinutes(machine.day_end);
+    t += machine.slot_minutes
+  ) {
+    candidates.push(t);
+  }
+  candidates.sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred) || a - b);
+  const free = candidates.find(
+    (t) => !slotConflict(busy, machine, { patientId, date, startTime: fromMinutes(t), duration })
+  );
+  return free === undefined ? null : fromMinutes(free);
+}
+
+/**
+ * Проверка формы бронирования серии.
+ * Возвращает { data, error }, data: { machineId, startDate, startTime, duration, fractions, weekdays, autoSlot }
+ */
+export function parseSeriesForm(body) {
+  const data = {
+    machineId: Number(body.machine_id),
+    startDate: /^\d{4}-\d{2}-\d{2}$/.test(body.start_date || "") ? body.start_date : null,
+    startTime: normalizeTime(body.start_time),
+    duration: parseInt(body.duration_min, 10),
+    fractions: parseInt(body.fractions, 10),
+    weekdays: parseWeekdays(body.weekdays),
+    autoSlot: body.auto_slot === "1",
+  };
+
+  let error = null;
+  if (!data.machineId) error = "Выберите аппарат";
+  else if (!data.startDate) error = "Укажите дату начала";
+  else if (data.startDate < clinicToday()) error = "Дата начала уже прошла";
+  else if (!data.startTime) error = "Время сеанса — в формате ЧЧ:ММ";
+  else if (!(data.duration >= 5 && data.duration <= 240)) {
+    error = "Длительность сеанса — от 5 до 240 минут";
+  } else if (!(data.fractions >= 1 && data.fractions <= MAX_SERIES_FRACTIONS)) {
+    error = `Число фракций — от 1 до ${MAX_SERIES_FRACTIONS}`;
+  } else if (!data.weekdays.length) error = "Выберите хотя бы один день недели";
+
+  return { data, error };
+}
+
+/**
+ * Расчёт серии: даты по дням недели без праздников и время каждого сеанса.
+ * autoSlot — при занятом времени взять ближайшее свободное в тот же день.
+ * Возвращает { appointments: [{ date, start_time }], conflicts: [{ date, start_time, reason }] }.
+ */
+export function planSeries(patientId, machine, data) {
+  const holidays = new Set(listHolidays(data.startDate).map((h) => h.date));
+  const dates = planDates(data.startDate, data.fractions, data.weekdays, holidays);
+  const busy = dates.length ? listBusyAppointments(dates[0], dates[dates.length - 1]) : [];
+
+  const appointments = [];
+  const conflicts = [];
+  dates.forEach((date) => {
+    const slot = { patientId, date, startTime: data.startTime, duration: data.duration };
+    let startTime = data.startTime;
+    const reason = slotConflict(busy, machine, slot);
+    if (reason) {
+      const free = data.autoSlot ? findFreeTime(busy, machine, slot) : null;
+      if (!free) {
+        conflicts.push({ date, start_time: data.startTime, reason });
+        return;
+      }
+      startTime = free;
+    }
+    appointments.push({ date, start_time: startTime });
+    busy.push({
+      patient_id: patientId,
+      machine_id: machine.id,
+      date,
+      start_time: startTime,
+      duration_min: data.duration,
+    });
+  });
+
+  if (dates.length < data.fractions) {
+    conflicts.push({
+      date: null,
+      start_time: null,
+      reason: "не хватает рабочих дней для всех фракций",
+    });
+  }
+  return { appointments, conflicts };
+}
+
+/**
+ * Добавить один сеанс в конец серии (не раньше дня после after):
+ * ближайший рабочий день серии со свободным временем. Возвращает сеанс или null.
+ */
+function appendToSeries(series, after, note) {
+  const machine = getMachineById(series.machine_id);
+  const weekdays = parseWeekdays(series.weekdays);
+  const active = listSeriesAppointments(series.id).filter(
+    (a) => a.status === "scheduled" || a.status === "done"
+  );
+  const last = active.length ? active[active.length - 1].date : series.start_date;
+  let date = addDays(last > after ? last : after, 1);
+  if (date <= clinicToday()) date = addDays(clinicToday(), 1);
+
+  const holidays = new Set(listHolidays(date).map((h) => h.date));
+  const busy = listBusyAppointments(date, addDays(date, RESCHEDULE_SEARCH_DAYS));
+  for (let i = 0; i < RESCHEDULE_SEARCH_DAYS; i++, date = addDays(date, 1)) {
+    if (!isWorkingDay(date, weekdays, holidays)) continue;
+    const startTime = findFreeTime(busy, machine, {
+      patientId: series.patient_id,
+      date,
+      startTime: series.start_time,
+      duration: series.duration_min,
+    });
+    if (!startTime) continue;
+    const appointment = {
+      series_id: series.id,
+      patient_id: series.patient_id,
+      machine_id: series.machine_id,
+      date,
+      start_time: startTime,
+      duration_min: series.duration_min,
+      note,
+    };
+    addAppointments([appointment]);
+    return appointment;
+  }
+  return null;
+}
+
+/**
+ * Перерыв в лечении: сеансы серии с fromDate по toDate отменяются
+ * и переносятся в конец серии. Возвращает { cancelled, moved: [сеансы], failed }.
+ */
+export function interruptSeries(seriesId, fromDate, toDate, reason) {
+  const series = getSeriesById(seriesId);
+  const affected = listSeriesAppointments(seriesId).filter(
+    (a) => a.status === "scheduled" && a.date >= fromDate && a.date <= toDate
+  );
+  affected.forEach((a) => setAppointmentStatus(a.id, "cancelled", `Перерыв: ${reason}`));
+
+  const moved = [];
+  affected.forEach((a) => {
+    const appointment = appendToSeries(series, toDate, `Перенос с ${a.date} (перерыв)`);
+    if (appointment) moved.push(appointment);
+  });
+  return { cancelled: affected.length, moved, failed: affected.length - moved.length };
+}
+
+/**
+ * Объявить день нерабочим: запланированные на него сеансы переносятся в конец своих серий
+ * (с записью в историю карты). Возвращает число затронутых серий.
+ */
+export function addHolidayAndReschedule(date, title, userId) {
+  addHoliday(date, title);
+  const seriesIds = [
+    ...new Set(listBusyAppointments(date, date).map((a) => a.series_id)),
+  ];
+  let affected = 0;
+  seriesIds.forEach((seriesId) => {
+    const series = getSeriesById(seriesId);
+    if (series.status !== "active") return;
+    const result = interruptSeries(seriesId, date, date, title || "праздник");
+    if (!result.cancelled) return;
+    affected += 1;
+    recordPatientChange(
+      series.patient_id,
+      userId,
+      "web-schedule",
+      result.moved.length
+        ? `Нерабочий день ${date}: сеанс перенесён на ${result.moved[0].date} ${result.moved[0].start_time}`
+        : `Нерабочий день ${date}: нет свободного времени для переноса сеанса`
+    );
+  });
+  return affected;
+}
+
+/**
+ * Сверка расписания с журналом фракций (по сегодняшний день включительно):
+ * проведённая фракция закрывает сеанс, отмеченный пропуск переносит его в конец серии.
+ * Сеансы без отметки в журнале остаются запланированными.
+ * Возвращает число перенесённых сеансов.
+ */
+export function syncSchedule(today = clinicToday()) {
+  let rescheduled = 0;
+  listDueAppointments(today).forEach((a) => {
+    if (a.delivered) {
+      setAppointmentStatus(a.id, "done");
+      return;
+    }
+    if (!a.missed) return;
+
+    setAppointmentStatus(a.id, "missed", a.missed_reason ? `Пропуск: ${a.missed_reason}` : "Пропуск");
+    const appointment = appendToSeries(getSeriesById(a.series_id), a.date, `Перенос с ${a.date}`);
+    recordPatientChange(
+      a.patient_id,
+      null,
+      "schedule",
+      appointment
+        ? `Пропущенный сеанс ${a.date} перенесён на ${appointment.date} ${appointment.start_time}`
+        : `Пропущенный сеанс ${a.date}: нет свободного времени для переноса`
+    );
+    if (appointment) rescheduled += 1;
+  });
+  return rescheduled;
+}
+
+/**
+ * Запись журнала фракций за date удалена: сеансы пациента этого дня, закрытые по ней
+ * («Проведён» или «Пропущен»), снова запланированы, а перенос после пропуска отменяется.
+ * Дальше syncSchedule закроет их заново по оставшимся записям.
+ */
+export function reopenAppointments(patientRowId, date) {
+  listPatientAppointments(patientRowId)
+    .filter((a) => a.date === date && (a.status === "done" || a.status === "missed"))
+    .filter((a) => getSeriesById(a.series_id).status === "active")
+    .forEach((a) => {
+      if (a.status === "missed") {
+        const moved = listSeriesAppointments(a.series_id).find(
+          (m) => m.status === "scheduled" && m.note === `Перенос с ${a.date}`
+        );
+        if (moved) setAppointmentStatus(moved.id, "cancelled", "Пропуск удалён из журнала");
+      }
+      setAppointmentStatus(a.id, "scheduled", a.status === "missed" ? "" : null);
+    });
+}
+
+/**
+ * Календарь аппарата: день или неделя (пн–вс), сетка по слотам аппарата.
+ * Возвращает { days: [{ date, weekday, holiday, appointments }], times, from, to, prev, next }.
+ */
+export function buildCalendar(machine, date, view) {
+  const from = view === "week" ? addDays(date, 1 - weekdayOf(date)) : date;
+  const to = view === "week" ? addDays(from, 6) : from;
+  const holidays = new Map(
+    listHolidays(from)
+      .filter((h) => h.date <= to)
+      .map((h) => [h.date, h.title || "праздник"])
+  );
+  const appointments = listMachineAppointments(machine.id, from, to);
+  const today = clinicToday();
+
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    days.push({
+      date: d,
+      weekday: WEEKDAYS[weekdayOf(d)],
+      holiday: holidays.get(d) || null,
+      today: d === today,
+      appointments: appointments
+        .filter((a) => a.date === d)
+        .map((a) => ({
+          ...a,
+          // сеанс прошёл, а в журнале фракций отметки нет
+          unmarked: a.status === "scheduled" && a.date < today,
+          offset: (toMinutes(a.start_time) - toMinutes(machine.day_start)) / machine.slot_minutes,
+          span: a.duration_min / machine.slot_minutes,
+        })),
+    });
+  }
+
+  const times = [];
+  for (let t = toMinutes(machine.day_start); t < toMinutes(machine.day_end); t += machine.slot_minutes) {
+    times.push(fromMinutes(t));
+  }
+
+  const step = view === "week" ? 7 : 1;
+  return { days, times, from, to, prev: addDays(date, -step), next: addDays(date, step) };
+}
@@ -0,0 +1,183 @@
+// src/spreadsheet.js
+// Чтение и запись таблиц CSV / XLSX. Ячейки приводятся к строкам:
+// даты из Excel — "YYYY-MM-DD", числа — как есть.
+import ExcelJS from "exceljs";
+
+export const SPREADSHEET_FORMATS = ["csv", "xlsx"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Формат по имени файла: "csv" | "xlsx" | null
+ */
+export function spreadsheetFormat(filename) {
+  const m = /\.(csv|txt|xlsx)$/i.exec(filename || "");
+  if (!m) return null;
+  return m[1].toLowerCase() === "xlsx" ? "xlsx" : "csv";
+}
+
+/**
+ * Текст CSV из буфера: UTF-8 (с BOM или без), иначе Windows-1251 —
+ * так сохраняет CSV русский Excel
+ */
+function decodeCsv(buffer) {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer).replace(/^\uFEFF/, "");
+  } catch {
+    return new TextDecoder("windows-1251").decode(buffer);
+  }
+}
+
+/**
+ * Разделитель по первой строке: ";" (русский Excel), "," или табуляция
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [";", ",", "\t"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * CSV → массив строк (массивов ячеек). Поддерживает кавычки и переводы строк внутри них.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// текст, который Excel принял бы за формулу (ФИО, диагноз приходят из веба, бота, API, импорта)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let s = value === null || value === undefined ? "" : String(value);
+  // числа (доза, номер фракции) оставляем как есть, текст с «=», «+», «-», «@» — с апострофом
+  if (typeof value !== "number" && FORMULA_START.test(s)) s = `'${s}`;
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Таблица → CSV для Excel: разделитель ";", UTF-8 с BOM
+ */
+export function toCsv(headers, rows) {
+  return (
+    "\uFEFF" +
+    [headers, ...rows].map((r) => r.map(csvCell).join(";")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+// значение ячейки ExcelJS → строка
+function xlsxCellText(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    const time = value.toISOString().slice(11, 19);
+    return time === "00:00:00" ? date : `${date} ${time}`;
+  }
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if ("result" in value) return xlsxCellText(value.result);
+    if (value.text !== undefined) return xlsxCellText(value.text);
+    if (value.error) return "";
+  }
+  return String(value);
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let c = 1; c <= row.cellCount; c++) {
+      cells.push(xlsxCellText(row.getCell(c).value));
+    }
+    rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * Файл → { headers, rows }: первая непустая строка — заголовки, пустые строки пропускаются,
+ * все строки выровнены по числу столбцов
+ */
+export async function readSpreadsheet(buffer, filename) {
+  const format = spreadsheetFormat(filename);
+  if (!format) {
+    throw new Error("Поддерживаются файлы .csv и .xlsx");
+  }
+
+  const raw =
+    format === "xlsx" ? await readXlsx(buffer) : parseCsv(decodeCsv(buffer));
+  const [headerRow = [], ...dataRows] = raw
+    .map((r) => r.map((c) => String(c ?? "").trim()))
+    .filter((r) => r.some((c) => c !== ""));
+
+  const width = dataRows.reduce((w, r) => Math.max(w, r.length), headerRow.length);
+  const fill = (r) => Array.from({ length: width }, (_, i) => r[i] || "");
+
+  return {
+    headers: fill(headerRow).map((h, i) => h || `Столбец ${i + 1}`),
+    rows: dataRows.map(fill),
+  };
+}
+
+/**
+ * Таблица → XLSX (Buffer): жирные заголовки, закреплённая первая строка
+ */
+export async function toXlsx(headers, rows, sheetName = "Лист1") {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach((r) => sheet.addRow(r));
+  sheet.columns.forEach((col, i) => {
+    const longest = rows.reduce(
+      (len, r) => Math.max(len, String(r[i] ?? "").length),
+      String(headers[i] || "").length
+    );
+    col.width = Math.min(60, Math.max(10, longest + 2));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,441 @@
+// src/stats.js
+// Статистика отделения для /stats: таблицы { key, title, headers, rows, chart }.
+// chart: bars — горизонтальные полосы (первые строки), columns — столбцы по периодам,
+// stacked — столбцы по периодам с разбивкой по статусам.
+// Периоды и даты — по календарю клиники; карты из архива не учитываются.
+import {
+  PATIENT_STATUSES,
+  PATIENT_STATUS_LABELS,
+  listPatientsForStats,
+  listStatusChanges,
+  countChangesByUserAndSource,
+  listIcdCodes,
+  listToxicityForStats,
+} from "./db.js";
+import { SEVERE_TOXICITY_GRADE, TOXICITY_PHASES } from "./toxicity.js";
+import { formatDateTime, clinicToday, clinicTimeToUtc, addDays } from "./time.js";
+
+export const STATS_GROUPS = {
+  week: "по неделям",
+  month: "по месяцам",
+};
+
+// не больше стольких периодов в динамике (иначе график нечитаем)
+const MAX_PERIODS = 120;
+// сколько строк показывать на горизонтальных графиках
+const CHART_TOP = 15;
+
+// источник записи истории → канал
+const CHANGE_CHANNELS = {
+  web: "Веб-панель",
+  bot: "Telegram-бот",
+  api: "API",
+  import: "Импорт",
+};
+
+// подписи источников изменений (patient_changes.source) — и для журнала статусов
+export const SOURCE_LABELS = {
+  "web-create": "Создание карты (веб)",
+  "web-edit": "Редактирование (веб)",
+  "web-diary": "Дневник (веб)",
+  "web-fraction": "Фракции (веб)",
+  "web-revert": "Откат поля (веб)",
+  archive: "Перенос в архив",
+  restore: "Восстановление из архива",
+  bot: "Telegram-бот",
+  api: "Изменение через API",
+  "api-create": "Создание через API",
+  import: "Импорт из файла",
+  "icd-review": "Кодирование диагноза (сверка)",
+  "web-schedule": "Расписание облучения (веб)",
+  schedule: "Перенос сеанса (автоматически)",
+  "web-follow-up": "Наблюдение после курса (веб)",
+  "web-toxicity": "Токсичность CTCAE (веб)",
+  "web-attachment": "Вложения (веб)",
+};
+
+function changeChannel(source) {
+  if (!source) return "web";
+  if (source === "bot") return "bot";
+  if (source.startsWith("api")) return "api";
+  if (source === "import") return "import";
+  return "web";
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const percent = (part, total) => (total ? round1((part / total) * 100) : 0);
+
+// UTC-время из БД → дата клиники "YYYY-MM-DD"
+const clinicDate = (value) => formatDateTime(value).slice(0, 10);
+
+/**
+ * Фильтр из query: { from, to, group }. По умолчанию — последние 12 месяцев по месяцам.
+ */
+export function parseStatsQuery(query) {
+  const dateOrNull = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v || "") ? v : null);
+  const to = dateOrNull(query.to) || clinicToday();
+  let from = dateOrNull(query.from) || addDays(to, -364);
+  if (from > to) from = to;
+  return {
+    from,
+    to,
+    group: STATS_GROUPS[query.group] ? query.group : "month",
+  };
+}
+
+function periodStart(date, group) {
+  if (group === "month") return date.slice(0, 8) + "01";
+  const [y, m, d] = date.split("-").map(Number);
+  const weekday = (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7; // пн = 0
+  return addDays(date, -weekday);
+}
+
+function nextPeriod(start, group) {
+  if (group === "week") return addDays(start, 7);
+  const [y, m] = start.split("-").map(Number);
+  return m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, "0")}-01`;
+}
+
+/**
+ * Периоды фильтра: [{ start, end, label }], end — первый день следующего периода
+ * (последний период обрезается по дате «по»)
+ */
+function buildPeriods({ from, to, group }) {
+  const periods = [];
+  const stop = addDays(to, 1);
+  for (let start = periodStart(from, group); start < stop; start = nextPeriod(start, group)) {
+    const next = nextPeriod(start, group);
+    periods.push({
+      start,
+      end: next < stop ? next : stop,
+      label: group === "month" ? start.slice(0, 7) : `нед. с ${start}`,
+    });
+  }
+  return periods.slice(-MAX_PERIODS);
+}
+
+/**
+ * Статус каждой карты на конец каждого периода — по истории смен статуса
+ */
+function statusOverTime(patients, periods) {
+  const changesByPatient = new Map();
+  listStatusChanges().forEach((c) => {
+    if (!changesByPatient.has(c.patient_id)) changesByPatient.set(c.patient_id, []);
+    changesByPatient.get(c.patient_id).push(c);
+  });
+
+  const statusAt = (p, endUtc) => {
+    const changes = changesByPatient.get(p.id) || [];
+    let status = changes.length ? changes[0].old_value || p.status : p.status;
+    for (const c of changes) {
+      if (c.changed_at >= endUtc) break;
+      status = c.new_value || status;
+    }
+    return status || "on_treatment";
+  };
+
+  const rows = periods.map((period) => {
+    const endUtc = clinicTimeToUtc(period.end);
+    const counts = Object.fromEntries(PATIENT_STATUSES.map((s) => [s, 0]));
+    patients
+      .filter((p) => p.created_at < endUtc)
+      .forEach((p) => {
+        const status = statusAt(p, endUtc);
+        if (status in counts) counts[status] += 1;
+      });
+    const values = PATIENT_STATUSES.map((s) => counts[s]);
+    return [period.label, ...values, values.reduce((a, b) => a + b, 0)];
+  });
+
+  return {
+    key: "status",
+    title: "Пациенты по статусам (на конец периода)",
+    headers: ["Период", ...PATIENT_STATUSES.map((s) => PATIENT_STATUS_LABELS[s]), "Всего"],
+    rows,
+    chart: { type: "stacked", series: PATIENT_STATUSES },
+  };
+}
+
+function newCourses(patients, periods) {
+  const rows = periods.map((period) => [
+    period.label,
+    patients.filter((p) => {
+      const date = clinicDate(p.created_at);
+      return date >= period.start && date < period.end;
+    }).length,
+  ]);
+  return {
+    key: "new_courses",
+    title: "Новые карты (курсы) за период",
+    headers: ["Период", "Новых карт"],
+    rows,
+    chart: { type: "columns" },
+  };
+}
+
+// группа диагноза: рубрика кода МКБ-10 из карты (C50), иначе код из текста, иначе сам текст
+function diagnosisGroup(p) {
+  if (p.diagnosis_code) return p.diagnosis_code.slice(0, 3);
+  const value = (p.diagnosis || "").trim();
+  if (!value) return "не указан";
+  const m = /(^|[^A-Za-zА-Яа-я])([A-ZА-Я])(\d{2})(?!\d)/i.exec(value);
+  if (m) {
+    // кириллические С/Д/Е и т.п. в кодах — частая опечатка
+    const letter = m[2].toUpperCase().replace("С", "C").replace("Д", "D").replace("Е", "E");
+    return letter + m[3];
+  }
+  return value.toLowerCase().slice(0, 60);
+}
+
+function byRegion(patients) {
+  const counts = new Map();
+  patients.forEach((p) => {
+    const region = (p.region || "").trim() || "не указан";
+    counts.set(region, (counts.get(region) || 0) + 1);
+  });
+  const rows = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([region, n]) => [region, n, percent(n, patients.length)]);
+  return {
+    key: "regions",
+    title: "Распределение по регионам",
+    headers: ["Регион", "Пациентов", "%"],
+    rows,
+    chart: { type: "bars" },
+  };
+}
+
+function byDiagnosis(patients) {
+  const titles = new Map(listIcdCodes("icd10").map((c) => [c.code, c.title]));
+  const groups = new Map();
+  patients.forEach((p) => {
+    const key = diagnosisGroup(p);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  });
+  const rows = [...groups.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([group, list]) => {
+      const withComplications = list.filter((p) => (p.complications || "").trim()).length;
+      const doses = list.map((p) => p.plan_total_dose).filter((d) => d > 0);
+      return [
+        titles.has(group) ? `${group} — ${titles.get(group)}` : group,
+        list.length,
+        percent(list.length, patients.length),
+        withComplications,
+        percent(withComplications, list.length),
+        doses.length ? round1(doses.reduce((a, b) => a + b, 0) / doses.length) : "",
+      ];
+    });
+  return {
+    key: "diagnoses",
+    title: "Распределение по диагнозам (рубрика МКБ-10 или текст диагноза)",
+    headers: ["Диагноз", "Пациентов", "%", "С осложнениями", "Осложнения, %", "Средняя СОД, Гр"],
+    rows,
+    chart: { type: "bars" },
+  };
+}
+
+function byStage(patients) {
+  const counts = new Map();
+  patients.forEach((p) => {
+    // IIB → II: группируем по римской стадии
+    const stage = p.stage ? p.stage.replace(/[A-C]\d?$/, "") : "не указана";
+    counts.set(stage, (counts.get(stage) || 0) + 1);
+  });
+  const order = ["0", "I", "II", "III", "IV", "не указана"];
+  const rows = [...counts.entries()]
+    .sort((a, b) => order.indexOf(a[0]) - order.indexOf(b[0]))
+    .map(([stage, n]) => [stage, n, percent(n, patients.length)]);
+  return {
+    key: "stages",
+    title: "Распределение по стадиям",
+    headers: ["Стадия", "Пациентов", "%"],
+    rows,
+    chart: { type: "bars" },
+  };
+}
+
+function courseDose(patients) {
+  const describe = (label, values) => {
+    if (!values.length) return [label, 0, "", "", ""];
+    return [
+      label,
+      values.length,
+      round1(values.reduce((a, b) => a + b, 0) / values.length),
+      round1(Math.min(...values)),
+      round1(Math.max(...values)),
+    ];
+  };
+  const finished = patients.filter((p) => p.status === "finished" || p.status === "follow_up");
+  return {
+    key: "dose",
+    title: "Доза за курс",
+    headers: ["Показатель", "Пациентов", "Среднее, Гр", "Мин, Гр", "Макс, Гр"],
+    rows: [
+      describe("Плановая СОД (все с планом)", patients.map((p) => p.plan_total_dose).filter((d) => d > 0)),
+      describe("Подведённая доза (все с отмеченными фракциями)", patients.map((p) => p.delivered_dose).filter((d) => d > 0)),
+      describe("Подведённая доза (курс завершён)", finished.map((p) => p.delivered_dose).filter((d) => d > 0)),
+    ],
+    chart: null,
+  };
+}
+
+function complicationRates(patients, toxicity) {
+  const severe = new Set(
+    toxicity.filter((t) => t.grade >= SEVERE_TOXICITY_GRADE).map((t) => t.patient_id)
+  );
+  const row = (label, list) => {
+    const n = list.filter((p) => (p.complications || "").trim()).length;
+    const s = list.filter((p) => severe.has(p.id)).length;
+    return [label, list.length, n, percent(n, list.length), s, percent(s, list.length)];
+  };
+  return {
+    key: "complications",
+    title: "Частота осложнений",
+    headers: [
+      "Статус",
+      "Пациентов",
+      "С осложнениями",
+      "%",
+      `Токсичность ${SEVERE_TOXICITY_GRADE}–5 ст.`,
+      `${SEVERE_TOXICITY_GRADE}–5 ст., %`,
+    ],
+    rows: [
+      ...PATIENT_STATUSES.map((s) =>
+        row(PATIENT_STATUS_LABELS[s], patients.filter((p) => p.status === s))
+      ),
+      row("Всего", patients),
+    ],
+    chart: null,
+  };
+}
+
+/**
+ * Токсичность по терминам CTCAE: у скольких пациентов была (любая и 3–5 ст.),
+ * отдельно острая и поздняя. Доля — от пациентов, созданных в периоде.
+ */
+function toxicityByTerm(patients, toxicity) {
+  const ids = new Set(patients.map((p) => p.id));
+  const terms = new Map();
+  toxicity
+    .filter((t) => ids.has(t.patient_id))
+    .forEach((t) => {
+      if (!terms.has(t.term_code)) {
+        terms.set(t.term_code, { title: t.term_title, any: new Set(), severe: new Set(), phases: {} });
+      }
+      const term = terms.get(t.term_code);
+      term.any.add(t.patient_id);
+      if (t.grade >= SEVERE_TOXICITY_GRADE) term.severe.add(t.patient_id);
+      term.phases[t.phase] = term.phases[t.phase] || new Set();
+      term.phases[t.phase].add(t.patient_id);
+    });
+  const phases = Object.keys(TOXICITY_PHASES);
+  const rows = [...terms.values()]
+    .sort((a, b) => b.severe.size - a.severe.size || b.any.size - a.any.size)
+    .map((t) => [
+      t.title,
+      t.any.size,
+      percent(t.any.size, patients.length),
+      t.severe.size,
+      percent(t.severe.size, patients.length),
+      ...phases.map((phase) => (t.phases[phase] ? t.phases[phase].size : 0)),
+    ]);
+  return {
+    key: "toxicity",
+    title: "Токсичность по CTCAE (пациенты с записью)",
+    headers: [
+      "Термин",
+      "Пациентов",
+      "%",
+      `${SEVERE_TOXICITY_GRADE}–5 ст.`,
+      `${SEVERE_TOXICITY_GRADE}–5 ст., %`,
+      ...phases.map((phase) => TOXICITY_PHASES[phase]),
+    ],
+    rows,
+    chart: { type: "bars", valueIndex: 3 },
+  };
+}
+
+function changesByUser(changes) {
+  const users = new Map();
+  changes.forEach((c) => {
+    const key = c.user_id || 0;
+    if (!users.has(key)) {
+      users.set(key, { name: c.user_name || "неизвестный пользователь", total: 0, channels: {} });
+    }
+    const u = users.get(key);
+    const channel = changeChannel(c.source);
+    u.total += c.cnt;
+    u.channels[channel] = (u.channels[channel] || 0) + c.cnt;
+  });
+  const channels = Object.keys(CHANGE_CHANNELS);
+  const rows = [...users.values()]
+    .sort((a, b) => b.total - a.total)
+    .map((u) => [u.name, u.total, ...channels.map((ch) => u.channels[ch] || 0)]);
+  return {
+    key: "changes_by_user",
+    title: "Изменения карт по пользователям",
+    headers: ["Пользователь", "Всего", ...channels.map((ch) => CHANGE_CHANNELS[ch])],
+    rows,
+    chart: { type: "bars" },
+  };
+}
+
+function changesBySource(changes) {
+  const counts = new Map();
+  changes.forEach((c) => {
+    const source = c.source || "";
+    counts.set(source, (counts.get(source) || 0) + c.cnt);
+  });
+  const total = changes.reduce((sum, c) => sum + c.cnt, 0);
+  const rows = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([source, n]) => [
+      SOURCE_LABELS[source] || source || "веб-панель",
+      CHANGE_CHANNELS[changeChannel(source)],
+      n,
+      percent(n, total),
+    ]);
+  return {
+    key: "changes_by_source",
+    title: "Изменения карт по источникам",
+    headers: ["Источник", "Канал", "Изменений", "%"],
+    rows,
+    chart: { type: "bars", valueIndex: 2 },
+  };
+}
+
+/**
+ * Все таблицы статистики под фильтр { from, to, group }.
+ * Динамика по статусам — по всем картам, остальное — по картам, созданным в периоде;
+ * изменения — за период.
+ */
+export function buildStats(filters) {
+  const periods = buildPeriods(filters);
+  const fromUtc = clinicTimeToUtc(filters.from);
+  const toUtc = clinicTimeToUtc(addDays(filters.to, 1));
+
+  const all = listPatientsForStats();
+  const created = all.filter((p) => p.created_at >= fromUtc && p.created_at < toUtc);
+  const changes = countChangesByUserAndSource(fromUtc, toUtc);
+  const toxicity = listToxicityForStats();
+
+  return {
+    periods: periods.length,
+    patients: created.length,
+    tables: [
+      statusOverTime(all, periods),
+      newCourses(created, periods),
+      byRegion(created),
+      byDiagnosis(created),
+      byStage(created),
+      courseDose(created),
+      complicationRates(created, toxicity),
+      toxicityByTerm(created, toxicity),
+      changesByUser(changes),
+      changesBySource(changes),
+    ],
+    chartTop: CHART_TOP,
+  };
+}
@@ -0,0 +1,125 @@
+// src/time.js
+// Время: в БД хранится UTC ("YYYY-MM-DD HH:MM:SS"), на экране, в боте и в фильтрах —
+// часовой пояс клиники (CLINIC_TIMEZONE, IANA-имя, по умолчанию Asia/Tashkent).
+
+const DEFAULT_TIME_ZONE = "Asia/Tashkent";
+
+function resolveTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return value;
+  } catch {
+    console.warn(
+      `[time] Неизвестный часовой пояс CLINIC_TIMEZONE="${value}", используется ${DEFAULT_TIME_ZONE}`
+    );
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+export const CLINIC_TIME_ZONE = resolveTimeZone(
+  process.env.CLINIC_TIMEZONE || DEFAULT_TIME_ZONE
+);
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: CLINIC_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function zonedParts(date) {
+  const parts = {};
+  partsFormatter.formatToParts(date).forEach((p) => {
+    if (p.type !== "literal") parts[p.type] = Number(p.value);
+  });
+  return parts;
+}
+
+// смещение пояса клиники относительно UTC в момент date (мс)
+function offsetMs(date) {
+  const p = zonedParts(date);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Date → строка UTC в формате БД
+ */
+export function toSqlUtc(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Строка UTC из БД → Date (null, если это не дата со временем)
+ */
+export function parseSqlUtc(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(value)) return null;
+  const date = new Date(value.replace(" ", "T") + "Z");
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Время из БД для показа: "YYYY-MM-DD HH:MM:SS" в поясе клиники.
+ * Пустое значение — "", нераспознанное (например, просто дата) — как есть.
+ */
+export function formatDateTime(value) {
+  const date = parseSqlUtc(value);
+  if (!date) return value || "";
+  const p = zonedParts(date);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)} ` +
+    `${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+  );
+}
+
+/**
+ * Сейчас по часам клиники: { date: "YYYY-MM-DD", minutes: минуты от полуночи }
+ */
+export function clinicNow(now = new Date()) {
+  const p = zonedParts(now);
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    minutes: p.hour * 60 + p.minute,
+  };
+}
+
+export function clinicToday() {
+  return clinicNow().date;
+}
+
+/**
+ * "YYYY-MM-DD" + n дней
+ */
+export function addDays(dateStr, n) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + n));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * "YYYY-MM-DD" + n месяцев; 31-е число в коротком месяце — последний день месяца
+ */
+export function addMonths(dateStr, n) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  const date = new Date(Date.UTC(y, m - 1 + n, Math.min(d, lastDay)));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Местные дата и время клиники → строка UTC для БД (например, границы фильтра по дате)
+ */
+export function clinicTimeToUtc(dateStr, minutes = 0) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  // второй проход уточняет смещение около перехода на летнее время
+  let ts = wall - offsetMs(new Date(wall));
+  ts = wall - offsetMs(new Date(ts));
+  return toSqlUtc(new Date(ts));
+}
@@ -0,0 +1,160 @@
+// src/toxicity.js
+// Токсичность лечения по CTCAE: термин из локального справочника (src/data/ctcae.json,
+// свой — через CTCAE_DICTIONARY), степень 1–5, острая или поздняя, связь с лечением,
+// дата начала и разрешения. О степени 3 и выше сразу сообщается команде пациента.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { clinicToday, addDays } from "./time.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CTCAE_DICTIONARY = process.env.CTCAE_DICTIONARY
+  ? path.resolve(process.env.CTCAE_DICTIONARY)
+  : path.join(__dirname, "data", "ctcae.json");
+
+const dictionary = JSON.parse(fs.readFileSync(CTCAE_DICTIONARY, "utf8"));
+
+export const CTCAE_VERSION = dictionary.version || "CTCAE";
+export const CTCAE_CATEGORIES = dictionary.categories || {};
+
+// grades — описания степеней по порядку (1, 2, …); у части терминов нет степеней 4–5
+export const CTCAE_TERMS = dictionary.terms.map((t) => ({ ...t, maxGrade: t.grades.length }));
+
+const TERMS_BY_CODE = new Map(CTCAE_TERMS.map((t) => [t.code, t]));
+
+export const ctcaeTerm = (code) => TERMS_BY_CODE.get(code) || null;
+
+export const TOXICITY_PHASES = {
+  acute: "Острая",
+  late: "Поздняя",
+};
+
+// связь с лечением (attribution по CTCAE)
+export const TOXICITY_ATTRIBUTIONS = {
+  unrelated: "Не связана",
+  unlikely: "Маловероятна",
+  possible: "Возможна",
+  probable: "Вероятна",
+  definite: "Определённая",
+};
+
+// с этой степени — срочное уведомление и учёт в статистике как тяжёлой
+export const SEVERE_TOXICITY_GRADE = 3;
+
+// острая реакция — в первые 90 дней от начала облучения, позже — поздняя (RTOG)
+const ACUTE_PERIOD_DAYS = 90;
+
+export const isSevereToxicity = (grade) => grade >= SEVERE_TOXICITY_GRADE;
+
+/**
+ * Начало курса — первая проведённая фракция (null, если фракций нет)
+ */
+export function courseStartDate(fractions) {
+  const delivered = fractions.filter((f) => f.status === "delivered").map((f) => f.delivered_on);
+  return delivered.length ? delivered.sort()[0] : null;
+}
+
+/**
+ * Острая или поздняя — по дате начала относительно начала курса
+ */
+export function toxicityPhase(onsetDate, courseStart) {
+  if (!courseStart || !onsetDate) return "acute";
+  return onsetDate > addDays(courseStart, ACUTE_PERIOD_DAYS) ? "late" : "acute";
+}
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+
+/**
+ * Проверка формы записи о токсичности: { data, error }.
+ * Без явного выбора фаза определяется по началу курса (courseStart).
+ */
+export function parseToxicityForm(body, { courseStart = null } = {}) {
+  const term = ctcaeTerm(body.term_code);
+  const data = {
+    term_code: term ? term.code : null,
+    term_title: term ? term.title : null,
+    grade: Number(body.grade),
+    onset_date: body.onset_date || clinicToday(),
+    phase: body.phase || null,
+    attribution: body.attribution || null,
+    resolved_on: body.resolved_on || null,
+    notes: (body.notes || "").trim(),
+  };
+  if (!data.phase) data.phase = toxicityPhase(data.onset_date, courseStart);
+
+  let error = null;
+  if (!term) error = "Выберите термин CTCAE из справочника";
+  else if (!Number.isInteger(data.grade) || data.grade < 1 || data.grade > term.maxGrade) {
+    error = `Степень для «${term.title}» — от 1 до ${term.maxGrade}`;
+  } else if (!isDate(data.onset_date)) error = "Укажите дату начала";
+  else if (data.onset_date > clinicToday()) error = "Дата начала ещё не наступила";
+  else if (!TOXICITY_PHASES[data.phase]) error = "Неизвестный тип реакции";
+  else if (data.attribution && !TOXICITY_ATTRIBUTIONS[data.attribution]) {
+    error = "Неизвестная связь с лечением";
+  } else if (data.resolved_on && !isDate(data.resolved_on)) error = "Неверная дата разрешения";
+  else if (data.resolved_on && data.resolved_on < data.onset_date) {
+    error = "Дата разрешения раньше даты начала";
+  } else if (data.resolved_on && data.resolved_on > clinicToday()) {
+    error = "Дата разрешения ещё не наступила";
+  }
+  return { data, error };
+}
+
+/**
+ * Запись одной строкой: "Лучевой дерматит — 3 ст., острая, с 2025-03-01"
+ */
+export function describeToxicity(t) {
+  let text = `${t.term_title} — ${t.grade} ст., ${TOXICITY_PHASES[t.phase].toLowerCase()}, с ${t.onset_date}`;
+  if (t.resolved_on) text += `, разрешилась ${t.resolved_on}`;
+  return text;
+}
+
+/**
+ * Сводка по терминам — для выписки и карточки бота: по каждому термину худшая степень
+ * (и фаза той записи), самое раннее начало; разрешилась — если разрешились все записи.
+ * Сначала тяжёлые.
+ */
+export function worstToxicityByTerm(events) {
+  const byTerm = new Map();
+  events.forEach((t) => {
+    const s = byTerm.get(t.term_code);
+    if (!s) {
+      byTerm.set(t.term_code, {
+        term_code: t.term_code,
+        term_title: t.term_title,
+        grade: t.grade,
+        phase: t.phase,
+        onset_date: t.onset_date,
+        resolved_on: t.resolved_on,
+      });
+      return;
+    }
+    if (t.grade > s.grade) {
+      s.grade = t.grade;
+      s.phase = t.phase;
+    }
+    if (t.onset_date < s.onset_date) s.onset_date = t.onset_date;
+    s.resolved_on =
+      s.resolved_on && t.resolved_on
+        ? (s.resolved_on > t.resolved_on ? s.resolved_on : t.resolved_on)
+        : null;
+  });
+  return [...byTerm.values()].sort(
+    (a, b) => b.grade - a.grade || a.onset_date.localeCompare(b.onset_date)
+  );
+}
+
+/**
+ * Текст срочного уведомления о тяжёлой токсичности
+ */
+export function toxicityAlertText(patient, t, actor) {
+  return (
+    `🚨 *Токсичность ${t.grade} ст. (CTCAE)*\n` +
+    `ID: *${patient.patient_id}*\nПациент: ${patient.full_name || ""}\n` +
+    `${t.term_title}, ${TOXICITY_PHASES[t.phase].toLowerCase()}, с ${t.onset_date}\n` +
+    (t.notes ? `${t.notes}\n` : "") +
+    `Записал: ${actor}`
+  );
+}
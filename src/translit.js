@@ -0,0 +1,119 @@
+// src/translit.js
+// Транслитерация для поиска: "ivanov" находит «Иванов», «Иванов» — карту, записанную
+// латиницей. Правила упрощённые (паспортная латиница и привычные варианты написания),
+// для поиска по началу слова этого достаточно.
+
+// латиница → кириллица: сначала длинные сочетания
+const LATIN_TO_CYRILLIC = [
+  ["shch", "щ"],
+  ["sch", "щ"],
+  ["zh", "ж"],
+  ["kh", "х"],
+  ["ts", "ц"],
+  ["tz", "ц"],
+  ["ch", "ч"],
+  ["sh", "ш"],
+  ["ck", "к"],
+  ["yu", "ю"],
+  ["ju", "ю"],
+  ["ya", "я"],
+  ["ja", "я"],
+  ["yo", "ё"],
+  ["jo", "ё"],
+  ["ye", "е"],
+  ["iy", "ий"],
+  ["yi", "ий"],
+  ["a", "а"],
+  ["b", "б"],
+  ["c", "к"],
+  ["d", "д"],
+  ["e", "е"],
+  ["f", "ф"],
+  ["g", "г"],
+  ["h", "х"],
+  ["i", "и"],
+  ["j", "й"],
+  ["k", "к"],
+  ["l", "л"],
+  ["m", "м"],
+  ["n", "н"],
+  ["o", "о"],
+  ["p", "п"],
+  ["q", "к"],
+  ["r", "р"],
+  ["s", "с"],
+  ["t", "т"],
+  ["u", "у"],
+  ["v", "в"],
+  ["w", "в"],
+  ["x", "кс"],
+  ["z", "з"],
+];
+
+const CYRILLIC_TO_LATIN = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "e", ж: "zh", з: "z", и: "i",
+  й: "y", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r", с: "s", т: "t",
+  у: "u", ф: "f", х: "kh", ц: "ts", ч: "ch", ш: "sh", щ: "shch", ъ: "", ы: "y", ь: "",
+  э: "e", ю: "yu", я: "ya",
+};
+
+const VOWELS = "aeiouy";
+
+/**
+ * "ivanov" → "иванов", "sergey" → "сергей", "dostoevsky" → "достоевский"
+ */
+export function latinToCyrillic(text) {
+  const s = String(text || "").toLowerCase();
+  let out = "";
+  let i = 0;
+  while (i < s.length) {
+    // y: после гласной — й, в конце слова после согласной — ий, иначе — ы
+    if (s[i] === "y" && !/^y[aeou]/.test(s.slice(i)) && !/^yi/.test(s.slice(i))) {
+      const prev = s[i - 1];
+      const atEnd = !/[a-z]/.test(s[i + 1] || "");
+      if (prev && VOWELS.includes(prev)) out += "й";
+      else if (atEnd && prev && /[a-z]/.test(prev)) out += "ий";
+      else out += "ы";
+      i += 1;
+      continue;
+    }
+    const rule = LATIN_TO_CYRILLIC.find(([lat]) => s.startsWith(lat, i));
+    if (rule) {
+      out += rule[1];
+      i += rule[0].length;
+    } else {
+      out += s[i];
+      i += 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * "Щербаков" → "shcherbakov"
+ */
+export function cyrillicToLatin(text) {
+  return Array.from(String(text || "").toLowerCase())
+    .map((ch) => (ch in CYRILLIC_TO_LATIN ? CYRILLIC_TO_LATIN[ch] : ch))
+    .join("");
+}
+
+/**
+ * Варианты слова для поиска: само слово и его транслитерация в другую сторону.
+ * Слово, начинающееся на «е», может быть и на «э» (Ergashev — Эргашев).
+ * «x» в узбекской латинице — «х» (Xasanov — Хасанов), в паспортной — «кс»: ищем оба.
+ */
+export function searchVariants(word) {
+  const w = String(word || "").toLowerCase().replace(/ё/g, "е");
+  const variants = [w];
+  if (/[a-z]/.test(w)) {
+    const spellings = w.includes("x") ? [w, w.replace(/x/g, "h")] : [w];
+    spellings.forEach((latin) => {
+      const cyr = latinToCyrillic(latin).replace(/ё/g, "е");
+      variants.push(cyr);
+      if (cyr.startsWith("е")) variants.push("э" + cyr.slice(1));
+    });
+  }
+  if (/[а-яё]/.test(w)) variants.push(cyrillicToLatin(w));
+  return [...new Set(variants.filter(Boolean))];
+}